@@ -0,0 +1,114 @@
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes. They are stored with each hash, so
+// raising them later doesn't break existing passwords.
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+const TOKEN_BYTES = 32;
+
+const SESSION_COOKIE = 'session';
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash`, salt and hash in base64
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Checks a password against a hash from hashPassword, in constant time.
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Creates a random bearer token. Only its hash is stored, so a leaked users
+ * file doesn't hand out working tokens.
+ * @returns {{ token: string, tokenHash: string }}
+ */
+function createToken() {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+/**
+ * @param {string} token
+ * @returns {string} SHA-256 of the token, hex encoded
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Parses a Cookie header into an object. Malformed pairs are skipped.
+ * @param {string} [header]
+ * @returns {object}
+ */
+function parseCookies(header) {
+  const cookies = {};
+  for (const pair of (header || '').split(';')) {
+    const eq = pair.indexOf('=');
+    if (eq === -1) continue;
+    const name = pair.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(eq + 1).trim());
+    } catch {
+      // ignore values that aren't valid percent-encoding
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Finds the token a request authenticates with: an `Authorization: Bearer`
+ * header, or else the session cookie.
+ * @param {object} req - HTTP request object
+ * @returns {string|null}
+ */
+function tokenFromRequest(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (match) {
+    return match[1];
+  }
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Builds the Set-Cookie value for a session token. The cookie is kept from
+ * scripts and other sites; pass a null token to clear it.
+ * @param {string|null} token
+ * @param {number} maxAgeSeconds
+ * @returns {string}
+ */
+function sessionCookie(token, maxAgeSeconds) {
+  const value = token ? encodeURIComponent(token) : '';
+  const maxAge = token ? maxAgeSeconds : 0;
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+module.exports = { hashPassword, verifyPassword, createToken, hashToken, parseCookies, tokenFromRequest, sessionCookie };
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Storage backends for the food log. Every backend implements the same
+ * interface; all methods return promises. Each user has a log of their own,
+ * so everything but init, close, claimUnowned and purgeDeleted takes the
+ * user's id first. A null user id is the log kept from before accounts
+ * existed.
+ *
+ * Deleting moves entries to the user's trash, marked with `deletedAt`, from
+ * where they can be restored or purged. Only listTrash, findDeleted,
+ * restoreEntries and the purges see entries in the trash.
+ *
+ *   init()                                open or create the store
+ *   listEntries(user, date)               entries logged on a day, in the
+ *                                         order added
+ *   listRange(user, from, to)             `{ date: [entry, ...] }` for the days
+ *                                         with entries between two dates
+ *                                         (null = open end)
+ *   findEntry(user, id, date?)            `{ date, entry }` or null
+ *   addEntries(user, [{ date, entry }])   add new entries, all or none,
+ *                                         skipping any whose id the user
+ *                                         already has (also in the trash);
+ *                                         `[{ date, entry }]` added
+ *   importEntries(user, plan)             call `plan(entriesByDate, trash)`
+ *                                         with the user's log and trash (as
+ *                                         from listRange and listTrash; not
+ *                                         to be changed) and add the
+ *                                         entries in the `accepted` list it
+ *                                         returns, in the same write; what
+ *                                         `plan` returned
+ *   updateEntry(user, id, date, entry)    replace an entry, moving it to
+ *                                         `date`; false if it doesn't exist
+ *   deleteEntry(user, id, date?, deletedAt?)
+ *                                         move an entry to the trash; the
+ *                                         removed entry, or null
+ *   clearDay(user, date, deletedAt?)      move a day's entries to the trash;
+ *                                         number of entries removed
+ *   listTrash(user)                       `[{ date, entry }]` in the trash,
+ *                                         most recently deleted first
+ *   findDeleted(user, id)                 `{ date, entry }` in the trash or null
+ *   restoreEntries(user, ids)             move entries back to their days;
+ *                                         `[{ date, entry }]` restored
+ *   purgeTrash(user, ids?)                delete entries in the trash for
+ *                                         good (all without ids); number purged
+ *   purgeDeleted(before)                  purge every user's entries deleted
+ *                                         before a time; number purged
+ *   aggregate(user, from, to)             `{ date: summary }` per day with
+ *                                         entries, summaries as in nutrition.js
+ *   listWeights(user, from, to)           `[{ date, weight }]` weigh-ins
+ *                                         between two dates (null = open
+ *                                         end), oldest first
+ *   saveWeight(user, date, weight)        record a day's weigh-in, replacing
+ *                                         any; true if the day had none
+ *   deleteWeight(user, date)              remove a day's weigh-in; false if
+ *                                         there was none
+ *   getSettings(user)                     the stored settings object
+ *   saveSettings(user, settings)          replace the settings object
+ *   claimUnowned(user)                    move the log from before accounts
+ *                                         to a user; number of entries moved
+ *   close()
+ */
+
+const { createJsonBackend } = require('./json');
+const { createSqliteBackend } = require('./sqlite');
+
+const BACKENDS = ['json', 'sqlite'];
+
+/**
+ * Creates the backend named by `storage` (json or sqlite). Call `init()` on
+ * it before use.
+ * @param {object} options
+ * @param {string} options.storage
+ * @param {string} options.dataFile - JSON file for the json backend
+ * @param {string} options.sqliteFile - database file for the sqlite backend
+ * @param {number} [options.storeRecheckMs] - see storage.createStore's `recheckMs`
+ */
+function createBackend({ storage, dataFile, sqliteFile, storeRecheckMs }) {
+  if (storage === 'sqlite') {
+    return createSqliteBackend(sqliteFile);
+  }
+  if (storage === 'json') {
+    return createJsonBackend(dataFile, { recheckMs: storeRecheckMs });
+  }
+  throw new Error(`Unknown storage "${storage}"; use one of ${BACKENDS.join(', ')}`);
+}
+
+module.exports = { createBackend, BACKENDS };
@@ -0,0 +1,354 @@
+'use strict';
+
+const { formatDate } = require('../utils');
+const { createStore } = require('../storage');
+const { emptySummary, roundSummary, addToSummary } = require('../nutrition');
+
+/**
+ * Brings a parsed data file up to the current shape: a log per user,
+ * `{ users: { <userId>: { entries: { 'YYYY-MM-DD': [entry, ...] }, trash, weights, settings } } }`,
+ * where `trash` lists deleted entries as `{ date, entry }` and `weights`
+ * maps dates to that day's weigh-in.
+ * Files from before accounts keep their `entries` and `settings` at the top
+ * level, where they wait for claimUnowned. Older files still stored a flat
+ * `entries` array; those entries are filed under the local date of their
+ * timestamp. Returns true if the data was changed and needs writing back.
+ */
+function migrateData(data) {
+  let changed = false;
+  if (Array.isArray(data.entries)) {
+    const byDate = {};
+    for (const entry of data.entries) {
+      const date = formatDate(new Date(entry.timestamp));
+      if (!byDate[date]) byDate[date] = [];
+      byDate[date].push(entry);
+    }
+    data.entries = byDate;
+    changed = true;
+  }
+  if (!data.users || typeof data.users !== 'object' || Array.isArray(data.users)) {
+    data.users = {};
+    changed = true;
+  }
+  return changed;
+}
+
+const EMPTY_LOG = Object.freeze({ entries: Object.freeze({}) });
+
+/**
+ * Returns a user's log for reading; users who haven't logged anything get an
+ * empty one. A null user is the log from before accounts.
+ */
+function logOf(data, userId) {
+  const log = userId === null ? data : data.users[userId];
+  return log && log.entries ? log : EMPTY_LOG;
+}
+
+/**
+ * Returns a user's log for changing, creating it if needed.
+ */
+function writableLogOf(data, userId) {
+  if (userId === null) {
+    if (!data.entries) data.entries = {};
+    return data;
+  }
+  if (!data.users[userId]) {
+    data.users[userId] = { entries: {} };
+  }
+  return data.users[userId];
+}
+
+/**
+ * Locates an entry by id in a user's log. When `date` is given only that day
+ * is searched, otherwise every day is. Returns `{ date, index }` or null.
+ */
+function locate(log, id, date) {
+  const dates = date ? [date] : Object.keys(log.entries);
+  for (const d of dates) {
+    const entries = log.entries[d] || [];
+    const index = entries.findIndex(e => e.id === id);
+    if (index !== -1) {
+      return { date: d, index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Files an entry under a date in a log, creating the day if needed.
+ */
+function insertEntry(log, date, entry) {
+  if (!log.entries[date]) {
+    log.entries[date] = [];
+  }
+  log.entries[date].push(entry);
+}
+
+/**
+ * Removes the entry at `index` on `date`, dropping the day once it is empty.
+ * Returns the removed entry.
+ */
+function removeEntryAt(log, date, index) {
+  const entries = log.entries[date];
+  const [removed] = entries.splice(index, 1);
+  if (entries.length === 0) {
+    delete log.entries[date];
+  }
+  return removed;
+}
+
+/**
+ * Takes the entries in a log's trash matching `test` out of it. Returns them
+ * as `[{ date, entry }]`.
+ */
+function takeFromTrash(log, test) {
+  const taken = (log.trash || []).filter(test);
+  if (taken.length > 0) {
+    log.trash = log.trash.filter(item => !taken.includes(item));
+  }
+  return taken;
+}
+
+/**
+ * The ids of every entry in a log, including those in the trash.
+ */
+function idsOf(log) {
+  const ids = new Set((log.trash || []).map(({ entry }) => entry.id));
+  for (const entries of Object.values(log.entries)) {
+    for (const entry of entries) {
+      ids.add(entry.id);
+    }
+  }
+  return ids;
+}
+
+function datesInRange(log, from, to) {
+  return Object.keys(log.entries)
+    .filter(d => (!from || d >= from) && (!to || d <= to))
+    .sort();
+}
+
+/**
+ * Storage backend keeping everything in one JSON file through the atomic
+ * file store; see migrateData for its shape and backends/index.js for the
+ * interface.
+ * @param {string} file - path of data.json
+ * @param {object} [options]
+ * @param {number} [options.recheckMs] - passed on to createStore
+ */
+function createJsonBackend(file, { recheckMs } = {}) {
+  const store = createStore(file, { empty: () => ({ users: {} }), migrate: migrateData, recheckMs });
+
+  return {
+    async init() {
+      await store.init();
+    },
+
+    async listEntries(userId, date) {
+      return [...(logOf(store.get(), userId).entries[date] || [])];
+    },
+
+    async listRange(userId, from, to) {
+      const log = logOf(store.get(), userId);
+      return Object.fromEntries(datesInRange(log, from, to).map(d => [d, [...log.entries[d]]]));
+    },
+
+    async findEntry(userId, id, date) {
+      const log = logOf(store.get(), userId);
+      const found = locate(log, id, date);
+      return found ? { date: found.date, entry: log.entries[found.date][found.index] } : null;
+    },
+
+    async addEntries(userId, items) {
+      return store.update(data => {
+        const log = writableLogOf(data, userId);
+        const ids = idsOf(log);
+        const added = [];
+        for (const { date, entry } of items) {
+          if (!ids.has(entry.id)) {
+            ids.add(entry.id);
+            insertEntry(log, date, entry);
+            added.push({ date, entry });
+          }
+        }
+        return added;
+      });
+    },
+
+    async importEntries(userId, plan) {
+      return store.update(data => {
+        const log = writableLogOf(data, userId);
+        const result = plan(log.entries, log.trash || []);
+        for (const { date, entry } of result.accepted) {
+          insertEntry(log, date, entry);
+        }
+        return result;
+      });
+    },
+
+    async updateEntry(userId, id, date, entry) {
+      return store.update(data => {
+        const log = logOf(data, userId);
+        const found = locate(log, id);
+        if (!found) {
+          return false;
+        }
+        if (date === found.date) {
+          log.entries[date][found.index] = entry;
+        } else {
+          removeEntryAt(log, found.date, found.index);
+          insertEntry(log, date, entry);
+        }
+        return true;
+      });
+    },
+
+    async deleteEntry(userId, id, date, deletedAt = new Date().toISOString()) {
+      return store.update(data => {
+        const log = logOf(data, userId);
+        const found = locate(log, id, date);
+        if (!found) {
+          return null;
+        }
+        const removed = removeEntryAt(log, found.date, found.index);
+        log.trash = [...(log.trash || []), { date: found.date, entry: { ...removed, deletedAt } }];
+        return removed;
+      });
+    },
+
+    async clearDay(userId, date, deletedAt = new Date().toISOString()) {
+      return store.update(data => {
+        const log = logOf(data, userId);
+        const removed = log.entries[date] || [];
+        if (removed.length > 0) {
+          log.trash = [...(log.trash || []), ...removed.map(entry => ({ date, entry: { ...entry, deletedAt } }))];
+          delete log.entries[date];
+        }
+        return removed.length;
+      });
+    },
+
+    async listTrash(userId) {
+      const trash = logOf(store.get(), userId).trash || [];
+      return trash
+        .map(({ date, entry }) => ({ date, entry: { ...entry } }))
+        .sort((a, b) => b.entry.deletedAt.localeCompare(a.entry.deletedAt));
+    },
+
+    async findDeleted(userId, id) {
+      const item = (logOf(store.get(), userId).trash || []).find(({ entry }) => entry.id === id);
+      return item ? { date: item.date, entry: { ...item.entry } } : null;
+    },
+
+    // Restored entries go after the entries already on their day
+    async restoreEntries(userId, ids) {
+      return store.update(data => {
+        const log = logOf(data, userId);
+        const restored = takeFromTrash(log, ({ entry }) => ids.includes(entry.id))
+          .map(({ date, entry: { deletedAt, ...entry } }) => ({ date, entry }));
+        for (const { date, entry } of restored) {
+          insertEntry(log, date, entry);
+        }
+        return restored;
+      });
+    },
+
+    async purgeTrash(userId, ids = null) {
+      return store.update(data => {
+        const log = logOf(data, userId);
+        return takeFromTrash(log, ({ entry }) => !ids || ids.includes(entry.id)).length;
+      });
+    },
+
+    async purgeDeleted(before) {
+      return store.update(data => {
+        let count = 0;
+        for (const log of Object.values(data.users)) {
+          count += takeFromTrash(log, ({ entry }) => entry.deletedAt < before).length;
+        }
+        return count;
+      });
+    },
+
+    async aggregate(userId, from, to) {
+      const log = logOf(store.get(), userId);
+      const days = {};
+      for (const date of datesInRange(log, from, to)) {
+        const summary = emptySummary();
+        for (const entry of log.entries[date]) {
+          addToSummary(summary, { ...entry, count: 1 });
+        }
+        days[date] = roundSummary(summary);
+      }
+      return days;
+    },
+
+    async listWeights(userId, from, to) {
+      const weights = logOf(store.get(), userId).weights || {};
+      return Object.keys(weights)
+        .filter(d => (!from || d >= from) && (!to || d <= to))
+        .sort()
+        .map(date => ({ date, weight: weights[date] }));
+    },
+
+    async saveWeight(userId, date, weight) {
+      return store.update(data => {
+        const log = writableLogOf(data, userId);
+        const created = !log.weights || log.weights[date] === undefined;
+        log.weights = { ...log.weights, [date]: weight };
+        return created;
+      });
+    },
+
+    async deleteWeight(userId, date) {
+      return store.update(data => {
+        const log = logOf(data, userId);
+        if (!log.weights || log.weights[date] === undefined) {
+          return false;
+        }
+        delete log.weights[date];
+        return true;
+      });
+    },
+
+    async getSettings(userId) {
+      return structuredClone(logOf(store.get(), userId).settings || {});
+    },
+
+    async saveSettings(userId, settings) {
+      await store.update(data => {
+        writableLogOf(data, userId).settings = settings;
+      });
+    },
+
+    // Entries whose id the user already has are dropped; the user's own
+    // settings win over the unowned ones
+    async claimUnowned(userId) {
+      return store.update(data => {
+        if (!data.entries && !data.settings) {
+          return 0;
+        }
+        const log = writableLogOf(data, userId);
+        let count = 0;
+        for (const [date, list] of Object.entries(data.entries || {})) {
+          for (const entry of list) {
+            if (!locate(log, entry.id)) {
+              insertEntry(log, date, entry);
+              count++;
+            }
+          }
+        }
+        if (data.settings && !log.settings) {
+          log.settings = data.settings;
+        }
+        delete data.entries;
+        delete data.settings;
+        return count;
+      });
+    },
+
+    async close() {},
+  };
+}
+
+module.exports = { createJsonBackend, migrateData };
@@ -0,0 +1,345 @@
+'use strict';
+
+const { MACROS, emptySummary, addToSummary, roundSummary } = require('../nutrition');
+
+// Entries logged before accounts existed have a NULL user_id, and their
+// settings the key "settings", until claimUnowned hands them to a user.
+// Entries in the trash keep their row, with the time they were deleted in
+// deleted_at. Each day has at most one weigh-in.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS entries (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT,
+    id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    name TEXT NOT NULL,
+    calories REAL NOT NULL,
+    meal TEXT,
+    ${MACROS.map(m => `${m} REAL`).join(',\n    ')},
+    body TEXT NOT NULL,
+    deleted_at TEXT,
+    UNIQUE (user_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS entries_by_user_date ON entries (user_id, date);
+  CREATE TABLE IF NOT EXISTS weights (
+    user_id TEXT,
+    date TEXT NOT NULL,
+    weight REAL NOT NULL,
+    UNIQUE (user_id, date)
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * Loads node:sqlite, which needs Node 22.5 or later. Only required when the
+ * SQLite backend is selected, so the JSON backend keeps working on Node 20.
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw new Error(`SQLite storage needs Node 22.5 or later (this is ${process.version})`);
+  }
+}
+
+const UNOWNED_SETTINGS = 'settings';
+const settingsKey = userId => (userId === null ? UNOWNED_SETTINGS : `user:${userId}`);
+
+/**
+ * Rebuilds an entries table from before accounts, which had no user_id
+ * column and required ids to be unique across the whole log. Its entries
+ * become unowned.
+ */
+function upgradeEntriesTable(db) {
+  const columns = db.prepare('PRAGMA table_info(entries)').all().map(c => c.name);
+  if (columns.length === 0 || columns.includes('user_id')) {
+    return;
+  }
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    db.exec('ALTER TABLE entries RENAME TO entries_v1; DROP INDEX IF EXISTS entries_by_date;');
+    db.exec(SCHEMA);
+    const copied = columns.join(', ');
+    db.exec(`INSERT INTO entries (${copied}) SELECT ${copied} FROM entries_v1 ORDER BY seq; DROP TABLE entries_v1;`);
+    db.exec('COMMIT');
+  } catch (err) {
+    db.exec('ROLLBACK');
+    throw err;
+  }
+}
+
+/**
+ * Adds the deleted_at column to an entries table from before the trash.
+ */
+function addDeletedAtColumn(db) {
+  const columns = db.prepare('PRAGMA table_info(entries)').all().map(c => c.name);
+  if (!columns.includes('deleted_at')) {
+    db.exec('ALTER TABLE entries ADD COLUMN deleted_at TEXT');
+  }
+}
+
+/**
+ * Storage backend keeping entries and settings in an SQLite database. Each
+ * entry is stored whole as JSON in `body`, with the fields that queries
+ * filter and sum on copied into columns. See backends/index.js for the
+ * interface.
+ * @param {string} file - path of the database file
+ */
+function createSqliteBackend(file) {
+  let db;
+  let sql;
+
+  const toRow = (userId, date, entry) => ({
+    user_id: userId,
+    id: entry.id,
+    date,
+    timestamp: entry.timestamp,
+    name: entry.name,
+    calories: entry.calories,
+    meal: entry.meal || null,
+    ...Object.fromEntries(MACROS.map(m => [m, entry[m] === undefined ? null : entry[m]])),
+    body: JSON.stringify(entry),
+  });
+
+  function transaction(fn) {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  function groupByDate(rows) {
+    const byDate = {};
+    for (const row of rows) {
+      if (!byDate[row.date]) byDate[row.date] = [];
+      byDate[row.date].push(JSON.parse(row.body));
+    }
+    return byDate;
+  }
+
+  const trashed = row => ({ date: row.date, entry: { ...JSON.parse(row.body), deletedAt: row.deleted_at } });
+
+  return {
+    async init() {
+      const { DatabaseSync } = loadSqlite();
+      db = new DatabaseSync(file);
+      // WAL lets readers in other processes (backups, the migration command)
+      // work alongside the server; the timeout waits out their locks
+      db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+      upgradeEntriesTable(db);
+      db.exec(SCHEMA);
+      addDeletedAtColumn(db);
+      const columns = ['user_id', 'id', 'date', 'timestamp', 'name', 'calories', 'meal', ...MACROS, 'body'];
+      const assignments = columns.filter(c => c !== 'user_id' && c !== 'id').map(c => `${c} = :${c}`);
+      sql = {
+        listDay: db.prepare('SELECT date, body FROM entries WHERE user_id IS ? AND date = ? AND deleted_at IS NULL ORDER BY seq'),
+        listRange: db.prepare(`
+          SELECT date, body FROM entries
+          WHERE user_id IS ? AND date >= ? AND date <= ? AND deleted_at IS NULL ORDER BY date, seq`),
+        find: db.prepare('SELECT date, body FROM entries WHERE user_id IS ? AND id = ? AND deleted_at IS NULL'),
+        findOnDate: db.prepare('SELECT date, body FROM entries WHERE user_id IS ? AND id = ? AND date = ? AND deleted_at IS NULL'),
+        insert: db.prepare(`INSERT INTO entries (${columns.join(', ')}) VALUES (${columns.map(c => `:${c}`).join(', ')})`),
+        insertNew: db.prepare(`
+          INSERT INTO entries (${columns.join(', ')}) VALUES (${columns.map(c => `:${c}`).join(', ')})
+          ON CONFLICT (user_id, id) DO NOTHING`),
+        update: db.prepare(`UPDATE entries SET ${assignments.join(', ')} WHERE user_id IS :user_id AND id = :id`),
+        remove: db.prepare('DELETE FROM entries WHERE user_id IS ? AND id = ?'),
+        trash: db.prepare('UPDATE entries SET deleted_at = ? WHERE user_id IS ? AND id = ?'),
+        trashDay: db.prepare('UPDATE entries SET deleted_at = ? WHERE user_id IS ? AND date = ? AND deleted_at IS NULL'),
+        listTrash: db.prepare(`
+          SELECT date, body, deleted_at FROM entries
+          WHERE user_id IS ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC, seq`),
+        findDeleted: db.prepare('SELECT date, body, deleted_at FROM entries WHERE user_id IS ? AND id = ? AND deleted_at IS NOT NULL'),
+        restore: db.prepare('UPDATE entries SET deleted_at = NULL WHERE user_id IS ? AND id = ?'),
+        purge: db.prepare('DELETE FROM entries WHERE user_id IS ? AND id = ? AND deleted_at IS NOT NULL'),
+        purgeAll: db.prepare('DELETE FROM entries WHERE user_id IS ? AND deleted_at IS NOT NULL'),
+        purgeBefore: db.prepare('DELETE FROM entries WHERE deleted_at < ?'),
+        aggregate: db.prepare(`
+          SELECT date, meal, COUNT(*) AS count, SUM(calories) AS calories,
+            ${MACROS.map(m => `TOTAL(${m}) AS ${m}`).join(', ')}
+          FROM entries WHERE user_id IS ? AND date >= ? AND date <= ? AND deleted_at IS NULL
+          GROUP BY date, meal ORDER BY date`),
+        claimEntries: db.prepare(`
+          UPDATE entries SET user_id = ? WHERE user_id IS NULL
+            AND id NOT IN (SELECT id FROM entries WHERE user_id = ?)`),
+        listWeights: db.prepare('SELECT date, weight FROM weights WHERE user_id IS ? AND date >= ? AND date <= ? ORDER BY date'),
+        insertWeight: db.prepare('INSERT INTO weights (user_id, date, weight) VALUES (?, ?, ?)'),
+        updateWeight: db.prepare('UPDATE weights SET weight = ? WHERE user_id IS ? AND date = ?'),
+        removeWeight: db.prepare('DELETE FROM weights WHERE user_id IS ? AND date = ?'),
+        getSetting: db.prepare('SELECT value FROM settings WHERE key = ?'),
+        putSetting: db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+        dropUnowned: db.prepare('DELETE FROM entries WHERE user_id IS NULL'),
+        claimSettings: db.prepare('UPDATE OR IGNORE settings SET key = ? WHERE key = ?'),
+        removeSetting: db.prepare('DELETE FROM settings WHERE key = ?'),
+      };
+    },
+
+    async listEntries(userId, date) {
+      return sql.listDay.all(userId, date).map(row => JSON.parse(row.body));
+    },
+
+    async listRange(userId, from, to) {
+      return groupByDate(sql.listRange.all(userId, from || '0000-00-00', to || '9999-99-99'));
+    },
+
+    async findEntry(userId, id, date) {
+      const row = date ? sql.findOnDate.get(userId, id, date) : sql.find.get(userId, id);
+      return row ? { date: row.date, entry: JSON.parse(row.body) } : null;
+    },
+
+    // The id check is left to UNIQUE, which doesn't hold for the NULL user
+    // id; only the migration command adds entries to that log
+    async addEntries(userId, items) {
+      return transaction(() =>
+        items.filter(({ date, entry }) => Number(sql.insertNew.run(toRow(userId, date, entry)).changes) > 0));
+    },
+
+    async importEntries(userId, plan) {
+      return transaction(() => {
+        const entriesByDate = groupByDate(sql.listRange.all(userId, '0000-00-00', '9999-99-99'));
+        const result = plan(entriesByDate, sql.listTrash.all(userId).map(trashed));
+        for (const { date, entry } of result.accepted) {
+          sql.insert.run(toRow(userId, date, entry));
+        }
+        return result;
+      });
+    },
+
+    // Moving an entry to another day re-inserts it, so like the JSON backend
+    // it is listed after that day's existing entries
+    async updateEntry(userId, id, date, entry) {
+      return transaction(() => {
+        const current = sql.find.get(userId, id);
+        if (!current) {
+          return false;
+        }
+        if (current.date === date) {
+          sql.update.run(toRow(userId, date, entry));
+        } else {
+          sql.remove.run(userId, id);
+          sql.insert.run(toRow(userId, date, entry));
+        }
+        return true;
+      });
+    },
+
+    async deleteEntry(userId, id, date, deletedAt = new Date().toISOString()) {
+      return transaction(() => {
+        const row = date ? sql.findOnDate.get(userId, id, date) : sql.find.get(userId, id);
+        if (!row) {
+          return null;
+        }
+        sql.trash.run(deletedAt, userId, id);
+        return JSON.parse(row.body);
+      });
+    },
+
+    async clearDay(userId, date, deletedAt = new Date().toISOString()) {
+      return Number(sql.trashDay.run(deletedAt, userId, date).changes);
+    },
+
+    async listTrash(userId) {
+      return sql.listTrash.all(userId).map(trashed);
+    },
+
+    async findDeleted(userId, id) {
+      const row = sql.findDeleted.get(userId, id);
+      return row ? trashed(row) : null;
+    },
+
+    // Unlike the JSON backend, restored entries keep their place in the day
+    async restoreEntries(userId, ids) {
+      return transaction(() => {
+        const restored = [];
+        for (const id of ids) {
+          const row = sql.findDeleted.get(userId, id);
+          if (row) {
+            sql.restore.run(userId, id);
+            restored.push({ date: row.date, entry: JSON.parse(row.body) });
+          }
+        }
+        return restored;
+      });
+    },
+
+    async purgeTrash(userId, ids = null) {
+      if (!ids) {
+        return Number(sql.purgeAll.run(userId).changes);
+      }
+      return transaction(() => ids.reduce((count, id) => count + Number(sql.purge.run(userId, id).changes), 0));
+    },
+
+    async purgeDeleted(before) {
+      return Number(sql.purgeBefore.run(before).changes);
+    },
+
+    async aggregate(userId, from, to) {
+      const days = {};
+      for (const group of sql.aggregate.all(userId, from || '0000-00-00', to || '9999-99-99')) {
+        if (!days[group.date]) days[group.date] = emptySummary();
+        addToSummary(days[group.date], group);
+      }
+      for (const date of Object.keys(days)) {
+        roundSummary(days[date]);
+      }
+      return days;
+    },
+
+    async listWeights(userId, from, to) {
+      return sql.listWeights.all(userId, from || '0000-00-00', to || '9999-99-99')
+        .map(row => ({ date: row.date, weight: row.weight }));
+    },
+
+    // Updated in place rather than upserted, as UNIQUE doesn't hold for the
+    // NULL user id
+    async saveWeight(userId, date, weight) {
+      return transaction(() => {
+        if (Number(sql.updateWeight.run(weight, userId, date).changes) > 0) {
+          return false;
+        }
+        sql.insertWeight.run(userId, date, weight);
+        return true;
+      });
+    },
+
+    async deleteWeight(userId, date) {
+      return Number(sql.removeWeight.run(userId, date).changes) > 0;
+    },
+
+    async getSettings(userId) {
+      const row = sql.getSetting.get(settingsKey(userId));
+      return row ? JSON.parse(row.value) : {};
+    },
+
+    async saveSettings(userId, settings) {
+      sql.putSetting.run(settingsKey(userId), JSON.stringify(settings));
+    },
+
+    // Entries whose id the user already has are dropped; the user's own
+    // settings win over the unowned ones
+    async claimUnowned(userId) {
+      return transaction(() => {
+        const count = Number(sql.claimEntries.run(userId, userId).changes);
+        sql.dropUnowned.run();
+        sql.claimSettings.run(settingsKey(userId), UNOWNED_SETTINGS);
+        sql.removeSetting.run(UNOWNED_SETTINGS);
+        return count;
+      });
+    },
+
+    async close() {
+      if (db) db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteBackend };
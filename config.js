@@ -0,0 +1,223 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { BACKENDS } = require('./backends');
+
+// An optional config file read from the project directory when no other
+// one is named with --config or CONFIG_FILE.
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+
+// Every setting: its default, the environment variable (and for some, the
+// command-line flag) that sets it, and the kind of value it takes. Files
+// left null are worked out from where `dataFile` is: `data.db`,
+// `foods.json`, `users.json` and `audit.jsonl` beside it.
+const SETTINGS = {
+  host: { default: null, env: 'HOST', flag: '--host', kind: 'host' },
+  port: { default: 3000, env: 'PORT', flag: '--port', kind: 'port' },
+  storage: { default: 'json', env: 'STORAGE', kind: 'storage' },
+  dataFile: { default: path.join(__dirname, 'data.json'), env: 'DATA_FILE', flag: '--data', kind: 'path' },
+  sqliteFile: { default: null, env: 'SQLITE_FILE', kind: 'path' },
+  foodsFile: { default: null, env: 'FOODS_FILE', kind: 'path' },
+  usersFile: { default: null, env: 'USERS_FILE', kind: 'path' },
+  auditFile: { default: null, env: 'AUDIT_FILE', kind: 'path' },
+  maxBodyBytes: { default: 100 * 1024, env: 'MAX_BODY_BYTES', kind: 'count' },
+  maxImportBytes: { default: 10 * 1024 * 1024, env: 'MAX_IMPORT_BYTES', kind: 'count' },
+  rateLimitBurst: { default: 300, env: 'RATE_LIMIT_BURST', kind: 'count' },
+  rateLimitPerSecond: { default: 30, env: 'RATE_LIMIT_PER_SECOND', kind: 'rate' },
+  trashRetentionDays: { default: 30, env: 'TRASH_RETENTION_DAYS', kind: 'count' },
+  tdeeWeeks: { default: 4, env: 'TDEE_WEEKS', kind: 'count' },
+  storeRecheckMs: { default: 1000, env: 'STORE_RECHECK_MS', kind: 'interval' },
+};
+
+// How each kind of value is checked. Numbers given as text (from the
+// environment or the command line) are converted first.
+const KINDS = {
+  host: {
+    message: 'must be a host name or IP address',
+    check: value => typeof value === 'string' && value.trim() !== '',
+  },
+  port: {
+    numeric: true,
+    message: 'must be a whole number from 0 to 65535 (0 picks a free port)',
+    check: value => Number.isInteger(value) && value >= 0 && value <= 65535,
+  },
+  storage: {
+    message: `must be one of ${BACKENDS.join(', ')}`,
+    check: value => BACKENDS.includes(value),
+  },
+  path: {
+    message: 'must be a file path',
+    check: value => typeof value === 'string' && value.trim() !== '',
+  },
+  count: {
+    numeric: true,
+    message: 'must be a positive whole number',
+    check: value => Number.isInteger(value) && value > 0,
+  },
+  interval: {
+    numeric: true,
+    message: 'must be a whole number of milliseconds, 0 or more',
+    check: value => Number.isInteger(value) && value >= 0,
+  },
+  rate: {
+    numeric: true,
+    message: 'must be a positive number',
+    check: value => typeof value === 'number' && Number.isFinite(value) && value > 0,
+  },
+};
+
+/**
+ * A setting that is unknown or has a bad value. The message names where it
+ * came from: the config file, environment variable or flag.
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+/**
+ * Checks one setting and returns its value, with paths made absolute from
+ * `base`. `text` says the value came as a string to be converted.
+ */
+function parseSetting(name, value, { source, base, text = false }) {
+  const kind = KINDS[SETTINGS[name].kind];
+  let parsed = value;
+  if (text && kind.numeric) {
+    parsed = value.trim() === '' ? NaN : Number(value);
+  }
+  if (!kind.check(parsed)) {
+    throw new ConfigError(`${source}: ${name} ${kind.message}, got ${JSON.stringify(value)}`);
+  }
+  if (SETTINGS[name].kind === 'path') {
+    return path.resolve(base, parsed);
+  }
+  return typeof parsed === 'string' ? parsed.trim() : parsed;
+}
+
+/**
+ * Builds a complete config from the settings given, each checked; anything
+ * left out (or undefined) takes its default. Relative paths are taken from
+ * `base`, the working directory unless given.
+ * @param {object} [settings]
+ * @param {{source?: string, base?: string}} [options] - `source` names where
+ *   the settings came from in error messages
+ * @returns {object} a frozen config
+ */
+function resolveConfig(settings = {}, { source = 'config', base = process.cwd() } = {}) {
+  const config = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    config[name] = setting.default;
+  }
+  for (const [name, value] of Object.entries(settings)) {
+    if (!SETTINGS[name]) {
+      throw new ConfigError(`${source}: unknown setting "${name}"`);
+    }
+    if (value !== undefined && value !== null) {
+      config[name] = parseSetting(name, value, { source, base });
+    }
+  }
+
+  const dir = path.dirname(config.dataFile);
+  config.sqliteFile = config.sqliteFile || path.join(dir, 'data.db');
+  config.foodsFile = config.foodsFile || path.join(dir, 'foods.json');
+  config.usersFile = config.usersFile || path.join(dir, 'users.json');
+  config.auditFile = config.auditFile || path.join(dir, 'audit.jsonl');
+  return Object.freeze(config);
+}
+
+/**
+ * Reads command-line flags (`--port 8080` or `--port=8080`) into settings,
+ * plus the config file named by `--config`.
+ * @param {string[]} argv
+ * @returns {{settings: object, configFile: string|undefined}}
+ */
+function parseArgs(argv) {
+  const flags = Object.fromEntries(Object.entries(SETTINGS)
+    .filter(([, setting]) => setting.flag)
+    .map(([name, setting]) => [setting.flag, name]));
+  const settings = {};
+  let configFile;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (flag !== '--config' && !flags[flag]) {
+      throw new ConfigError(`Unknown option ${argv[i]}`);
+    }
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) {
+      throw new ConfigError(`${flag} needs a value`);
+    }
+    if (flag === '--config') {
+      configFile = value;
+    } else {
+      settings[flags[flag]] = value;
+    }
+  }
+  return { settings, configFile };
+}
+
+/**
+ * Reads a JSON config file of settings. A missing file is only an error
+ * when it was asked for by name.
+ */
+function readConfigFile(file, { required }) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) {
+      return {};
+    }
+    throw new ConfigError(`${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+  let settings;
+  try {
+    settings = JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`${file}: invalid JSON (${err.message})`);
+  }
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ConfigError(`${file}: expected an object of settings`);
+  }
+  return settings;
+}
+
+/**
+ * Loads the server's config. Each source overrides the ones before it:
+ * defaults, then the JSON config file (`--config`, CONFIG_FILE or
+ * config.json in the project directory), then environment variables, then
+ * command-line flags. Paths in the config file are relative to the file;
+ * others to the working directory.
+ * @param {{argv?: string[], env?: object, cwd?: string}} [options]
+ * @returns {object} a frozen config
+ * @throws {ConfigError} for unknown settings or flags, or bad values
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const args = parseArgs(argv);
+  const named = args.configFile || env.CONFIG_FILE;
+  const configFile = named ? path.resolve(cwd, named) : DEFAULT_CONFIG_FILE;
+
+  const fromFile = readConfigFile(configFile, { required: Boolean(named) });
+  const settings = {};
+  for (const [name, value] of Object.entries(fromFile)) {
+    if (!SETTINGS[name]) {
+      throw new ConfigError(`${configFile}: unknown setting "${name}"`);
+    }
+    if (value === null) continue;
+    settings[name] = parseSetting(name, value, { source: configFile, base: path.dirname(configFile) });
+  }
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      settings[name] = parseSetting(name, env[setting.env], { source: setting.env, base: cwd, text: true });
+    }
+  }
+  for (const [name, value] of Object.entries(args.settings)) {
+    settings[name] = parseSetting(name, value, { source: SETTINGS[name].flag, base: cwd, text: true });
+  }
+  return resolveConfig(settings, { base: cwd });
+}
+
+module.exports = { SETTINGS, ConfigError, resolveConfig, loadConfig };
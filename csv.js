@@ -0,0 +1,90 @@
+'use strict';
+
+// Text that spreadsheets would run as a formula, behind any apostrophes
+// already guarding it. An apostrophe is added in front on export, so the
+// cell shows as text, and taken off again on import.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Formats one CSV field. Fields containing commas, quotes or line breaks are
+ * quoted, with embedded quotes doubled (RFC 4180). Text starting like a
+ * formula gets a leading apostrophe. Missing values become empty fields.
+ * @param {*} value
+ * @returns {string}
+ */
+function formatCSVField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const str = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Formats a row of values as a CRLF-terminated CSV line.
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function formatCSVRow(values) {
+  return values.map(formatCSVField).join(',') + '\r\n';
+}
+
+/**
+ * Parses CSV text into rows of string fields. Accepts quoted fields with
+ * embedded commas, doubled quotes and line breaks, either LF or CRLF line
+ * endings, and a leading byte order mark. Blank lines are skipped. The
+ * apostrophe formatCSVField puts in front of formula-like text is removed.
+ * @param {string} text
+ * @returns {Array<string[]>}
+ * @throws {Error} if a quoted field is never closed
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const unguard = text => (text[0] === "'" && FORMULA_START.test(text) ? text.slice(1) : text);
+  const endRow = () => {
+    row.push(unguard(field));
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(unguard(field));
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+module.exports = { formatCSVField, formatCSVRow, parseCSV };
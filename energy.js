@@ -0,0 +1,133 @@
+'use strict';
+
+const { daysBetween, summarizeDays } = require('./stats');
+const { KG_PER_WEIGHT_UNIT } = require('./public/schemas');
+
+// Energy stored in a kilogram of body fat (about 3500 kcal a pound). Weights
+// are stored and worked with in kg; the API converts them to and from the
+// unit chosen in the settings.
+const KCAL_PER_KG = 7700;
+
+// How far the trend moves toward each day's weigh-in, as in The Hacker's
+// Diet. Lower values smooth away more of the daily swings of water and food
+// in the gut, but follow real change more slowly.
+const TREND_SMOOTHING = 0.1;
+
+// The least an estimate is made from: weigh-ins at least a week apart, with
+// food logged on at least half of the days between them.
+const MIN_SPAN_DAYS = 7;
+const MIN_LOGGED_SHARE = 0.5;
+
+// The lowest daily goal set automatically, however fast the target rate.
+const MIN_AUTO_GOAL = 1200;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Converts a weight, or a weekly change in weight, from `unit` to kg. Kept
+ * to 4 places, enough to convert back to the same 2.
+ * @param {number} value
+ * @param {string} unit - one of schemas.WEIGHT_UNITS
+ * @returns {number}
+ */
+function toKg(value, unit) {
+  return round(value * KG_PER_WEIGHT_UNIT[unit], 4);
+}
+
+/**
+ * Converts a weight, or a weekly change in weight, from kg to `unit`, to 2
+ * places.
+ * @param {number} value
+ * @param {string} unit - one of schemas.WEIGHT_UNITS
+ * @returns {number}
+ */
+function fromKg(value, unit) {
+  return round(value / KG_PER_WEIGHT_UNIT[unit], 2);
+}
+
+/**
+ * Adds the moving-average `trend` to each weigh-in: an exponential moving
+ * average starting from the first weigh-in. Days without a weigh-in count
+ * as if the trend had been smoothed toward the next one on each of them.
+ * @param {Array<{date: string, weight: number}>} weights - in date order
+ * @param {number} [smoothing]
+ * @returns {Array<{date: string, weight: number, trend: number}>} new rows
+ */
+function weightTrend(weights, smoothing = TREND_SMOOTHING) {
+  let trend = null;
+  let last = null;
+  return weights.map(({ date, weight }) => {
+    if (trend === null) {
+      trend = weight;
+    } else {
+      const gap = daysBetween(last, date) - 1;
+      trend += (1 - (1 - smoothing) ** gap) * (weight - trend);
+    }
+    last = date;
+    return { date, weight, trend: round(trend, 2) };
+  });
+}
+
+/**
+ * Estimates total daily energy expenditure (TDEE) from energy balance: the
+ * average intake on the days logged between the first and last weigh-in,
+ * less the energy the change in trend weight over those days stands for.
+ * Returns `{ estimate, reason }`, with a null estimate and the reason why
+ * when there isn't enough data.
+ * @param {Array<{date: string, trend: number}>} weights - weigh-ins in kg in
+ *   the period, in date order, from weightTrend
+ * @param {Array<{date: string, total: number, entries: number}>} days - the
+ *   period's rows from stats.dailyTotals
+ * @returns {{estimate: object|null, reason: string|null}}
+ */
+function estimateTdee(weights, days) {
+  const first = weights[0];
+  const last = weights[weights.length - 1];
+  const span = weights.length < 2 ? 0 : daysBetween(first.date, last.date) - 1;
+  if (span < MIN_SPAN_DAYS) {
+    return { estimate: null, reason: `Needs weigh-ins at least ${MIN_SPAN_DAYS} days apart` };
+  }
+
+  // The last weigh-in shows the effect of the day before it, not its own
+  const eaten = summarizeDays(days.filter(day => day.date >= first.date && day.date < last.date));
+  if (eaten.daysLogged < span * MIN_LOGGED_SHARE) {
+    return { estimate: null, reason: 'Needs food logged on at least half of the days between weigh-ins' };
+  }
+
+  const change = last.trend - first.trend;
+  return {
+    estimate: {
+      from: first.date,
+      to: last.date,
+      days: span,
+      daysLogged: eaten.daysLogged,
+      averageIntake: eaten.average,
+      weightChange: round(change, 2),
+      weeklyRate: round((change / span) * 7, 2),
+      tdee: Math.round(eaten.average - (change / span) * KCAL_PER_KG),
+    },
+    reason: null,
+  };
+}
+
+/**
+ * The daily goal that changes weight by `targetRate` kg a week at a TDEE,
+ * to the nearest 10 and no lower than MIN_AUTO_GOAL.
+ * @param {number} tdee
+ * @param {number} targetRate - kg a week, negative to lose weight
+ * @returns {number}
+ */
+function adaptiveGoal(tdee, targetRate) {
+  const goal = Math.round((tdee + (targetRate * KCAL_PER_KG) / 7) / 10) * 10;
+  return Math.max(MIN_AUTO_GOAL, goal);
+}
+
+module.exports = {
+  KCAL_PER_KG,
+  MIN_AUTO_GOAL,
+  toKg,
+  fromKg,
+  weightTrend,
+  estimateTdee,
+  adaptiveGoal,
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Recent events kept for clients resuming with Last-Event-ID, across all
+// users. A client away for longer than this many changes starts over.
+const HISTORY_SIZE = 1000;
+
+// Open streams get a comment line this often, so proxies and browsers don't
+// drop a quiet connection and a dead one is noticed.
+const HEARTBEAT_MS = 15 * 1000;
+
+// How long a browser waits before reconnecting after the stream drops.
+const RETRY_MS = 3000;
+
+/**
+ * Formats one Server-Sent Events message.
+ * @param {{id?: string, event?: string, data: *}} message - `data` is sent
+ *   as JSON
+ * @returns {string}
+ */
+function formatEvent({ id, event, data }) {
+  let text = '';
+  if (id !== undefined) text += `id: ${id}\n`;
+  if (event) text += `event: ${event}\n`;
+  return `${text}data: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Creates a hub that streams each user's changes to their open event
+ * streams (browser tabs and devices). Event ids are `<epoch>-<n>`, where
+ * the epoch is new each time the hub starts, so an id from before a restart
+ * is recognised as one that can't be resumed from.
+ *
+ * @param {object} [options]
+ * @param {number} [options.historySize]
+ * @param {number} [options.heartbeatMs]
+ * @returns {{publish: Function, subscribe: Function, size: function(): number, close: Function}}
+ */
+function createEventHub({ historySize = HISTORY_SIZE, heartbeatMs = HEARTBEAT_MS } = {}) {
+  const epoch = crypto.randomBytes(4).toString('hex');
+  const history = [];
+  const streams = new Set();
+  let sequence = 0;
+
+  const heartbeat = setInterval(() => {
+    for (const stream of streams) stream.res.write(': heartbeat\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  // The events after `lastEventId` for a user, or null when that id isn't
+  // in the history (from before a restart, or too long ago).
+  function missedSince(userId, lastEventId) {
+    const [idEpoch, n] = String(lastEventId).split('-');
+    const seen = Number(n);
+    const oldest = history.length > 0 ? history[0].seq : sequence + 1;
+    if (idEpoch !== epoch || !Number.isInteger(seen) || seen > sequence || seen < oldest - 1) {
+      return null;
+    }
+    return history.filter(item => item.seq > seen && item.userId === userId);
+  }
+
+  return {
+    /**
+     * Sends an event to every open stream of a user and keeps it for
+     * resuming.
+     * @param {string} userId
+     * @param {string} event - event type, e.g. 'entry-created'
+     * @param {object} data
+     */
+    publish(userId, event, data) {
+      sequence++;
+      const item = { seq: sequence, userId, message: formatEvent({ id: `${epoch}-${sequence}`, event, data }) };
+      history.push(item);
+      if (history.length > historySize) history.shift();
+      for (const stream of streams) {
+        if (stream.userId === userId) stream.res.write(item.message);
+      }
+    },
+
+    /**
+     * Turns a response into an event stream for a user. With a
+     * `lastEventId` the events missed since then are sent first, or a
+     * `reset` event when they can't be, telling the client to reload.
+     * @param {string} userId
+     * @param {object} res - HTTP response
+     * @param {string} [lastEventId]
+     */
+    subscribe(userId, res, lastEventId) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stops nginx and similar proxies holding events back
+        'X-Accel-Buffering': 'no',
+      });
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      if (lastEventId) {
+        const missed = missedSince(userId, lastEventId);
+        if (missed) {
+          for (const item of missed) res.write(item.message);
+        } else {
+          res.write(formatEvent({ event: 'reset', data: {} }));
+        }
+      }
+
+      const stream = { userId, res };
+      streams.add(stream);
+      res.on('close', () => streams.delete(stream));
+    },
+
+    /** Number of open streams. */
+    size() {
+      return streams.size;
+    },
+
+    /** Ends every stream and stops the heartbeat, for shutting down. */
+    close() {
+      clearInterval(heartbeat);
+      for (const stream of streams) stream.res.end();
+      streams.clear();
+    },
+  };
+}
+
+module.exports = { formatEvent, createEventHub };
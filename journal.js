@@ -0,0 +1,88 @@
+'use strict';
+
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * Creates the change journal: a log of every change made to entries, kept
+ * in its own file of JSON lines that is only ever appended to. It doesn't
+ * depend on the data file or database, so the history of an entry can still
+ * be read (and the entry rebuilt) if those are lost or corrupted.
+ *
+ * Records are `{ at, userId, action, entryId, before, after }`, where
+ * `before` and `after` are the entry with its `date`, or null when it didn't
+ * exist (or wasn't listed) on that side of the change.
+ *
+ * @param {string} file - path of the journal, e.g. audit.jsonl
+ * @returns {{append: function(object[]): Promise<void>, read: function(function(object): boolean): Promise<object[]>}}
+ */
+function createJournal(file) {
+  let queue = Promise.resolve();
+
+  // A crash in the middle of an append can leave a last line without its
+  // newline; the next record then starts on a line of its own.
+  async function needsNewline(handle) {
+    const { size } = await handle.stat();
+    if (size === 0) return false;
+    const { buffer } = await handle.read(Buffer.alloc(1), 0, 1, size - 1);
+    return buffer[0] !== 0x0a;
+  }
+
+  return {
+    /**
+     * Adds records to the end of the journal, flushed to disk before the
+     * promise resolves. Appends run one at a time, so records from
+     * overlapping requests are never interleaved.
+     * @param {object[]} records
+     */
+    append(records) {
+      if (records.length === 0) {
+        return queue;
+      }
+      const text = records.map(record => `${JSON.stringify(record)}\n`).join('');
+      const run = queue.then(async () => {
+        const handle = await fs.promises.open(file, 'a+');
+        try {
+          await handle.write(await needsNewline(handle) ? `\n${text}` : text);
+          await handle.datasync();
+        } finally {
+          await handle.close();
+        }
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    /**
+     * Reads the records passing `test`, oldest first. Lines that aren't
+     * valid JSON, such as one cut short by a crash, are skipped. A journal
+     * that doesn't exist yet has no records.
+     * @param {function(object): boolean} test
+     * @returns {Promise<object[]>}
+     */
+    async read(test) {
+      await queue;
+      const records = [];
+      try {
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+          let record;
+          try {
+            record = JSON.parse(line);
+          } catch {
+            continue;
+          }
+          if (record && typeof record === 'object' && test(record)) {
+            records.push(record);
+          }
+        }
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+      return records;
+    },
+  };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,70 @@
+'use strict';
+
+// Optional per-entry macronutrients (in grams) and meals, shared with the
+// browser. Entries without a meal are reported as "other" in per-meal
+// breakdowns.
+const { MACROS, MEALS } = require('./public/schemas');
+
+/**
+ * Returns a zeroed day summary: entry count, calorie total, grams per macro
+ * and calories per meal.
+ * @returns {{count: number, total: number, macros: object, meals: object}}
+ */
+function emptySummary() {
+  return {
+    count: 0,
+    total: 0,
+    macros: Object.fromEntries(MACROS.map(m => [m, 0])),
+    meals: Object.fromEntries([...MEALS, 'other'].map(m => [m, 0])),
+  };
+}
+
+/**
+ * Adds a group of entries that share a meal to a summary. `group` holds the
+ * number of entries, their summed calories and macros (missing macros count
+ * as zero) and the meal (null for none). A single entry is a group of one.
+ * @param {object} summary - from emptySummary; modified in place
+ * @param {object} group
+ * @returns {object} the summary
+ */
+function addToSummary(summary, group) {
+  summary.count += group.count;
+  summary.total += group.calories;
+  summary.meals[group.meal || 'other'] += group.calories;
+  for (const m of MACROS) {
+    summary.macros[m] += group[m] || 0;
+  }
+  return summary;
+}
+
+/**
+ * Rounds a summary's sums to one decimal place.
+ * @param {object} summary - modified in place
+ * @returns {object} the summary
+ */
+function roundSummary(summary) {
+  const round = value => Math.round(value * 10) / 10;
+  summary.total = round(summary.total);
+  for (const m of MACROS) {
+    summary.macros[m] = round(summary.macros[m]);
+  }
+  for (const meal of Object.keys(summary.meals)) {
+    summary.meals[meal] = round(summary.meals[meal]);
+  }
+  return summary;
+}
+
+/**
+ * Summarizes a list of entries: see emptySummary.
+ * @param {Array<object>} entries
+ * @returns {object}
+ */
+function summarizeEntries(entries) {
+  const summary = emptySummary();
+  for (const entry of entries) {
+    addToSummary(summary, { ...entry, count: 1 });
+  }
+  return roundSummary(summary);
+}
+
+module.exports = { MACROS, MEALS, emptySummary, addToSummary, roundSummary, summarizeEntries };
@@ -0,0 +1,581 @@
+'use strict';
+
+const { MACROS, MEALS } = require('./nutrition');
+
+const grams = { type: 'number', minimum: 0, description: 'Grams' };
+const macroProperties = Object.fromEntries(MACROS.map(m => [m, grams]));
+const nullableMacroProperties = Object.fromEntries(MACROS.map(m => [m, { type: ['number', 'null'], minimum: 0 }]));
+const date = { type: 'string', format: 'date', example: '2024-05-01' };
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const errorResponse = description => ({ description, ...json(ref('Error')) });
+
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+const dateParameter = {
+  name: 'date',
+  in: 'query',
+  description: 'Day to use; defaults to today',
+  schema: date,
+};
+const dayParameter = { name: 'date', in: 'path', required: true, schema: date };
+const weight = { type: 'number', exclusiveMinimum: 0, description: 'In the weight unit of your settings, kg or lb' };
+
+/**
+ * Builds the OpenAPI 3.1 description of the public API served at
+ * `/api/v1/openapi.json`. Schemas set `additionalProperties: false` so the
+ * integration tests catch any response field that isn't documented.
+ * @param {{ units: string[] }} options - units a portion can be given in
+ * @returns {object}
+ */
+function openApiDocument({ units }) {
+  const basis = {
+    type: 'object',
+    description: 'Nutrition of one serving, used to scale a measured portion',
+    required: ['servingSize', 'servingUnit', 'calories'],
+    additionalProperties: false,
+    properties: {
+      servingSize: { type: 'number', exclusiveMinimum: 0 },
+      servingUnit: { type: 'string', enum: units },
+      calories: { type: 'number', exclusiveMinimum: 0 },
+      ...macroProperties,
+    },
+  };
+  const entryProperties = {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    calories: { type: 'number', exclusiveMinimum: 0 },
+    ...macroProperties,
+    meal: { type: 'string', enum: MEALS },
+    quantity: { type: 'number', exclusiveMinimum: 0, description: 'Amount logged, for measured entries' },
+    unit: { type: 'string', enum: units },
+    foodId: { type: 'string', description: 'Saved food the portion was measured from' },
+    recipeId: { type: 'string', description: 'Recipe the servings were logged from' },
+    basis: basis,
+    timestamp: { type: 'string', format: 'date-time' },
+  };
+  // An entry with its day, as the change journal records it
+  const snapshot = {
+    type: ['object', 'null'],
+    required: ['date', 'id', 'name', 'calories', 'timestamp'],
+    additionalProperties: false,
+    properties: { date, ...entryProperties, deletedAt: { type: 'string', format: 'date-time' } },
+  };
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Calorie Tracker API',
+      version: '1.0.0',
+      description: 'Log food, read daily totals and manage personal API tokens. ' +
+        'Authenticate with `Authorization: Bearer <token>` using a personal API token ' +
+        '(see /tokens) or the token returned by /auth/login.',
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { cookieAuth: [] }],
+    paths: {
+      '/auth/login': {
+        post: {
+          summary: 'Sign in',
+          security: [],
+          requestBody: json(ref('Credentials')),
+          responses: {
+            200: { description: 'Signed in; also sets the session cookie', ...json(ref('Session')) },
+            400: errorResponse('Invalid JSON'),
+            401: errorResponse('Wrong username or password'),
+          },
+        },
+      },
+      '/entries': {
+        get: {
+          summary: "List a day's entries",
+          parameters: [
+            dateParameter,
+            { name: 'meal', in: 'query', schema: { type: 'string', enum: MEALS } },
+          ],
+          responses: {
+            200: { description: 'Entries in the order they were added', ...json({ type: 'array', items: ref('Entry') }) },
+            400: errorResponse('Invalid date or meal'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+        post: {
+          summary: 'Log an entry',
+          requestBody: json(ref('NewEntry')),
+          responses: {
+            200: { description: 'An entry with the given `id` was already logged; it is returned unchanged', ...json(ref('Entry')) },
+            201: { description: 'The new entry', ...json(ref('Entry')) },
+            400: errorResponse('Invalid entry'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+        delete: {
+          summary: "Clear a day's entries",
+          parameters: [dateParameter],
+          responses: {
+            204: { description: 'Cleared; the entries are moved to the trash' },
+            400: errorResponse('Invalid date'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/entries/{id}': {
+        parameters: [idParameter],
+        patch: {
+          summary: 'Change some fields of an entry',
+          description: 'Changing `date` or `timestamp` moves the entry to that day. `null` clears a macro or the meal.',
+          requestBody: json(ref('EntryChanges')),
+          responses: {
+            200: { description: 'The updated entry', ...json(ref('Entry')) },
+            400: errorResponse('Invalid changes'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No such entry'),
+          },
+        },
+        put: {
+          summary: 'Replace an entry',
+          requestBody: json(ref('NewEntry')),
+          responses: {
+            200: { description: 'The updated entry', ...json(ref('Entry')) },
+            400: errorResponse('Invalid entry'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No such entry'),
+          },
+        },
+        delete: {
+          summary: 'Delete an entry, moving it to the trash',
+          parameters: [{ ...dateParameter, description: 'Only look on this day' }],
+          responses: {
+            204: { description: 'Moved to the trash' },
+            400: errorResponse('Invalid date'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No such entry'),
+          },
+        },
+      },
+      '/entries/{id}/history': {
+        parameters: [idParameter],
+        get: {
+          summary: 'Every recorded change to an entry, oldest first',
+          responses: {
+            200: { description: 'Changes; an entry logged before the journal was kept may have none', ...json({ type: 'array', items: ref('AuditRecord') }) },
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No such entry, and no changes recorded'),
+          },
+        },
+      },
+      '/audit': {
+        get: {
+          summary: 'Changes to your log made between two days, oldest first',
+          parameters: [
+            { name: 'from', in: 'query', description: 'First day, by when the change was made', schema: date },
+            { name: 'to', in: 'query', description: 'Last day', schema: date },
+          ],
+          responses: {
+            200: { description: 'Changes', ...json({ type: 'array', items: ref('AuditRecord') }) },
+            400: errorResponse('Invalid date, or from after to'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/total': {
+        get: {
+          summary: "A day's totals and goal progress",
+          parameters: [dateParameter],
+          responses: {
+            200: { description: 'Totals for the day', ...json(ref('Total')) },
+            400: errorResponse('Invalid date'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/events': {
+        get: {
+          summary: 'Stream changes to your log as Server-Sent Events',
+          description: 'Events are `entry-created` (`date`, `entry`), `entry-updated` (`date`, `previousDate`, ' +
+            '`entry`), `entry-deleted` (`date`, `id`), `day-cleared` (`date`), `entries-imported` ' +
+            '(`dates`, `count`) and `entries-restored` (`entries`, each `{ date, entry }`), each with `totals`: the new totals of every day it touched, keyed by date. ' +
+            'Reconnecting with the last event id replays the events missed, or sends `reset` when they ' +
+            'are no longer known and the log should be reloaded.',
+          parameters: [
+            { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+            { name: 'lastEventId', in: 'query', description: 'For clients that cannot set headers', schema: { type: 'string' } },
+          ],
+          responses: {
+            200: { description: 'The stream; a comment is sent every 15 seconds to keep it open', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/weights': {
+        get: {
+          summary: 'List weigh-ins with their trend',
+          parameters: [
+            { name: 'from', in: 'query', description: 'First day; open if left out', schema: date },
+            { name: 'to', in: 'query', description: 'Last day; open if left out', schema: date },
+          ],
+          responses: {
+            200: { description: 'Weigh-ins, oldest first', ...json({ type: 'array', items: ref('WeighIn') }) },
+            400: errorResponse('Invalid date, or from after to'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+        post: {
+          summary: "Record a day's weigh-in",
+          description: "Replaces the day's weigh-in if it has one. With a target rate set, the daily goal from today is adjusted to the new estimate.",
+          requestBody: json({
+            type: 'object',
+            required: ['weight'],
+            properties: { date: { ...date, description: 'Defaults to today; not after today' }, weight },
+          }),
+          responses: {
+            200: { description: "The weigh-in, replacing the day's earlier one", ...json(ref('WeighIn')) },
+            201: { description: 'The weigh-in', ...json(ref('WeighIn')) },
+            400: errorResponse('Invalid date or weight, or a date after today'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/weights/{date}': {
+        parameters: [dayParameter],
+        get: {
+          summary: "A day's weigh-in",
+          responses: {
+            200: { description: 'The weigh-in', ...json(ref('WeighIn')) },
+            400: errorResponse('Invalid date'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No weigh-in on that day'),
+          },
+        },
+        put: {
+          summary: "Correct a day's weigh-in",
+          requestBody: json({ type: 'object', required: ['weight'], properties: { weight } }),
+          responses: {
+            200: { description: 'The weigh-in', ...json(ref('WeighIn')) },
+            400: errorResponse('Invalid date or weight, or a date after today'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No weigh-in on that day'),
+          },
+        },
+        delete: {
+          summary: "Delete a day's weigh-in",
+          responses: {
+            204: { description: 'Deleted' },
+            400: errorResponse('Invalid date'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No weigh-in on that day'),
+          },
+        },
+      },
+      '/energy': {
+        get: {
+          summary: 'Trend weight, estimated TDEE and the goal for your target rate',
+          description: 'TDEE (total daily energy expenditure) is estimated from the calories logged and the change in ' +
+            'trend weight over the last `tdeeWeeks` weeks (4 by default) up to the day.',
+          parameters: [dateParameter],
+          responses: {
+            200: { description: 'The energy balance as of the day', ...json(ref('Energy')) },
+            400: errorResponse('Invalid date'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/trash': {
+        get: {
+          summary: 'List deleted entries',
+          description: 'Deleted entries are kept for `trashRetentionDays` (30 by default), then purged.',
+          responses: {
+            200: { description: 'Entries, most recently deleted first', ...json({ type: 'array', items: ref('TrashedEntry') }) },
+            401: errorResponse('Not signed in'),
+          },
+        },
+        delete: {
+          summary: 'Empty the trash',
+          responses: {
+            204: { description: 'Emptied' },
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/trash/restore': {
+        post: {
+          summary: 'Restore deleted entries to their days',
+          requestBody: json({
+            type: 'object',
+            required: ['ids'],
+            properties: { ids: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+          }),
+          responses: {
+            200: { description: 'The entries restored; ids not in the trash are skipped', ...json({ type: 'array', items: ref('RestoredEntry') }) },
+            400: errorResponse('Missing or invalid ids'),
+            401: errorResponse('Not signed in'),
+            404: errorResponse('None of the entries are in the trash'),
+          },
+        },
+      },
+      '/trash/{id}': {
+        parameters: [idParameter],
+        delete: {
+          summary: 'Delete an entry in the trash for good',
+          responses: {
+            204: { description: 'Purged' },
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No such entry in the trash'),
+          },
+        },
+      },
+      '/tokens': {
+        get: {
+          summary: 'List your API tokens',
+          responses: {
+            200: { description: 'Tokens, oldest first', ...json({ type: 'array', items: ref('ApiToken') }) },
+            401: errorResponse('Not signed in'),
+          },
+        },
+        post: {
+          summary: 'Create an API token',
+          requestBody: json({
+            type: 'object',
+            required: ['name'],
+            properties: { name: { type: 'string', minLength: 1, maxLength: 100 } },
+          }),
+          responses: {
+            201: { description: 'The token; its secret is only shown this once', ...json(ref('NewApiToken')) },
+            400: errorResponse('Missing or invalid name'),
+            401: errorResponse('Not signed in'),
+          },
+        },
+      },
+      '/tokens/{id}': {
+        parameters: [idParameter],
+        delete: {
+          summary: 'Revoke an API token',
+          responses: {
+            204: { description: 'Revoked; the token stops working at once' },
+            401: errorResponse('Not signed in'),
+            404: errorResponse('No such token'),
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'session' },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          additionalProperties: false,
+          properties: {
+            error: { type: 'string', description: 'The first problem found' },
+            fields: {
+              type: 'object',
+              description: 'For invalid input, a message per invalid field, keyed by field name',
+              additionalProperties: { type: 'string' },
+            },
+          },
+        },
+        Credentials: {
+          type: 'object',
+          required: ['username', 'password'],
+          properties: { username: { type: 'string' }, password: { type: 'string' } },
+        },
+        User: {
+          type: 'object',
+          required: ['id', 'username', 'createdAt'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'string' },
+            username: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        Session: {
+          type: 'object',
+          required: ['user', 'token', 'expiresAt'],
+          additionalProperties: false,
+          properties: {
+            user: ref('User'),
+            token: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        Entry: {
+          type: 'object',
+          required: ['id', 'name', 'calories', 'timestamp'],
+          additionalProperties: false,
+          properties: {
+            ...entryProperties,
+            warnings: {
+              type: 'array',
+              items: { type: 'string' },
+              description: "Only in create and update responses, when the macros don't add up to the calories",
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Only when a retried create finds the entry was deleted since',
+            },
+          },
+        },
+        TrashedEntry: {
+          type: 'object',
+          required: ['date', 'id', 'name', 'calories', 'timestamp', 'deletedAt'],
+          additionalProperties: false,
+          properties: {
+            date: { ...date, description: 'Day the entry was on, and goes back to if restored' },
+            ...entryProperties,
+            deletedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        AuditRecord: {
+          type: 'object',
+          required: ['at', 'action', 'entryId', 'before', 'after'],
+          additionalProperties: false,
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            action: { type: 'string', enum: ['created', 'edited', 'deleted', 'cleared', 'imported', 'restored', 'purged'] },
+            entryId: { type: 'string' },
+            before: { ...snapshot, description: 'The entry and its day before the change; null if it was not in the log' },
+            after: { ...snapshot, description: 'The entry and its day after the change; null if it left the log' },
+          },
+        },
+        RestoredEntry: {
+          type: 'object',
+          required: ['date', 'id', 'name', 'calories', 'timestamp'],
+          additionalProperties: false,
+          properties: { date, ...entryProperties },
+        },
+        NewEntry: {
+          type: 'object',
+          required: ['name', 'calories'],
+          description: 'With `foodId` or `recipeId` and a `quantity`, `name` and `calories` come from the food or recipe.',
+          properties: {
+            id: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]{1,64}$',
+              description: 'Made up by the client (a UUID, say) so a retried request logs the entry only once',
+            },
+            name: { type: 'string' },
+            calories: { type: 'number', exclusiveMinimum: 0 },
+            ...macroProperties,
+            meal: { type: 'string', enum: MEALS },
+            quantity: { type: 'number', exclusiveMinimum: 0 },
+            unit: { type: 'string', enum: units },
+            foodId: { type: 'string' },
+            recipeId: { type: 'string' },
+            date: { ...date, description: 'Day to log on; defaults to today' },
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+        EntryChanges: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            calories: { type: 'number', exclusiveMinimum: 0 },
+            ...nullableMacroProperties,
+            meal: { type: ['string', 'null'], enum: [...MEALS, null] },
+            quantity: { type: 'number', exclusiveMinimum: 0 },
+            unit: { type: 'string', enum: units },
+            date,
+            timestamp: { type: 'string', format: 'date-time' },
+          },
+        },
+        Total: {
+          type: 'object',
+          required: ['total', 'macros', 'meals', 'goal', 'remaining', 'status'],
+          additionalProperties: false,
+          properties: {
+            total: { type: 'number', description: 'Calories' },
+            macros: {
+              type: 'object',
+              required: MACROS,
+              additionalProperties: false,
+              properties: macroProperties,
+            },
+            meals: {
+              type: 'object',
+              description: 'Calories per meal; entries without a meal count as "other"',
+              required: [...MEALS, 'other'],
+              additionalProperties: false,
+              properties: Object.fromEntries([...MEALS, 'other'].map(m => [m, { type: 'number' }])),
+            },
+            goal: { type: ['number', 'null'], description: 'Calorie goal for the day, if one was set' },
+            remaining: { type: ['number', 'null'], description: 'Negative once over the goal' },
+            status: { type: ['string', 'null'], enum: ['under', 'at', 'over', null] },
+          },
+        },
+        WeighIn: {
+          type: 'object',
+          required: ['date', 'weight', 'trend'],
+          additionalProperties: false,
+          properties: {
+            date,
+            weight,
+            trend: { type: 'number', description: 'Moving average of the weigh-ins up to this one, smoothing out daily swings' },
+          },
+        },
+        Energy: {
+          type: 'object',
+          required: ['date', 'weeks', 'weightUnit', 'latest', 'estimate', 'reason', 'targetRate', 'targetGoal'],
+          additionalProperties: false,
+          properties: {
+            date,
+            weeks: { type: 'number', description: 'Weeks the estimate looks back over' },
+            weightUnit: { type: 'string', enum: ['kg', 'lb'] },
+            latest: {
+              type: ['object', 'null'],
+              description: 'The last weigh-in on or before the day',
+              required: ['date', 'weight', 'trend'],
+              additionalProperties: false,
+              properties: { date, weight, trend: { type: 'number' } },
+            },
+            estimate: {
+              type: ['object', 'null'],
+              description: 'Null until there is enough data; see `reason`',
+              required: ['from', 'to', 'days', 'daysLogged', 'averageIntake', 'weightChange', 'weeklyRate', 'tdee'],
+              additionalProperties: false,
+              properties: {
+                from: { ...date, description: 'First weigh-in used' },
+                to: { ...date, description: 'Last weigh-in used' },
+                days: { type: 'number', description: 'Days between them' },
+                daysLogged: { type: 'number', description: 'Days in between with food logged' },
+                averageIntake: { type: 'number', description: 'Calories per logged day' },
+                weightChange: { type: 'number', description: 'Change in trend weight' },
+                weeklyRate: { type: 'number', description: 'Change in trend weight per week' },
+                tdee: { type: 'number', description: 'Calories burned per day' },
+              },
+            },
+            reason: { type: ['string', 'null'], description: 'Why there is no estimate yet' },
+            targetRate: { type: ['number', 'null'], description: 'Weekly change in weight aimed for, from your settings, in weightUnit' },
+            targetGoal: { type: ['number', 'null'], description: 'Daily goal that reaches the target rate at the estimated TDEE' },
+          },
+        },
+        ApiToken: {
+          type: 'object',
+          required: ['id', 'name', 'createdAt'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        NewApiToken: {
+          type: 'object',
+          required: ['id', 'name', 'createdAt', 'token'],
+          additionalProperties: false,
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            token: { type: 'string', description: 'Send as `Authorization: Bearer <token>`' },
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = { openApiDocument };
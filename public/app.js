@@ -2,19 +2,129 @@
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
-function todayStr() {
-  const d = new Date();
+function dateStr(d) {
   const yyyy = d.getFullYear();
   const mm = String(d.getMonth() + 1).padStart(2, '0');
   const dd = String(d.getDate()).padStart(2, '0');
   return `${yyyy}-${mm}-${dd}`;
 }
 
+function todayStr() {
+  return dateStr(new Date());
+}
+
+function parseDateStr(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function shiftDate(str, days) {
+  const d = parseDateStr(str);
+  d.setDate(d.getDate() + days);
+  return dateStr(d);
+}
+
+function isDateStr(str) {
+  return typeof str === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(str) &&
+    dateStr(parseDateStr(str)) === str;
+}
+
 function formatTimestamp(isoStr) {
   const d = new Date(isoStr);
   return d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
 
+function timeStr(d) {
+  const hh = String(d.getHours()).padStart(2, '0');
+  const mi = String(d.getMinutes()).padStart(2, '0');
+  return `${hh}:${mi}`;
+}
+
+// Guesses the meal from the hour of day; anything between the main meal
+// windows is a snack.
+function suggestMeal(d = new Date()) {
+  const hour = d.getHours();
+  if (hour >= 5 && hour < 11) return 'breakfast';
+  if (hour >= 11 && hour < 15) return 'lunch';
+  if (hour >= 17 && hour < 22) return 'dinner';
+  return 'snack';
+}
+
+function mealOptions(selected) {
+  return ['<option value="">No meal</option>']
+    .concat(MEALS.map(m =>
+      `<option value="${m}"${m === selected ? ' selected' : ''}>${MEAL_LABELS[m]}</option>`
+    ))
+    .join('');
+}
+
+// Units a food can be measured in: "serving" plus anything sharing the
+// dimension of its serving unit.
+function unitsFor(servingUnit) {
+  const dimension = UNITS[servingUnit] ? UNITS[servingUnit].dimension : 'serving';
+  return Object.keys(UNITS).filter(u => u === 'serving' || UNITS[u].dimension === dimension);
+}
+
+function unitOptions(servingUnit, selected) {
+  return unitsFor(servingUnit)
+    .map(u => `<option value="${u}"${u === selected ? ' selected' : ''}>${u}</option>`)
+    .join('');
+}
+
+// Local preview of the calories the server will compute for a portion.
+function portionCalories(basis, quantity, unit) {
+  let servings;
+  if (unit === 'serving') {
+    servings = quantity;
+  } else {
+    servings = (quantity * UNITS[unit].factor) / (UNITS[basis.servingUnit].factor * basis.servingSize);
+  }
+  return Math.round(basis.calories * servings * 10) / 10;
+}
+
+// Matches the server's basisFromFood: foods without a known serving unit
+// are measured in servings only.
+function basisFromFood(food) {
+  return UNITS[food.servingUnit] && food.servingSize
+    ? { servingSize: food.servingSize, servingUnit: food.servingUnit, calories: food.calories }
+    : { servingSize: 1, servingUnit: 'serving', calories: food.calories };
+}
+
+// A random id for a new entry. crypto.randomUUID is only there on HTTPS and
+// localhost, so elsewhere (a phone on the home network) it is built by hand.
+function newId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Combines local date and HH:MM strings from form inputs into an ISO timestamp.
+function toTimestamp(date, time) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mi] = time.split(':').map(Number);
+  return new Date(y, m - 1, d, hh, mi).toISOString();
+}
+
+// Field rules and enumerations shared with the server (schemas.js).
+const { MACROS, MEALS, WEEKDAYS, WEIGHT_UNITS, KG_PER_WEIGHT_UNIT } = Schemas;
+const MACRO_LABELS = { protein: 'Protein', carbs: 'Carbs', fat: 'Fat', fiber: 'Fiber' };
+
+const MEAL_LABELS = { breakfast: 'Breakfast', lunch: 'Lunch', dinner: 'Dinner', snack: 'Snack', other: 'Other' };
+
+// Mirrors the server's unit table: `factor` is grams or millilitres per unit.
+const UNITS = {
+  g: { dimension: 'mass', factor: 1 },
+  oz: { dimension: 'mass', factor: 28.349523125 },
+  ml: { dimension: 'volume', factor: 1 },
+  cup: { dimension: 'volume', factor: 240 },
+  piece: { dimension: 'count', factor: 1 },
+  serving: { dimension: 'serving', factor: 1 },
+};
+
+const WEEKDAY_LABELS = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+
+// The service worker's cache of API responses (see sw.js).
+const API_CACHE = 'calorie-api';
+
 // ─── DOM refs ─────────────────────────────────────────────────────────────────
 
 const dateDisplay  = document.getElementById('date-display');
@@ -24,51 +134,287 @@ const emptyState   = document.getElementById('empty-state');
 const entryForm    = document.getElementById('entry-form');
 const foodNameInput = document.getElementById('food-name');
 const caloriesInput = document.getElementById('calories');
+const mealSelect   = document.getElementById('meal');
+const suggestionList = document.getElementById('food-suggestions');
+const saveFoodCheckbox = document.getElementById('save-food');
+const quantityGroup = document.getElementById('quantity-group');
+const quantityInput = document.getElementById('quantity');
+const unitSelect   = document.getElementById('unit');
 const nameError    = document.getElementById('name-error');
 const caloriesError = document.getElementById('calories-error');
 const clearBtn     = document.getElementById('clear-btn');
+const macroBars    = document.getElementById('macro-bars');
+const macrosError  = document.getElementById('macros-error');
+const formWarning  = document.getElementById('form-warning');
+const macroInputs  = Object.fromEntries(MACROS.map(m => [m, document.getElementById(m)]));
+const goalDisplay  = document.getElementById('goal-display');
+const goalRing     = document.getElementById('goal-ring');
+const goalRingFill = document.getElementById('goal-ring-fill');
+const goalBtn      = document.getElementById('goal-btn');
+const goalDialog   = document.getElementById('goal-dialog');
+const goalForm     = document.getElementById('goal-form');
+const goalCancel   = document.getElementById('goal-cancel');
+const dailyGoalInput = document.getElementById('daily-goal');
+const weekdayGrid  = document.getElementById('weekday-grid');
+const goalError    = document.getElementById('goal-error');
+const targetRateInput = document.getElementById('target-rate');
+const weightUnitSelect = document.getElementById('weight-unit');
+const weightForm   = document.getElementById('weight-form');
+const weightInput  = document.getElementById('weight-input');
+const weightError  = document.getElementById('weight-error');
+const energyDisplay = document.getElementById('energy-display');
+const prevDayBtn   = document.getElementById('prev-day');
+const nextDayBtn   = document.getElementById('next-day');
+const todayBtn     = document.getElementById('today-btn');
+const datePicker   = document.getElementById('date-picker');
+const entriesTitle = document.getElementById('entries-title');
+const importFile   = document.getElementById('import-file');
+const importPreview = document.getElementById('import-preview');
+const importSummary = document.getElementById('import-summary');
+const importProblems = document.getElementById('import-problems');
+const importCancel = document.getElementById('import-cancel');
+const importConfirm = document.getElementById('import-confirm');
+const appView      = document.getElementById('app');
+const authScreen   = document.getElementById('auth-screen');
+const authForm     = document.getElementById('auth-form');
+const authTitle    = document.getElementById('auth-title');
+const authUsername = document.getElementById('auth-username');
+const authPassword = document.getElementById('auth-password');
+const authError    = document.getElementById('auth-error');
+const authSubmit   = document.getElementById('auth-submit');
+const authSwitch   = document.getElementById('auth-switch');
+const authSwitchText = document.getElementById('auth-switch-text');
+const tokenList    = document.getElementById('token-list');
+const tokenForm    = document.getElementById('token-form');
+const tokenName    = document.getElementById('token-name');
+const tokenError   = document.getElementById('token-error');
+const tokenCreated = document.getElementById('token-created');
+const tokenSecret  = document.getElementById('token-secret');
+const accountName  = document.getElementById('account-name');
+const logoutBtn    = document.getElementById('logout-btn');
+const toast        = document.getElementById('toast');
+const toastMessage = document.getElementById('toast-message');
+const toastUndo    = document.getElementById('toast-undo');
+
+// ─── State ───────────────────────────────────────────────────────────────────
+
+// The day being viewed. Kept in sync with the `?date=` query string so a
+// specific day can be bookmarked or shared.
+let selectedDate = todayStr();
+
+function dateFromUrl() {
+  const param = new URLSearchParams(window.location.search).get('date');
+  return isDateStr(param) && param <= todayStr() ? param : todayStr();
+}
+
+function setSelectedDate(date, { push = true } = {}) {
+  selectedDate = date;
+  if (push) {
+    const url = new URL(window.location.href);
+    if (date === todayStr()) {
+      url.searchParams.delete('date');
+    } else {
+      url.searchParams.set('date', date);
+    }
+    history.pushState({ date }, '', url);
+  }
+  renderDate();
+  refresh();
+}
 
 // ─── Init ─────────────────────────────────────────────────────────────────────
 
-(function initDate() {
-  const now = new Date();
-  dateDisplay.textContent = now.toLocaleDateString('en-US', {
+function renderDate() {
+  const isToday = selectedDate === todayStr();
+  dateDisplay.textContent = parseDateStr(selectedDate).toLocaleDateString('en-US', {
     weekday: 'long',
     year: 'numeric',
     month: 'long',
     day: 'numeric',
   });
-})();
+  datePicker.value = selectedDate;
+  datePicker.max = todayStr();
+  nextDayBtn.disabled = isToday;
+  todayBtn.hidden = isToday;
+  entriesTitle.textContent = isToday ? "Today's Entries" : 'Entries';
+}
 
 // ─── API ─────────────────────────────────────────────────────────────────────
 
+// Calls the API with the session cookie. A 401 means the session is missing
+// or has expired, so the sign-in screen is shown instead.
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    showSignIn();
+    throw new Error('Please sign in again');
+  }
+  return res;
+}
+
+// Turns an API error body into an Error, keeping the per-field messages of
+// a validation error so forms can mark the fields the server rejected.
+function apiError(data, fallback) {
+  const err = new Error(data.error || fallback);
+  err.fields = data.fields || {};
+  return err;
+}
+
+// Returns the signed-in user, or null when signed out.
+async function fetchMe() {
+  const res = await fetch('/api/auth/me');
+  if (res.status === 401) return null;
+  if (!res.ok) throw new Error('Failed to check sign-in');
+  return res.json();
+}
+
+// Signs in, or signs up when `mode` is "register". The server sets the
+// session cookie.
+async function authenticate(mode, username, password) {
+  const res = await fetch(`/api/auth/${mode}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Failed to sign in');
+  return data.user;
+}
+
+async function fetchTokens() {
+  const res = await apiFetch('/api/v1/tokens');
+  if (!res.ok) throw new Error('Failed to fetch API tokens');
+  return res.json();
+}
+
+// Creates a personal API token. The response holds the only copy of its
+// secret.
+async function createToken(name) {
+  const res = await apiFetch('/api/v1/tokens', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Failed to create token');
+  return data;
+}
+
+async function revokeToken(id) {
+  const res = await apiFetch(`/api/v1/tokens/${id}`, { method: 'DELETE' });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to revoke token');
+  }
+}
+
+async function signOut() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+}
+
 async function fetchEntries() {
-  const res = await fetch(`/api/entries?date=${todayStr()}`);
+  const res = await apiFetch(`/api/entries?date=${selectedDate}`);
   if (!res.ok) throw new Error('Failed to fetch entries');
   return res.json();
 }
 
 async function fetchTotal() {
-  const res = await fetch(`/api/total?date=${todayStr()}`);
+  const res = await apiFetch(`/api/total?date=${selectedDate}`);
   if (!res.ok) throw new Error('Failed to fetch total');
   return res.json();
 }
 
-async function postEntry(name, calories) {
-  const res = await fetch('/api/entries', {
+// Trend weight, estimated TDEE and the goal for the target rate, as of the
+// selected day.
+async function fetchEnergy() {
+  const res = await apiFetch(`/api/energy?date=${selectedDate}`);
+  if (!res.ok) throw new Error('Failed to fetch energy balance');
+  return res.json();
+}
+
+// Records the selected day's weigh-in, replacing any already there.
+async function saveWeight(weight) {
+  const res = await apiFetch('/api/weights', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ date: selectedDate, weight }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw apiError(data, 'Failed to save weight');
+  return data;
+}
+
+// Rejects with the response's status on the error when the server answered,
+// and without one when it couldn't be reached.
+async function postEntry(entry) {
+  const res = await apiFetch('/api/entries', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name, calories }),
+    body: JSON.stringify(entry),
   });
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
-    throw new Error(data.error || 'Failed to add entry');
+    const err = apiError(data, 'Failed to add entry');
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
+async function searchFoods(query) {
+  const res = await apiFetch(`/api/foods/search?q=${encodeURIComponent(query)}`);
+  if (!res.ok) throw new Error('Failed to search foods');
+  return res.json();
+}
+
+// Saves a food to the catalog. A food with the same name is already saved,
+// which is fine, so a 409 is not treated as an error.
+async function saveFood(food) {
+  const res = await apiFetch('/api/foods', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(food),
+  });
+  if (!res.ok && res.status !== 409) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Failed to save food');
+  }
+}
+
+async function fetchSettings() {
+  const res = await apiFetch('/api/settings');
+  if (!res.ok) throw new Error('Failed to fetch settings');
+  return res.json();
+}
+
+async function saveSettings(settings) {
+  const res = await apiFetch('/api/settings', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(settings),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw apiError(data, 'Failed to save settings');
+  }
+  return res.json();
+}
+
+async function updateEntry(id, changes) {
+  const res = await apiFetch(`/api/entries/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes),
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw apiError(data, 'Failed to update entry');
   }
   return res.json();
 }
 
 async function deleteEntry(id) {
-  const res = await fetch(`/api/entries/${id}`, { method: 'DELETE' });
+  const res = await apiFetch(`/api/entries/${id}`, { method: 'DELETE' });
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'Failed to delete entry');
@@ -76,15 +422,42 @@ async function deleteEntry(id) {
 }
 
 async function clearDay() {
-  const res = await fetch(`/api/entries?date=${todayStr()}`, { method: 'DELETE' });
+  const res = await apiFetch(`/api/entries?date=${selectedDate}`, { method: 'DELETE' });
   if (!res.ok) {
     const data = await res.json().catch(() => ({}));
     throw new Error(data.error || 'Failed to clear day');
   }
 }
 
+// Takes deleted entries back out of the trash.
+async function restoreEntries(ids) {
+  const res = await apiFetch('/api/trash/restore', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ids }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Failed to restore');
+  return data;
+}
+
+// Sends an exported file to the server. With `dryRun` nothing is saved and
+// the response previews what would be imported.
+async function importLog(text, format, { dryRun = false } = {}) {
+  const res = await apiFetch(`/api/import?format=${format}${dryRun ? '&dryRun=true' : ''}`, {
+    method: 'POST',
+    headers: { 'Content-Type': format === 'csv' ? 'text/csv' : 'application/json' },
+    body: text,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Failed to import');
+  return data;
+}
+
 // ─── Render ──────────────────────────────────────────────────────────────────
 
+// Entries are grouped by meal in the usual order of the day, with entries
+// that have no meal last. Each group shows its calorie subtotal.
 function renderEntries(entries) {
   entryList.innerHTML = '';
 
@@ -99,29 +472,248 @@ function renderEntries(entries) {
 
   emptyState.style.display = 'none';
 
-  sorted.forEach(entry => {
-    const li = document.createElement('li');
-    li.className = 'entry-item';
-    li.dataset.id = entry.id;
+  [...MEALS, 'other'].forEach(meal => {
+    const group = sorted.filter(e => (e.meal || 'other') === meal);
+    if (group.length === 0) return;
 
-    li.innerHTML = `
-      <div class="entry-info">
-        <div class="entry-name">${escapeHtml(entry.name)}</div>
-        <div class="entry-meta">${formatTimestamp(entry.timestamp)}</div>
+    const subtotal = group.reduce((sum, e) => sum + e.calories, 0);
+    const groupLi = document.createElement('li');
+    groupLi.className = `meal-group meal-group-${meal}`;
+    groupLi.innerHTML = `
+      <div class="meal-header">
+        <h3>${MEAL_LABELS[meal]}</h3>
+        <span class="meal-subtotal">${subtotal} cal</span>
       </div>
-      <span class="entry-calories">${entry.calories} cal</span>
-      <button class="btn btn-danger delete-btn" aria-label="Delete ${escapeHtml(entry.name)}">Delete</button>
+      <ul class="meal-entries"></ul>
     `;
+    const groupList = groupLi.querySelector('.meal-entries');
+    group.forEach(entry => groupList.appendChild(renderEntry(entry)));
+    entryList.appendChild(groupLi);
+  });
+}
+
+// Entries still in the outbox are marked pending and can't be edited until
+// the server has them; deleting one just takes it out of the queue.
+function renderEntry(entry) {
+  const li = document.createElement('li');
+  li.className = `entry-item${entry.pending ? ' entry-pending' : ''}`;
+  li.dataset.id = entry.id;
+
+  const status = entry.pending
+    ? '<span class="sync-status sync-pending" title="Saved on this device; it is sent once there is a connection">Pending</span>'
+    : '<span class="sync-status sync-synced" title="Saved to your log">Synced</span>';
+  li.innerHTML = `
+    <div class="entry-info">
+      <div class="entry-name">${escapeHtml(entry.name)}</div>
+      <div class="entry-meta">${formatTimestamp(entry.timestamp)}${formatPortion(entry)}${formatMacros(entry)} ${status}</div>
+    </div>
+    <span class="entry-calories">${entry.calories} cal</span>
+    <button class="btn btn-secondary edit-btn" aria-label="Edit ${escapeHtml(entry.name)}"${entry.pending ? ' disabled' : ''}>Edit</button>
+    <button class="btn btn-danger delete-btn" aria-label="Delete ${escapeHtml(entry.name)}">Delete</button>
+  `;
+
+  li.querySelector('.edit-btn').addEventListener('click', () => renderEditForm(li, entry));
+  li.querySelector('.delete-btn').addEventListener('click', () => onDelete(entry));
+  return li;
+}
+
+// Swaps an entry row for an inline form. Changing the date moves the entry
+// to that day; the list is refreshed after saving so it drops out of view.
+function renderEditForm(li, entry) {
+  const when = new Date(entry.timestamp);
+  li.classList.add('editing');
+  li.innerHTML = `
+    <form class="edit-form" novalidate>
+      <input type="text" class="edit-name" value="${escapeHtml(entry.name)}" aria-label="Food name" required>
+      ${entry.basis ? `
+      <input type="number" class="edit-quantity" value="${entry.quantity}" min="0" step="any" aria-label="Quantity" required>
+      <select class="edit-unit" aria-label="Unit">${unitOptions(entry.basis.servingUnit, entry.unit)}</select>
+      ` : `
+      <input type="number" class="edit-calories" value="${entry.calories}" min="0" step="any" aria-label="Calories" required>
+      `}
+      <input type="date" class="edit-date" value="${dateStr(when)}" max="${todayStr()}" aria-label="Date" required>
+      <input type="time" class="edit-time" value="${timeStr(when)}" aria-label="Time" required>
+      <select class="edit-meal" aria-label="Meal">${mealOptions(entry.meal)}</select>
+      <div class="edit-actions">
+        <button type="submit" class="btn btn-primary btn-small">Save</button>
+        <button type="button" class="btn btn-secondary cancel-btn">Cancel</button>
+      </div>
+      <span class="field-error edit-error"></span>
+    </form>
+  `;
+
+  const form = li.querySelector('.edit-form');
+  const errorEl = li.querySelector('.edit-error');
+  li.querySelector('.cancel-btn').addEventListener('click', () => refresh());
+  li.querySelector('.edit-name').focus();
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const date = form.querySelector('.edit-date').value;
+    const time = form.querySelector('.edit-time').value;
+    const input = { name: form.querySelector('.edit-name').value, meal: form.querySelector('.edit-meal').value };
+
+    // Measured entries are edited by quantity and rescaled on the server
+    if (entry.basis) {
+      input.quantity = form.querySelector('.edit-quantity').value;
+      input.unit = form.querySelector('.edit-unit').value;
+    } else {
+      input.calories = form.querySelector('.edit-calories').value;
+    }
+    const { fields: changes, errors } = checkEntry(input, { partial: true });
+    if (errors) {
+      errorEl.textContent = Object.values(errors)[0];
+      return;
+    }
+    if (!isDateStr(date) || date > todayStr() || !/^\d{2}:\d{2}$/.test(time)) {
+      errorEl.textContent = 'Enter a valid date and time.';
+      return;
+    }
 
-    li.querySelector('.delete-btn').addEventListener('click', () => onDelete(entry.id));
-    entryList.appendChild(li);
+    try {
+      changes.timestamp = toTimestamp(date, time);
+      await updateEntry(entry.id, changes);
+      await refresh();
+    } catch (err) {
+      errorEl.textContent = err.message || 'Could not save entry.';
+    }
   });
 }
 
+function formatPortion(entry) {
+  return entry.quantity ? ` · ${entry.quantity} ${entry.unit}` : '';
+}
+
+function formatMacros(entry) {
+  const parts = MACROS
+    .filter(m => entry[m] !== undefined)
+    .map(m => `${MACRO_LABELS[m][0]} ${entry[m]}g`);
+  return parts.length ? ` · ${parts.join(' · ')}` : '';
+}
+
 function renderTotal(total) {
   totalDisplay.textContent = `Total: ${total} cal`;
 }
 
+// Fills the progress ring by the share of the goal eaten so far and says
+// how much is left (or how far over the day went).
+function renderGoal({ goal, remaining, status }) {
+  const section = totalDisplay.closest('.total-section');
+  section.classList.remove('goal-under', 'goal-at', 'goal-over');
+  goalRing.hidden = !goal;
+  if (!goal) {
+    goalDisplay.textContent = 'No goal set for this day';
+    return;
+  }
+
+  section.classList.add(`goal-${status}`);
+  const eaten = goal - remaining;
+  const fraction = Math.min(Math.max(eaten / goal, 0), 1);
+  const circumference = 2 * Math.PI * goalRingFill.r.baseVal.value;
+  goalRingFill.style.strokeDasharray = `${circumference}`;
+  goalRingFill.style.strokeDashoffset = `${circumference * (1 - fraction)}`;
+
+  if (status === 'over') {
+    goalDisplay.textContent = `${Math.abs(remaining)} cal over your ${goal} cal goal`;
+  } else if (status === 'at') {
+    goalDisplay.textContent = `On target — ${goal} cal goal`;
+  } else {
+    goalDisplay.textContent = `${remaining} cal remaining of ${goal} cal`;
+  }
+}
+
+// A weekly change in weight with its sign, e.g. "−0.4 kg/week".
+function formatRate(rate, unit) {
+  const sign = rate > 0 ? '+' : rate < 0 ? '−' : '±';
+  return `${sign}${Math.abs(rate)} ${unit}/week`;
+}
+
+// Shows the day's weigh-in, the trend and how much the log says is burned
+// a day, or why that can't be worked out yet.
+function renderEnergy({ weightUnit, latest, estimate, reason, targetRate, targetGoal }) {
+  weightInput.placeholder = weightUnit;
+  weightInput.value = latest && latest.date === selectedDate ? latest.weight : '';
+  if (!latest) {
+    energyDisplay.textContent = 'Log your weight to see its trend and how much you burn.';
+    return;
+  }
+  const parts = [`Trend ${latest.trend} ${weightUnit}`];
+  if (estimate) {
+    parts.push(formatRate(estimate.weeklyRate, weightUnit), `burning about ${estimate.tdee} cal/day`);
+  } else {
+    parts.push(reason);
+  }
+  if (targetGoal !== null) {
+    parts.push(`${targetGoal} cal/day for ${formatRate(targetRate, weightUnit)}`);
+  }
+  energyDisplay.textContent = parts.join(' · ');
+}
+
+// One bar per macro. Bar length is the macro's share of the day's macro
+// grams, so the bars together show the split at a glance.
+function renderMacros(macros) {
+  const grams = MACROS.reduce((sum, m) => sum + (macros[m] || 0), 0);
+  macroBars.innerHTML = '';
+  macroBars.hidden = grams === 0;
+  if (grams === 0) return;
+
+  MACROS.forEach(m => {
+    const value = macros[m] || 0;
+    const pct = Math.round((value / grams) * 100);
+    const row = document.createElement('div');
+    row.className = `macro-bar macro-${m}`;
+    row.innerHTML = `
+      <span class="macro-label">${MACRO_LABELS[m]}</span>
+      <span class="macro-track"><span class="macro-fill"></span></span>
+      <span class="macro-value">${value}g</span>
+    `;
+    // Set through the DOM; the Content-Security-Policy blocks inline styles
+    row.querySelector('.macro-fill').style.width = `${pct}%`;
+    macroBars.appendChild(row);
+  });
+}
+
+// Summarizes an import result, listing skipped and invalid rows by number.
+function renderImport(result) {
+  const verb = result.dryRun ? 'Ready to import' : 'Imported';
+  const parts = [`${verb} ${result.imported} ${result.imported === 1 ? 'entry' : 'entries'}`];
+  if (result.duplicates.length) parts.push(`${result.duplicates.length} already logged`);
+  if (result.errors.length) parts.push(`${result.errors.length} with errors`);
+  importSummary.textContent = parts.join(', ') + '.';
+
+  importProblems.innerHTML = '';
+  result.errors.forEach(({ row, error }) => {
+    const li = document.createElement('li');
+    li.textContent = `Row ${row}: ${error}`;
+    importProblems.appendChild(li);
+  });
+
+  importConfirm.hidden = !result.dryRun || result.imported === 0;
+  importCancel.textContent = result.dryRun ? 'Cancel' : 'Close';
+  importPreview.hidden = false;
+}
+
+function renderTokens(tokens) {
+  tokenList.innerHTML = '';
+  tokens.forEach(token => {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <span>${escapeHtml(token.name)} <span class="token-date">created ${new Date(token.createdAt).toLocaleDateString()}</span></span>
+      <button type="button" class="btn btn-secondary">Revoke</button>
+    `;
+    li.querySelector('button').addEventListener('click', () => onRevokeToken(token));
+    tokenList.appendChild(li);
+  });
+}
+
+async function refreshTokens() {
+  try {
+    renderTokens(await fetchTokens());
+  } catch (err) {
+    console.error('Tokens error:', err);
+  }
+}
+
 function escapeHtml(str) {
   return str
     .replace(/&/g, '&amp;')
@@ -131,49 +723,445 @@ function escapeHtml(str) {
     .replace(/'/g, '&#39;');
 }
 
+// ─── Outbox ──────────────────────────────────────────────────────────────────
+
+// New entries are queued in the outbox (outbox.js) before they are sent, so
+// one logged without a connection is kept and sent when it comes back. The
+// id is made here, and the server treats a repeated id as the entry it
+// already has, so an entry whose response was lost can be sent again.
+
+// The signed-in user, whose queued entries are sent.
+let currentUser = null;
+let syncing = null;
+let syncAgain = false;
+
+const OFFLINE_MESSAGE = 'No connection: the entry is saved on this device and will be sent when you are back online.';
+
+// Builds the outbox item for a validated entry from the form, logged now on
+// the selected day. The day is sent along with the timestamp, so the server
+// files it there even in another time zone. Until it is sent it is listed
+// from `preview`, with the form's own estimate of the calories of a food or
+// recipe portion.
+function queuedEntry(data) {
+  const now = new Date();
+  const id = newId();
+  const timestamp = selectedDate === dateStr(now) ? now.toISOString() : toTimestamp(selectedDate, timeStr(now));
+  return {
+    id,
+    userId: currentUser.id,
+    date: selectedDate,
+    body: { ...data, id, date: selectedDate, timestamp },
+    preview: { ...data, id, timestamp, calories: data.calories !== undefined ? data.calories : Number(caloriesInput.value) },
+    queuedAt: now.toISOString(),
+  };
+}
+
+// Sends the queued entries, oldest first, stopping at the first the server
+// can't take right now (no connection, signed out, busy or failing) to try
+// again later. One it refuses is dropped. Settled entries are added to
+// `results` by id, as `{ item, entry }` or `{ item, error }`.
+async function sendQueued(results) {
+  if (!currentUser) return;
+  for (const item of await Outbox.list(currentUser.id)) {
+    try {
+      results.set(item.id, { item, entry: await postEntry(item.body) });
+    } catch (err) {
+      if (!err.status || err.status === 429 || err.status >= 500) return;
+      results.set(item.id, { item, error: err });
+    }
+    await Outbox.remove(item.id);
+  }
+}
+
+// Sends the outbox, resolving to the results of sendQueued. A call made
+// while it is being sent gets another round, so a just-queued entry is
+// never missed; other tabs wait their turn.
+function syncOutbox() {
+  if (syncing) {
+    syncAgain = true;
+    return syncing;
+  }
+  const results = new Map();
+  const run = async () => {
+    do {
+      syncAgain = false;
+      await sendQueued(results);
+    } while (syncAgain);
+    return results;
+  };
+  syncing = (navigator.locks ? navigator.locks.request('calorie-outbox', run) : run())
+    .finally(() => { syncing = null; });
+  return syncing;
+}
+
+// Sends whatever was queued earlier, when the app opens or the connection
+// comes back, and says which entries the server refused.
+async function flushOutbox() {
+  try {
+    const results = await syncOutbox();
+    const refused = [...results.values()].filter(result => result.error);
+    if (refused.length > 0) {
+      formWarning.textContent = refused
+        .map(({ item, error }) => `Could not add "${item.preview.name}": ${error.message}`)
+        .join(' ');
+    }
+    if (results.size > 0) await refresh();
+  } catch (err) {
+    console.error('Sync error:', err);
+  }
+}
+
+// The selected day's entries still in the outbox, as they are listed.
+async function pendingEntries() {
+  if (!currentUser) return [];
+  const items = await Outbox.list(currentUser.id);
+  return items.filter(item => item.date === selectedDate).map(item => ({ ...item.preview, pending: true }));
+}
+
 // ─── Refresh ─────────────────────────────────────────────────────────────────
 
+// The selected day's entries as the server last reported them, kept so
+// live updates can patch the list instead of fetching it again.
+let currentEntries = [];
+
+// Lists the selected day's entries along with those still in the outbox.
+// An entry can reach the server before it leaves the outbox; it is listed
+// once, as synced.
+async function renderLog() {
+  const pending = await pendingEntries();
+  const synced = new Set(currentEntries.map(e => e.id));
+  renderEntries([...currentEntries, ...pending.filter(e => !synced.has(e.id))]);
+}
+
+function renderSummary(totalData) {
+  renderTotal(totalData.total);
+  renderGoal(totalData);
+  renderMacros(totalData.macros || {});
+}
+
 async function refresh() {
   try {
-    const [entries, totalData] = await Promise.all([fetchEntries(), fetchTotal()]);
-    renderEntries(entries);
-    renderTotal(totalData.total);
+    const [entries, totalData, energy] = await Promise.all([fetchEntries(), fetchTotal(), fetchEnergy()]);
+    currentEntries = entries;
+    await renderLog();
+    renderSummary(totalData);
+    renderEnergy(energy);
   } catch (err) {
     console.error('Refresh error:', err);
   }
 }
 
+// ─── Live updates ────────────────────────────────────────────────────────────
+
+// Changes made in other tabs and on other devices arrive over
+// /api/events, each with the new totals of the days it touched. Only
+// changes to the selected day are shown. The browser reconnects by itself
+// after a drop and is sent what it missed, or `reset` when too much
+// happened, which reloads the day.
+let eventSource = null;
+
+// Applies one change to the selected day's entries.
+const ENTRY_EVENTS = {
+  'entry-created': ({ date, entry }) => {
+    if (date !== selectedDate) return false;
+    currentEntries = [...currentEntries.filter(e => e.id !== entry.id), entry];
+    return true;
+  },
+  'entry-updated': ({ date, previousDate, entry }) => {
+    if (date !== selectedDate && previousDate !== selectedDate) return false;
+    currentEntries = currentEntries.filter(e => e.id !== entry.id);
+    if (date === selectedDate) currentEntries.push(entry);
+    return true;
+  },
+  'entry-deleted': ({ date, id }) => {
+    if (date !== selectedDate) return false;
+    currentEntries = currentEntries.filter(e => e.id !== id);
+    return true;
+  },
+  'day-cleared': ({ date }) => {
+    if (date !== selectedDate) return false;
+    currentEntries = [];
+    return true;
+  },
+  'entries-restored': ({ entries }) => {
+    const restored = entries.filter(item => item.date === selectedDate).map(item => item.entry);
+    if (restored.length === 0) return false;
+    const ids = new Set(restored.map(e => e.id));
+    currentEntries = [...currentEntries.filter(e => !ids.has(e.id)), ...restored];
+    return true;
+  },
+};
+
+function onEntryEvent(type, data) {
+  // An entry being edited isn't redrawn under the user's cursor; saving or
+  // cancelling the edit reloads the day anyway
+  if (ENTRY_EVENTS[type](data) && !entryList.querySelector('.editing')) {
+    renderLog();
+  }
+  if (data.totals[selectedDate]) renderSummary(data.totals[selectedDate]);
+}
+
+function connectEvents() {
+  disconnectEvents();
+  if (!window.EventSource) return;
+  eventSource = new EventSource('/api/v1/events');
+  for (const type of Object.keys(ENTRY_EVENTS)) {
+    eventSource.addEventListener(type, e => onEntryEvent(type, JSON.parse(e.data)));
+  }
+  eventSource.addEventListener('entries-imported', e => {
+    if (JSON.parse(e.data).dates.includes(selectedDate)) refresh();
+  });
+  eventSource.addEventListener('reset', () => refresh());
+}
+
+function disconnectEvents() {
+  if (eventSource) eventSource.close();
+  eventSource = null;
+}
+
+// ─── Undo ────────────────────────────────────────────────────────────────────
+
+// How long the toast offering to undo a delete stays up. Deleted entries
+// stay in the trash for longer, so they can still be restored through the
+// API after it has gone.
+const UNDO_TIMEOUT_MS = 8000;
+
+let undoAction = null;
+let undoTimer = null;
+
+// Shows a toast with an Undo button running `undo`, replacing any earlier
+// one.
+function showUndo(message, undo) {
+  clearTimeout(undoTimer);
+  undoAction = undo;
+  toastMessage.textContent = message;
+  toast.hidden = false;
+  undoTimer = setTimeout(hideUndo, UNDO_TIMEOUT_MS);
+}
+
+function hideUndo() {
+  clearTimeout(undoTimer);
+  undoAction = null;
+  toast.hidden = true;
+}
+
+toastUndo.addEventListener('click', async () => {
+  const undo = undoAction;
+  hideUndo();
+  if (!undo) return;
+  try {
+    await undo();
+    await refresh();
+  } catch (err) {
+    console.error('Undo error:', err);
+    alert('Could not undo: ' + err.message);
+  }
+});
+
 // ─── Validation ──────────────────────────────────────────────────────────────
 
 function clearErrors() {
   nameError.textContent = '';
   caloriesError.textContent = '';
+  macrosError.textContent = '';
   foodNameInput.classList.remove('invalid');
   caloriesInput.classList.remove('invalid');
+  quantityInput.classList.remove('invalid');
+  MACROS.forEach(m => macroInputs[m].classList.remove('invalid'));
+}
+
+// Checks entry input with the schema the server uses. An amount is only
+// sent for a food or recipe, whose calories come from it, so an empty one
+// given there counts as missing.
+function checkEntry(input, { partial = false } = {}) {
+  const { fields, errors } = Schemas.validate(Schemas.entry, input, { partial });
+  const all = { ...errors };
+  if ('quantity' in input && fields.quantity === undefined && !all.quantity) {
+    all.quantity = Schemas.entry.quantity.message;
+  }
+  return { fields, errors: Object.keys(all).length > 0 ? all : null };
+}
+
+// Shows the messages for the add-entry fields named in `errors`, from
+// checkEntry or an API error. Returns how many it could place.
+function showFieldErrors(errors) {
+  const inputs = { name: foodNameInput, calories: caloriesInput, quantity: quantityInput, ...macroInputs };
+  const messages = { name: nameError, calories: caloriesError, quantity: caloriesError };
+  MACROS.forEach(m => { messages[m] = macrosError; });
+
+  let shown = 0;
+  for (const [field, message] of Object.entries(errors)) {
+    if (!inputs[field]) continue;
+    inputs[field].classList.add('invalid');
+    messages[field].textContent = message;
+    shown++;
+  }
+  return shown;
 }
 
 function validateForm() {
   clearErrors();
-  let valid = true;
+  const input = { name: foodNameInput.value, meal: mealSelect.value };
+
+  if (selectedFood) {
+    const source = selectedFood.source === 'recipe' ? { recipeId: selectedFood.id } : { foodId: selectedFood.id };
+    Object.assign(input, source, { quantity: quantityInput.value, unit: unitSelect.value });
+  } else {
+    input.calories = caloriesInput.value;
+    MACROS.forEach(m => { input[m] = macroInputs[m].value; });
+  }
+
+  const { fields, errors } = checkEntry(input, { partial: Boolean(selectedFood) });
+  if (errors) {
+    showFieldErrors(errors);
+    return null;
+  }
+  // Blank macros and meal are left out rather than sent as null
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+}
+
+// ─── Autocomplete ────────────────────────────────────────────────────────────
+
+let suggestions = [];
+let activeSuggestion = -1;
+// The saved food or recipe picked from the suggestions, if any. While set, the entry
+// is logged by quantity and the server works out the calories.
+let selectedFood = null;
+let searchTimer = null;
+let searchSeq = 0;
 
-  const name = foodNameInput.value.trim();
-  if (!name) {
-    nameError.textContent = 'Food name is required.';
-    foodNameInput.classList.add('invalid');
-    valid = false;
+function hideSuggestions() {
+  suggestions = [];
+  activeSuggestion = -1;
+  suggestionList.hidden = true;
+  suggestionList.innerHTML = '';
+  foodNameInput.setAttribute('aria-expanded', 'false');
+  foodNameInput.removeAttribute('aria-activedescendant');
+}
+
+function renderSuggestions() {
+  suggestionList.innerHTML = '';
+  if (suggestions.length === 0) {
+    hideSuggestions();
+    return;
   }
 
-  const calRaw = caloriesInput.value.trim();
-  const calories = Number(calRaw);
-  if (!calRaw || !Number.isInteger(calories) || calories < 1) {
-    caloriesError.textContent = 'Calories must be a positive whole number.';
-    caloriesInput.classList.add('invalid');
-    valid = false;
+  suggestions.forEach((food, i) => {
+    const li = document.createElement('li');
+    li.id = `food-suggestion-${i}`;
+    li.className = 'suggestion' + (i === activeSuggestion ? ' active' : '');
+    li.setAttribute('role', 'option');
+    li.setAttribute('aria-selected', String(i === activeSuggestion));
+    const serving = food.servingSize ? ` · ${food.servingSize}${food.servingUnit ? ' ' + escapeHtml(food.servingUnit) : ''}` : '';
+    const badge = food.source === 'history' ? '' :
+      `<span class="suggestion-badge">${food.source === 'recipe' ? 'Recipe' : 'Saved'}</span>`;
+    li.innerHTML = `
+      <span class="suggestion-name">${escapeHtml(food.name)}${badge}</span>
+      <span class="suggestion-meta">${food.calories} cal${serving}</span>
+    `;
+    // mousedown fires before the input's blur, which would hide the list
+    li.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      applySuggestion(food);
+    });
+    suggestionList.appendChild(li);
+  });
+
+  suggestionList.hidden = false;
+  foodNameInput.setAttribute('aria-expanded', 'true');
+  if (activeSuggestion >= 0) {
+    foodNameInput.setAttribute('aria-activedescendant', `food-suggestion-${activeSuggestion}`);
+  } else {
+    foodNameInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+// Prefills the form from a saved food, recipe or previously logged food.
+// Saved foods and recipes switch the form to quantity mode.
+function applySuggestion(food) {
+  foodNameInput.value = food.name;
+  caloriesInput.value = food.calories;
+  MACROS.forEach(m => {
+    macroInputs[m].value = food[m] !== undefined ? food[m] : '';
+  });
+  hideSuggestions();
+
+  if (food.source === 'saved' || food.source === 'recipe') {
+    selectFood(food);
+    quantityInput.focus();
+  } else {
+    selectFood(null);
+    caloriesInput.focus();
   }
+}
+
+function selectFood(food) {
+  selectedFood = food;
+  quantityGroup.hidden = !food;
+  caloriesInput.readOnly = Boolean(food);
+  MACROS.forEach(m => { macroInputs[m].readOnly = Boolean(food); });
+  if (!food) return;
+
+  const basis = basisFromFood(food);
+  unitSelect.innerHTML = unitOptions(basis.servingUnit, basis.servingUnit);
+  quantityInput.value = basis.servingSize;
+  updatePortionPreview();
+}
 
-  return valid ? { name, calories } : null;
+function updatePortionPreview() {
+  if (!selectedFood) return;
+  const quantity = Number(quantityInput.value);
+  caloriesInput.value = quantity > 0
+    ? portionCalories(basisFromFood(selectedFood), quantity, unitSelect.value)
+    : '';
 }
 
+quantityInput.addEventListener('input', updatePortionPreview);
+unitSelect.addEventListener('change', updatePortionPreview);
+
+foodNameInput.addEventListener('input', () => {
+  if (selectedFood) selectFood(null);
+  clearTimeout(searchTimer);
+  const query = foodNameInput.value.trim();
+  if (!query) {
+    hideSuggestions();
+    return;
+  }
+  searchTimer = setTimeout(async () => {
+    // Drop responses that arrive after a newer search has started
+    const seq = ++searchSeq;
+    try {
+      const results = await searchFoods(query);
+      if (seq !== searchSeq) return;
+      suggestions = results;
+      activeSuggestion = -1;
+      renderSuggestions();
+    } catch (err) {
+      console.error('Food search error:', err);
+    }
+  }, 150);
+});
+
+foodNameInput.addEventListener('keydown', (e) => {
+  if (suggestionList.hidden) return;
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+    renderSuggestions();
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    activeSuggestion = activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1;
+    renderSuggestions();
+  } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+    e.preventDefault();
+    applySuggestion(suggestions[activeSuggestion]);
+  } else if (e.key === 'Escape') {
+    hideSuggestions();
+  }
+});
+
+foodNameInput.addEventListener('blur', hideSuggestions);
+
 // ─── Event handlers ───────────────────────────────────────────────────────────
 
 entryForm.addEventListener('submit', async (e) => {
@@ -185,23 +1173,53 @@ entryForm.addEventListener('submit', async (e) => {
   submitBtn.disabled = true;
   submitBtn.textContent = 'Adding…';
 
+  formWarning.textContent = '';
   try {
-    await postEntry(data.name, data.calories);
+    const item = queuedEntry(data);
+    await Outbox.add(item);
+    const result = (await syncOutbox()).get(item.id);
+    if (result && result.error) throw result.error;
+    if (saveFoodCheckbox.checked && !selectedFood) {
+      const { meal, ...food } = data;
+      await saveFood(food).catch(err => console.error('Save food error:', err));
+    }
     entryForm.reset();
+    selectFood(null);
+    mealSelect.value = suggestMeal();
     clearErrors();
+    if (!result) {
+      formWarning.textContent = OFFLINE_MESSAGE;
+    } else if (result.entry.warnings) {
+      formWarning.textContent = result.entry.warnings.join(' ');
+    }
     await refresh();
   } catch (err) {
-    nameError.textContent = err.message || 'Could not add entry.';
+    if (!showFieldErrors(err.fields || {})) nameError.textContent = err.message || 'Could not add entry.';
   } finally {
     submitBtn.disabled = false;
     submitBtn.textContent = 'Add Entry';
   }
 });
 
-async function onDelete(id) {
+// Deleted entries go to the trash on the server, so deleting asks for no
+// confirmation; a toast offers to undo it instead. A pending entry is put
+// back in the outbox.
+async function onDelete(entry) {
   try {
-    await deleteEntry(id);
+    let undo;
+    if (entry.pending) {
+      const item = (await Outbox.list(currentUser.id)).find(queued => queued.id === entry.id);
+      await Outbox.remove(entry.id);
+      undo = async () => {
+        if (item) await Outbox.add(item);
+        flushOutbox();
+      };
+    } else {
+      await deleteEntry(entry.id);
+      undo = () => restoreEntries([entry.id]);
+    }
     await refresh();
+    showUndo(`Deleted ${entry.name}.`, undo);
   } catch (err) {
     console.error('Delete error:', err);
     alert('Could not delete entry: ' + err.message);
@@ -209,13 +1227,14 @@ async function onDelete(id) {
 }
 
 clearBtn.addEventListener('click', async () => {
-  const confirmed = window.confirm('Clear all entries for today?');
-  if (!confirmed) return;
+  const label = selectedDate === todayStr() ? 'today' : dateDisplay.textContent;
+  const ids = currentEntries.map(e => e.id);
 
   clearBtn.disabled = true;
   try {
     await clearDay();
     await refresh();
+    if (ids.length > 0) showUndo(`Cleared ${label}.`, () => restoreEntries(ids));
   } catch (err) {
     console.error('Clear error:', err);
     alert('Could not clear day: ' + err.message);
@@ -224,6 +1243,268 @@ clearBtn.addEventListener('click', async () => {
   }
 });
 
+WEEKDAYS.forEach(day => {
+  const label = document.createElement('label');
+  label.innerHTML = `${WEEKDAY_LABELS[day]} <input type="number" min="1" data-day="${day}" placeholder="—">`;
+  weekdayGrid.appendChild(label);
+});
+
+weightUnitSelect.innerHTML = WEIGHT_UNITS.map(unit => `<option value="${unit}">${unit}</option>`).join('');
+
+goalBtn.addEventListener('click', async () => {
+  goalError.textContent = '';
+  try {
+    const settings = await fetchSettings();
+    dailyGoalInput.value = settings.dailyGoal || '';
+    weekdayGrid.querySelectorAll('input').forEach(input => {
+      input.value = (settings.weekdayGoals || {})[input.dataset.day] || '';
+    });
+    targetRateInput.value = settings.targetRate === null ? '' : settings.targetRate;
+    weightUnitSelect.value = settings.weightUnit;
+    weightUnitSelect.dataset.unit = settings.weightUnit;
+    goalDialog.showModal();
+  } catch (err) {
+    alert('Could not load settings: ' + err.message);
+  }
+});
+
+goalCancel.addEventListener('click', () => goalDialog.close());
+
+// The target rate is in the unit beside it, so it is converted when that
+// changes
+weightUnitSelect.addEventListener('change', () => {
+  const rate = targetRateInput.value.trim() === '' ? NaN : Number(targetRateInput.value);
+  if (Number.isFinite(rate)) {
+    const kg = rate * KG_PER_WEIGHT_UNIT[weightUnitSelect.dataset.unit];
+    targetRateInput.value = Math.round((kg / KG_PER_WEIGHT_UNIT[weightUnitSelect.value]) * 100) / 100;
+  }
+  weightUnitSelect.dataset.unit = weightUnitSelect.value;
+});
+
+goalForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  goalError.textContent = '';
+
+  const weekdayInput = {};
+  weekdayGrid.querySelectorAll('input').forEach(input => {
+    weekdayInput[input.dataset.day] = input.value;
+  });
+  const daily = Schemas.validate(Schemas.settings, {
+    dailyGoal: dailyGoalInput.value,
+    targetRate: targetRateInput.value,
+    weightUnit: weightUnitSelect.value,
+  }, { partial: true });
+  const rate = Schemas.validate(Schemas.targetRate[weightUnitSelect.value], { targetRate: targetRateInput.value }, { partial: true });
+  const days = Schemas.validate(Schemas.weekdayGoals, weekdayInput, { partial: true });
+  const errors = { ...daily.errors, ...rate.errors, ...days.errors };
+  if (Object.keys(errors).length > 0) {
+    goalError.textContent = Object.values(errors)[0];
+    return;
+  }
+  // Blank days fall back to the daily goal
+  const weekdayGoals = Object.fromEntries(Object.entries(days.fields).filter(([, goal]) => goal !== null));
+
+  try {
+    await saveSettings({ ...daily.fields, weekdayGoals });
+    goalDialog.close();
+    await refresh();
+  } catch (err) {
+    goalError.textContent = err.message || 'Could not save goal.';
+  }
+});
+
+weightForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  weightError.textContent = '';
+  const { fields, errors } = Schemas.validate(Schemas.weighIn, { weight: weightInput.value });
+  if (errors) {
+    weightError.textContent = Object.values(errors)[0];
+    return;
+  }
+  try {
+    await saveWeight(fields.weight);
+    // The goal may have been adjusted to the new estimate
+    await refresh();
+  } catch (err) {
+    weightError.textContent = err.message || 'Could not save weight.';
+  }
+});
+
+// Importing is two steps: a dry run to preview the file, then the real
+// import once confirmed.
+let pendingImport = null;
+
+importFile.addEventListener('change', async () => {
+  const file = importFile.files[0];
+  importFile.value = '';
+  if (!file) return;
+
+  const format = /\.csv$/i.test(file.name) || file.type === 'text/csv' ? 'csv' : 'json';
+  try {
+    pendingImport = { text: await file.text(), format };
+    renderImport(await importLog(pendingImport.text, format, { dryRun: true }));
+  } catch (err) {
+    pendingImport = null;
+    alert('Could not read import: ' + err.message);
+  }
+});
+
+importConfirm.addEventListener('click', async () => {
+  if (!pendingImport) return;
+  importConfirm.disabled = true;
+  try {
+    renderImport(await importLog(pendingImport.text, pendingImport.format));
+    pendingImport = null;
+    await refresh();
+  } catch (err) {
+    alert('Could not import: ' + err.message);
+  } finally {
+    importConfirm.disabled = false;
+  }
+});
+
+importCancel.addEventListener('click', () => {
+  pendingImport = null;
+  importPreview.hidden = true;
+});
+
+prevDayBtn.addEventListener('click', () => {
+  setSelectedDate(shiftDate(selectedDate, -1));
+});
+
+nextDayBtn.addEventListener('click', () => {
+  const next = shiftDate(selectedDate, 1);
+  if (next <= todayStr()) setSelectedDate(next);
+});
+
+todayBtn.addEventListener('click', () => {
+  setSelectedDate(todayStr());
+});
+
+datePicker.addEventListener('change', () => {
+  const value = datePicker.value;
+  if (isDateStr(value) && value <= todayStr()) {
+    setSelectedDate(value);
+  } else {
+    datePicker.value = selectedDate;
+  }
+});
+
+window.addEventListener('popstate', () => {
+  setSelectedDate(dateFromUrl(), { push: false });
+});
+
+// ─── Accounts ────────────────────────────────────────────────────────────────
+
+let authMode = 'login';
+
+function renderAuthMode() {
+  const registering = authMode === 'register';
+  authTitle.textContent = registering ? 'Create an account' : 'Sign in to your log';
+  authSubmit.textContent = registering ? 'Create account' : 'Sign in';
+  authSwitchText.textContent = registering ? 'Already have an account?' : 'New here?';
+  authSwitch.textContent = registering ? 'Sign in' : 'Create an account';
+  authPassword.autocomplete = registering ? 'new-password' : 'current-password';
+  authError.textContent = '';
+}
+
+function showSignIn() {
+  appView.hidden = true;
+  authScreen.hidden = false;
+  authPassword.value = '';
+  renderAuthMode();
+  authUsername.focus();
+}
+
+function showApp(user) {
+  currentUser = user;
+  accountName.textContent = user.username;
+  authScreen.hidden = true;
+  appView.hidden = false;
+  // Listening before the first load, so no change falls in between
+  connectEvents();
+  setSelectedDate(dateFromUrl(), { push: false });
+  refreshTokens();
+  flushOutbox();
+}
+
+authSwitch.addEventListener('click', () => {
+  authMode = authMode === 'login' ? 'register' : 'login';
+  renderAuthMode();
+});
+
+authForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  authSubmit.disabled = true;
+  authError.textContent = '';
+  try {
+    const user = await authenticate(authMode, authUsername.value.trim(), authPassword.value);
+    authForm.reset();
+    showApp(user);
+  } catch (err) {
+    authError.textContent = err.message;
+  } finally {
+    authSubmit.disabled = false;
+  }
+});
+
+tokenForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  tokenError.textContent = '';
+  try {
+    const created = await createToken(tokenName.value.trim());
+    tokenForm.reset();
+    tokenSecret.textContent = created.token;
+    tokenCreated.hidden = false;
+    await refreshTokens();
+  } catch (err) {
+    tokenError.textContent = err.message;
+  }
+});
+
+async function onRevokeToken(token) {
+  if (!confirm(`Revoke "${token.name}"? Anything using it will stop working.`)) return;
+  try {
+    await revokeToken(token.id);
+    tokenCreated.hidden = true;
+    await refreshTokens();
+  } catch (err) {
+    alert('Could not revoke token: ' + err.message);
+  }
+}
+
+// Entries still queued stay on this device and are sent when the same user
+// signs in again. The service worker's copy of the log is dropped.
+logoutBtn.addEventListener('click', async () => {
+  await signOut().catch(err => console.error('Sign out error:', err));
+  currentUser = null;
+  disconnectEvents();
+  hideUndo();
+  if (window.caches) await caches.delete(API_CACHE).catch(() => false);
+  currentEntries = [];
+  renderEntries([]);
+  renderTokens([]);
+  tokenCreated.hidden = true;
+  showSignIn();
+});
+
 // ─── Bootstrap ───────────────────────────────────────────────────────────────
 
-refresh();
+mealSelect.innerHTML = mealOptions(suggestMeal());
+
+window.addEventListener('online', () => {
+  if (currentUser) flushOutbox();
+});
+
+// The service worker keeps the app usable offline (see sw.js). Browsers only
+// run one on HTTPS or localhost.
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker error:', err));
+}
+
+fetchMe()
+  .then(user => (user ? showApp(user) : showSignIn()))
+  .catch(err => {
+    console.error('Startup error:', err);
+    showSignIn();
+  });
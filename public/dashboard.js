@@ -0,0 +1,293 @@
+'use strict';
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function dateStr(d) {
+  const yyyy = d.getFullYear();
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${yyyy}-${mm}-${dd}`;
+}
+
+function todayStr() {
+  return dateStr(new Date());
+}
+
+function parseDateStr(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function shiftDate(str, days) {
+  const d = parseDateStr(str);
+  d.setDate(d.getDate() + days);
+  return dateStr(d);
+}
+
+function shortDate(str) {
+  return parseDateStr(str).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+// Builds an SVG path through the points, starting a new segment wherever a
+// value is missing so gaps in the data show as gaps in the line.
+function linePath(points) {
+  let path = '';
+  let pen = 'M';
+  for (const point of points) {
+    if (point === null) {
+      pen = 'M';
+      continue;
+    }
+    path += `${pen}${point.x.toFixed(1)},${point.y.toFixed(1)} `;
+    pen = 'L';
+  }
+  return path.trim();
+}
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+const CHART_DAYS = 30;
+const HEATMAP_WEEKS = 12;
+
+// Macros that carry calories, with their kcal per gram. The split is shown
+// by energy rather than by weight, so fiber is left out.
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+const MACRO_LABELS = { protein: 'Protein', carbs: 'Carbs', fat: 'Fat' };
+
+// Rows of the heatmap, Monday first to match the server's weekly periods.
+const HEATMAP_ROWS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Chart geometry in viewBox units; the SVGs scale to the card width.
+const CHART = { width: 600, height: 220, top: 12, right: 12, bottom: 24, left: 40 };
+
+// ─── DOM refs ─────────────────────────────────────────────────────────────────
+
+const rangeDisplay  = document.getElementById('range-display');
+const statAverage   = document.getElementById('stat-average');
+const statOver      = document.getElementById('stat-over');
+const statStreak    = document.getElementById('stat-streak');
+const statLongest   = document.getElementById('stat-longest');
+const calorieChart  = document.getElementById('calorie-chart');
+const macroDonut    = document.getElementById('macro-donut');
+const macroLegend   = document.getElementById('macro-legend');
+const macroEmpty    = document.getElementById('macro-empty');
+const heatmap       = document.getElementById('weekday-heatmap');
+const weightCard    = document.getElementById('weight-card');
+const weightChart   = document.getElementById('weight-chart');
+
+// ─── API ─────────────────────────────────────────────────────────────────────
+
+async function fetchStats(from, to) {
+  const res = await fetch(`/api/stats?from=${from}&to=${to}`);
+  // Signed out: the daily log page shows the sign-in screen
+  if (res.status === 401) window.location.href = '/';
+  if (!res.ok) throw new Error('Failed to fetch stats');
+  return res.json();
+}
+
+// Weigh-ins as `[{ date, weight, trend }]`. Any failure is treated as "no
+// weight data", since the weight chart is optional.
+async function fetchWeights(from, to) {
+  try {
+    const res = await fetch(`/api/weights?from=${from}&to=${to}`);
+    return res.ok ? res.json() : [];
+  } catch {
+    return [];
+  }
+}
+
+// ─── Render ──────────────────────────────────────────────────────────────────
+
+function renderSummary(stats) {
+  rangeDisplay.textContent = `${shortDate(stats.from)} – ${shortDate(stats.to)}`;
+  const { average, daysOverGoal, daysLogged } = stats.summary;
+  statAverage.textContent = average === null ? '–' : `${Math.round(average)} cal`;
+  statOver.textContent = `${daysOverGoal} / ${daysLogged}`;
+  statStreak.textContent = stats.streaks.current;
+  statLongest.textContent = stats.streaks.longest;
+}
+
+// One bar per day, with the 7-day rolling average as a line and the goal in
+// force on each day as a stepped dashed line.
+function renderCalorieChart(days) {
+  const { width, height, top, right, bottom, left } = CHART;
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const peak = Math.max(1, ...days.map(d => Math.max(d.total, d.goal || 0)));
+  const max = Math.ceil((peak * 1.1) / 1000) * 1000;
+  const slot = plotW / days.length;
+  const y = value => top + plotH - (value / max) * plotH;
+
+  let svg = '';
+  for (let tick = 0; tick <= max; tick += max / 4) {
+    svg += `<line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(tick)}" y2="${y(tick)}"></line>`;
+    svg += `<text class="chart-axis" x="${left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`;
+  }
+
+  days.forEach((day, i) => {
+    const x = left + i * slot;
+    const barH = (day.total / max) * plotH;
+    svg += `<rect class="chart-bar${day.status === 'over' ? ' chart-bar-over' : ''}" x="${(x + slot * 0.15).toFixed(1)}" y="${y(day.total).toFixed(1)}" width="${(slot * 0.7).toFixed(1)}" height="${barH.toFixed(1)}">` +
+      `<title>${shortDate(day.date)}: ${day.total} cal${day.goal ? ` (goal ${day.goal})` : ''}</title></rect>`;
+    if (i % 7 === 0) {
+      svg += `<text class="chart-axis" x="${x + slot / 2}" y="${height - 6}" text-anchor="middle">${shortDate(day.date)}</text>`;
+    }
+  });
+
+  const goalPoints = [];
+  days.forEach((day, i) => {
+    if (!day.goal) {
+      goalPoints.push(null);
+      return;
+    }
+    goalPoints.push({ x: left + i * slot, y: y(day.goal) }, { x: left + (i + 1) * slot, y: y(day.goal) });
+  });
+  svg += `<path class="chart-goal" d="${linePath(goalPoints)}"></path>`;
+
+  const averagePoints = days.map((day, i) =>
+    day.rollingAverage === null ? null : { x: left + (i + 0.5) * slot, y: y(day.rollingAverage) }
+  );
+  svg += `<path class="chart-line" d="${linePath(averagePoints)}"></path>`;
+
+  calorieChart.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  calorieChart.innerHTML = svg;
+}
+
+// Ring segments sized by each macro's share of the calories it provides.
+function renderMacroDonut(macros) {
+  const kcal = Object.fromEntries(
+    Object.keys(KCAL_PER_GRAM).map(m => [m, (macros[m] || 0) * KCAL_PER_GRAM[m]])
+  );
+  const totalKcal = Object.values(kcal).reduce((sum, v) => sum + v, 0);
+  macroEmpty.hidden = totalKcal > 0;
+  macroDonut.parentElement.hidden = totalKcal === 0;
+  if (totalKcal === 0) return;
+
+  const r = 45;
+  const circumference = 2 * Math.PI * r;
+  let offset = 0;
+  let svg = `<circle class="donut-track" cx="60" cy="60" r="${r}"></circle>`;
+  macroLegend.innerHTML = '';
+
+  for (const m of Object.keys(KCAL_PER_GRAM)) {
+    const share = kcal[m] / totalKcal;
+    const length = share * circumference;
+    svg += `<circle class="donut-segment macro-${m}" cx="60" cy="60" r="${r}" ` +
+      `stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" ` +
+      `stroke-dashoffset="${(-offset).toFixed(2)}"><title>${MACRO_LABELS[m]}: ${Math.round(share * 100)}%</title></circle>`;
+    offset += length;
+
+    const li = document.createElement('li');
+    li.className = `macro-${m}`;
+    li.innerHTML = `<span class="legend-swatch"></span>${MACRO_LABELS[m]} <strong>${Math.round(share * 100)}%</strong> <span class="legend-grams">${macros[m] || 0}g</span>`;
+    macroLegend.appendChild(li);
+  }
+
+  macroDonut.innerHTML = svg;
+}
+
+// A week-per-column grid, Monday at the top. Shading is relative to the
+// busiest day shown; days over their goal are marked, empty days stay grey
+// and days still to come are left out. Each row ends with the weekday's
+// average over the days logged.
+function renderHeatmap(days) {
+  const cell = 22;
+  const gap = 4;
+  const labelW = 36;
+  const avgW = 64;
+  const weeks = Math.ceil(days.length / 7);
+  const width = labelW + weeks * (cell + gap) + avgW;
+  const height = 7 * (cell + gap);
+  const peak = Math.max(1, ...days.map(d => d.total));
+  const sums = HEATMAP_ROWS.map(() => ({ total: 0, days: 0 }));
+
+  let svg = '';
+  days.forEach((day, i) => {
+    const week = Math.floor(i / 7);
+    const row = i % 7;
+    if (day.entries > 0) {
+      sums[row].total += day.total;
+      sums[row].days++;
+    }
+    const level = day.entries > 0 ? 0.15 + 0.85 * (day.total / peak) : 0;
+    const cls = day.entries === 0 ? 'heat-empty' : day.status === 'over' ? 'heat-cell heat-over' : 'heat-cell';
+    svg += `<rect class="${cls}" x="${labelW + week * (cell + gap)}" y="${row * (cell + gap)}" width="${cell}" height="${cell}" rx="4"` +
+      `${level ? ` fill-opacity="${level.toFixed(2)}"` : ''}><title>${shortDate(day.date)}: ${day.entries ? `${day.total} cal` : 'nothing logged'}</title></rect>`;
+  });
+
+  HEATMAP_ROWS.forEach((label, row) => {
+    const cy = row * (cell + gap) + cell / 2 + 4;
+    const avg = sums[row].days ? `${Math.round(sums[row].total / sums[row].days)}` : '–';
+    svg += `<text class="chart-axis" x="0" y="${cy}">${label}</text>`;
+    svg += `<text class="chart-axis" x="${width}" y="${cy}" text-anchor="end">${avg}</text>`;
+  });
+
+  heatmap.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  heatmap.innerHTML = svg;
+}
+
+// Each weigh-in as a dot on a faint line, with the smoothed trend drawn over
+// them, spaced by date so gaps between weigh-ins show.
+function renderWeightChart(weights) {
+  weightCard.hidden = weights.length < 2;
+  if (weights.length < 2) return;
+
+  const { width, height, top, right, bottom, left } = CHART;
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const values = weights.flatMap(w => [w.weight, w.trend]);
+  const min = Math.floor(Math.min(...values) - 1);
+  const max = Math.ceil(Math.max(...values) + 1);
+  const first = parseDateStr(weights[0].date);
+  const last = weights[weights.length - 1];
+  const span = Math.max(1, (parseDateStr(last.date) - first) / 86400000);
+  const x = date => left + ((parseDateStr(date) - first) / 86400000 / span) * plotW;
+  const y = value => top + plotH - ((value - min) / (max - min)) * plotH;
+
+  let svg = '';
+  for (const tick of [min, (min + max) / 2, max]) {
+    svg += `<line class="chart-grid" x1="${left}" x2="${width - right}" y1="${y(tick)}" y2="${y(tick)}"></line>`;
+    svg += `<text class="chart-axis" x="${left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`;
+  }
+  svg += `<path class="chart-weight" d="${linePath(weights.map(w => ({ x: x(w.date), y: y(w.weight) })))}"></path>`;
+  for (const w of weights) {
+    svg += `<circle class="chart-dot" cx="${x(w.date).toFixed(1)}" cy="${y(w.weight).toFixed(1)}" r="3">` +
+      `<title>${shortDate(w.date)}: ${w.weight} (trend ${w.trend})</title></circle>`;
+  }
+  svg += `<path class="chart-line" d="${linePath(weights.map(w => ({ x: x(w.date), y: y(w.trend) })))}"></path>`;
+  svg += `<text class="chart-axis" x="${left}" y="${height - 6}">${shortDate(weights[0].date)}</text>`;
+  svg += `<text class="chart-axis" x="${width - right}" y="${height - 6}" text-anchor="end">${shortDate(last.date)}</text>`;
+
+  weightChart.setAttribute('aria-label',
+    `Weigh-ins and their trend for the last 30 days: weight ${weights[0].weight} to ${last.weight}, ` +
+    `trend ${weights[0].trend} to ${last.trend}`);
+  weightChart.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  weightChart.innerHTML = svg;
+}
+
+// ─── Bootstrap ───────────────────────────────────────────────────────────────
+
+async function load() {
+  const today = todayStr();
+  const chartFrom = shiftDate(today, 1 - CHART_DAYS);
+  // Start the heatmap on a Monday so each column is one week
+  const mondayOffset = (parseDateStr(today).getDay() + 6) % 7;
+  const heatmapFrom = shiftDate(today, -mondayOffset - 7 * (HEATMAP_WEEKS - 1));
+
+  try {
+    const [recent, weeks, weights] = await Promise.all([
+      fetchStats(chartFrom, today),
+      fetchStats(heatmapFrom, today),
+      fetchWeights(chartFrom, today),
+    ]);
+    renderSummary(recent);
+    renderCalorieChart(recent.days);
+    renderMacroDonut(recent.macros);
+    renderHeatmap(weeks.days);
+    renderWeightChart(weights);
+  } catch (err) {
+    console.error('Dashboard error:', err);
+  }
+}
+
+load();
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Entries logged in this browser that the server hasn't confirmed yet, kept
+ * in IndexedDB so they survive losing the connection, closing the tab or
+ * restarting the phone. Each is stored with the id the browser gave it, so
+ * sending one again after a lost response still logs it only once.
+ *
+ * Items are `{ id, userId, date, body, preview, queuedAt }`: `body` is what
+ * gets POSTed to /api/entries and `preview` is how the entry is shown until
+ * then. Without IndexedDB (some private windows) the queue lives in memory
+ * for as long as the page is open.
+ *
+ * Loaded as a plain script, exposing `Outbox`.
+ */
+const Outbox = (() => {
+  const DB_NAME = 'calorie-tracker';
+  const STORE = 'outbox';
+
+  let dbPromise = null;
+  let memory = null;
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function open() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  }
+
+  // Runs `fn` on the object store inside one transaction and resolves with
+  // its result once the transaction has committed.
+  async function withStore(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(STORE))).then(value => { result = value; }, reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // The in-memory queue to use when IndexedDB can't be opened, or null when
+  // it can.
+  async function inMemory() {
+    if (!memory && typeof indexedDB !== 'undefined') {
+      try {
+        await open();
+        return null;
+      } catch (err) {
+        console.error('Outbox storage unavailable:', err);
+      }
+    }
+    memory = memory || new Map();
+    return memory;
+  }
+
+  return {
+    /** Queues an entry to be sent. */
+    async add(item) {
+      const map = await inMemory();
+      if (map) {
+        map.set(item.id, item);
+        return;
+      }
+      await withStore('readwrite', store => promisify(store.put(item)));
+    },
+
+    /** A user's queued entries, oldest first. */
+    async list(userId) {
+      const map = await inMemory();
+      const items = map ? [...map.values()] : await withStore('readonly', store => promisify(store.getAll()));
+      return items
+        .filter(item => item.userId === userId)
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+    },
+
+    /** Drops an entry from the queue, once sent or given up on. */
+    async remove(id) {
+      const map = await inMemory();
+      if (map) {
+        map.delete(id);
+        return;
+      }
+      await withStore('readwrite', store => promisify(store.delete(id)));
+    },
+  };
+})();
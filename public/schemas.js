@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Field rules shared by the server and the browser, so a form rejects
+ * exactly what the API would. Each schema maps a field name to a rule:
+ *
+ *   type       'string' (trimmed unless `trim: false`), 'number', 'date'
+ *              (YYYY-MM-DD) or 'datetime' (ISO 8601, normalized to UTC)
+ *   required   must be given and not empty
+ *   nullable   null or '' clears the field; a full (non-partial) body that
+ *              leaves it out clears it too
+ *   positive, min, max, integer   number bounds
+ *   minLength, maxLength, pattern string checks
+ *   enum       the allowed values
+ *   message    the error reported for any problem with the field
+ *
+ * Loaded with `require` on the server and as a plain script (exposing
+ * `Schemas`) in the browser.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Schemas = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Optional per-entry macronutrients, in grams.
+  const MACROS = ['protein', 'carbs', 'fat', 'fiber'];
+
+  // Optional meal an entry belongs to.
+  const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+  // Units a portion can be measured in; the server holds their conversions.
+  const UNITS = ['g', 'oz', 'ml', 'cup', 'piece', 'serving'];
+
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+  // Units body weight is logged in, and the kilograms in one of each.
+  const WEIGHT_UNITS = ['kg', 'lb'];
+  const KG_PER_WEIGHT_UNIT = { kg: 1, lb: 0.45359237 };
+
+  // The fastest weekly change a target rate can ask for, in each unit.
+  const MAX_TARGET_RATE = { kg: 1, lb: 2.2 };
+
+  const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+  const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+  const PASSWORD_MIN_LENGTH = 8;
+  const TOKEN_NAME_MAX_LENGTH = 100;
+
+  const DATE_ERROR = 'Date must be in YYYY-MM-DD format';
+  const MEAL_ERROR = `Meal must be one of ${MEALS.join(', ')}`;
+  const UNIT_ERROR = `Unit must be one of ${UNITS.join(', ')}`;
+
+  function isValidDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return false;
+    }
+    const [y, m, d] = value.split('-').map(Number);
+    const date = new Date(y, m - 1, d);
+    return date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d;
+  }
+
+  function macroRules() {
+    return Object.fromEntries(MACROS.map(m => [m, {
+      type: 'number',
+      min: 0,
+      nullable: true,
+      message: `${m[0].toUpperCase()}${m.slice(1)} must be a non-negative number of grams`,
+    }]));
+  }
+
+  const name = { type: 'string', required: true, message: 'Name is required' };
+  const calories = { type: 'number', positive: true, required: true, message: 'Calories must be a positive number' };
+
+  // An entry as sent to POST, PUT and PATCH /api/entries. A measured entry
+  // (quantity and unit of a food, recipe or inline basis) gets its name and
+  // calories from the server, so those are only checked when given. An `id`
+  // is only read when logging a new entry: clients that make up their own
+  // can resend it safely.
+  const entry = {
+    id: { type: 'string', pattern: ID_PATTERN, message: 'Id must be 1-64 letters, digits, dashes or underscores' },
+    name,
+    calories,
+    ...macroRules(),
+    quantity: { type: 'number', positive: true, message: 'Quantity must be a positive number' },
+    unit: { enum: UNITS, message: UNIT_ERROR },
+    foodId: { type: 'string', minLength: 1, message: 'Food id must be a string' },
+    recipeId: { type: 'string', minLength: 1, message: 'Recipe id must be a string' },
+    meal: { enum: MEALS, nullable: true, message: MEAL_ERROR },
+    date: { type: 'date', message: DATE_ERROR },
+    timestamp: { type: 'datetime', message: 'Timestamp must be an ISO 8601 date-time' },
+  };
+
+  // The per-serving nutrition given inline as an entry's `basis`.
+  const basis = {
+    calories,
+    ...macroRules(),
+    servingSize: { type: 'number', positive: true, message: 'Serving size must be a positive number' },
+    servingUnit: { enum: UNITS, message: UNIT_ERROR },
+  };
+
+  // A saved food in the catalog.
+  const food = {
+    name,
+    calories,
+    ...macroRules(),
+    servingSize: { type: 'number', positive: true, nullable: true, message: 'Serving size must be a positive number' },
+    servingUnit: { enum: UNITS, nullable: true, message: `Serving unit: ${UNIT_ERROR}` },
+  };
+
+  const credentials = {
+    username: {
+      type: 'string',
+      required: true,
+      pattern: USERNAME_PATTERN,
+      message: 'Username must be 3-32 letters, digits, dots, dashes or underscores',
+    },
+    password: {
+      type: 'string',
+      trim: false,
+      required: true,
+      minLength: PASSWORD_MIN_LENGTH,
+      message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters`,
+    },
+  };
+
+  const apiToken = {
+    name: {
+      type: 'string',
+      required: true,
+      maxLength: TOKEN_NAME_MAX_LENGTH,
+      message: `Name is required and must be at most ${TOKEN_NAME_MAX_LENGTH} characters`,
+    },
+  };
+
+  // The goals in PUT /api/settings, always validated as a partial body.
+  // `weekdayGoals` holds one `goal` rule per weekday.
+  // `targetRate` is the weekly change in weight the goal is adjusted toward
+  // (negative to lose), or null to set the goal by hand. Its bounds depend
+  // on the weight unit, so `targetRate` holds one schema per unit to check
+  // it against as well.
+  const goal = { type: 'number', positive: true, nullable: true, message: 'Daily goal must be a positive number' };
+  const settings = {
+    dailyGoal: goal,
+    targetRate: { type: 'number', nullable: true, message: 'Target rate must be a number' },
+    weightUnit: { enum: WEIGHT_UNITS, message: `Weight unit must be one of ${WEIGHT_UNITS.join(', ')}` },
+  };
+  const weekdayGoals = Object.fromEntries(WEEKDAYS.map(day => [day, { ...goal, message: `Goal for ${day} must be a positive number` }]));
+  const targetRate = Object.fromEntries(WEIGHT_UNITS.map(unit => [unit, {
+    targetRate: {
+      ...settings.targetRate,
+      min: -MAX_TARGET_RATE[unit],
+      max: MAX_TARGET_RATE[unit],
+      message: `Target rate must be a number from -${MAX_TARGET_RATE[unit]} to ${MAX_TARGET_RATE[unit]} ${unit} per week`,
+    },
+  }]));
+
+  // A weigh-in as sent to POST and PUT /api/weights; the date defaults to
+  // today, or comes from the path.
+  const weighIn = {
+    date: { type: 'date', message: DATE_ERROR },
+    weight: { type: 'number', positive: true, required: true, message: 'Weight must be a positive number' },
+  };
+
+  // Query strings. Dates left out are filled in by the route.
+  const dayQuery = {
+    date: { type: 'date', message: DATE_ERROR },
+  };
+  const entriesQuery = {
+    ...dayQuery,
+    meal: { enum: MEALS, message: MEAL_ERROR },
+  };
+  const rangeQuery = {
+    from: { type: 'date', message: DATE_ERROR },
+    to: { type: 'date', message: DATE_ERROR },
+  };
+  const searchQuery = {
+    q: { type: 'string' },
+    limit: { type: 'number', integer: true, min: 1, message: 'Limit must be a positive whole number' },
+  };
+
+  /**
+   * Checks one present, non-empty value against a rule. Returns
+   * `{ value }` with the cleaned value, or `{}` when it is invalid.
+   */
+  function checkValue(rule, value) {
+    if (rule.enum) {
+      return rule.enum.includes(value) ? { value } : {};
+    }
+    switch (rule.type) {
+      case 'string': {
+        if (typeof value !== 'string') return {};
+        const text = rule.trim === false ? value : value.trim();
+        if (rule.minLength !== undefined && text.length < rule.minLength) return {};
+        if (rule.maxLength !== undefined && text.length > rule.maxLength) return {};
+        if (rule.pattern && !rule.pattern.test(text)) return {};
+        return { value: text };
+      }
+      case 'number': {
+        if (typeof value !== 'number' && typeof value !== 'string') return {};
+        const number = Number(value);
+        if (!Number.isFinite(number)) return {};
+        if (rule.integer && !Number.isInteger(number)) return {};
+        if (rule.positive && number <= 0) return {};
+        if (rule.min !== undefined && number < rule.min) return {};
+        if (rule.max !== undefined && number > rule.max) return {};
+        return { value: number };
+      }
+      case 'date':
+        return isValidDate(value) ? { value } : {};
+      case 'datetime': {
+        const time = typeof value === 'string' ? new Date(value) : null;
+        return time && !Number.isNaN(time.getTime()) ? { value: time.toISOString() } : {};
+      }
+      default:
+        return { value };
+    }
+  }
+
+  function isEmpty(rule, value) {
+    if (value === null) return true;
+    if (typeof value !== 'string') return false;
+    return (rule.trim === false ? value : value.trim()) === '';
+  }
+
+  /**
+   * Validates `input` against a schema. With `partial` (PATCH) only the
+   * fields given are checked. Fields not in the schema are ignored. Returns
+   * `{ fields, errors }`: the cleaned values, and a message per invalid
+   * field or null when there are none.
+   */
+  function validate(schema, input, { partial = false } = {}) {
+    const fields = {};
+    const errors = {};
+    const body = input && typeof input === 'object' ? input : {};
+
+    for (const [key, rule] of Object.entries(schema)) {
+      const value = body[key];
+      if (value === undefined) {
+        if (partial) continue;
+        if (rule.required) errors[key] = rule.message;
+        else if (rule.nullable) fields[key] = null;
+        continue;
+      }
+      if (isEmpty(rule, value)) {
+        if (rule.required) errors[key] = rule.message;
+        else if (rule.nullable) fields[key] = null;
+        continue;
+      }
+      const checked = checkValue(rule, value);
+      if ('value' in checked) fields[key] = checked.value;
+      else errors[key] = rule.message;
+    }
+
+    return { fields, errors: Object.keys(errors).length > 0 ? errors : null };
+  }
+
+  return {
+    MACROS,
+    MEALS,
+    UNITS,
+    WEEKDAYS,
+    WEIGHT_UNITS,
+    KG_PER_WEIGHT_UNIT,
+    DATE_ERROR,
+    MEAL_ERROR,
+    UNIT_ERROR,
+    entry,
+    basis,
+    food,
+    credentials,
+    apiToken,
+    settings,
+    weekdayGoals,
+    targetRate,
+    weighIn,
+    dayQuery,
+    entriesQuery,
+    rangeQuery,
+    searchQuery,
+    isValidDate,
+    validate,
+  };
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/**
+ * Service worker: keeps a copy of the app's pages, scripts and styles (the
+ * shell) and of the API data last read, so the app opens and shows the log
+ * without a connection. Requests go to the network first, so an online visit
+ * always sees the latest files (cheap 304s thanks to ETags), and fall back
+ * to the copy when the network fails. Entries logged offline are queued by
+ * the page itself (see outbox.js), not here.
+ */
+
+// Bump to drop the old shell when the list of files changes.
+const SHELL_CACHE = 'calorie-shell-v1';
+// Cleared by the page on signing out, so the next person to sign in on this
+// device can't read the previous log offline.
+const API_CACHE = 'calorie-api';
+
+const SHELL = [
+  '/',
+  '/index.html',
+  '/dashboard.html',
+  '/404.html',
+  '/style.css',
+  '/schemas.js',
+  '/outbox.js',
+  '/app.js',
+  '/dashboard.js',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/icon-192.png',
+  '/icon-512.png',
+];
+
+// Downloads are large and one-off, so they aren't kept; the event stream
+// never ends, so it can't be.
+const UNCACHED_API = ['/api/export', '/api/v1/export', '/api/events', '/api/v1/events'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('calorie-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Answers from the network, keeping a copy of each complete response, or
+// from the cache when the network can't be reached. Page loads with a
+// `?date=` fall back to the cached page without it.
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.status === 200) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const navigating = request.mode === 'navigate';
+    const cached = await cache.match(request, { ignoreSearch: navigating }) ||
+      (navigating ? await cache.match('/index.html') : undefined);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Changes always go to the server; other sites are none of our business
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  // Byte ranges are partial responses that can't be cached
+  if (request.headers.has('range')) return;
+
+  if (url.pathname.startsWith('/api/')) {
+    if (UNCACHED_API.includes(url.pathname)) return;
+    event.respondWith(networkFirst(request, API_CACHE));
+    return;
+  }
+  event.respondWith(networkFirst(request, SHELL_CACHE));
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+// Buckets idle long enough to have refilled are dropped at most this often,
+// so memory follows the number of recently active clients.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Creates a token-bucket rate limiter keyed by client (an IP address, say).
+ * Each key starts with `capacity` tokens and regains `refillPerSecond` of
+ * them every second, up to `capacity`; each request takes one. Bursts up to
+ * the capacity pass, and sustained traffic is held to the refill rate.
+ *
+ * @param {object} options
+ * @param {number} options.capacity - largest burst allowed
+ * @param {number} options.refillPerSecond - sustained requests per second
+ * @param {function(): number} [options.now=Date.now] - clock, in milliseconds
+ * @returns {{take: function(string): {allowed: boolean, remaining: number, retryAfter: number}, size: function(): number}}
+ */
+function createRateLimiter({ capacity, refillPerSecond, now = Date.now }) {
+  const buckets = new Map();
+  let lastSweep = now();
+
+  function refill(bucket, time) {
+    const elapsed = (time - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * refillPerSecond);
+    bucket.updatedAt = time;
+  }
+
+  function sweep(time) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, time);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+    lastSweep = time;
+  }
+
+  return {
+    /**
+     * Takes a token for `key`. When none is left the request is refused
+     * and `retryAfter` says how many whole seconds until one is.
+     */
+    take(key) {
+      const time = now();
+      if (time - lastSweep >= SWEEP_INTERVAL_MS) sweep(time);
+
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: time };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, time);
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+      }
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - bucket.tokens) / refillPerSecond) };
+    },
+
+    /** Number of keys currently tracked. */
+    size() {
+      return buckets.size;
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
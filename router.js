@@ -0,0 +1,77 @@
+'use strict';
+
+/**
+ * A small table of routes keyed by method and path pattern. Patterns are
+ * paths whose `:name` segments match any single segment, handed to the
+ * handler as `params.name`. Routes are tried in the order they were added,
+ * so a literal path such as `/api/foods/search` should come before the
+ * `/api/foods/:id` pattern it would otherwise fall under.
+ */
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function compile(pattern) {
+  const names = [];
+  const source = pattern.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * Creates an empty router.
+ * @returns {{add: Function, match: Function}}
+ */
+function createRouter() {
+  const routes = [];
+
+  return {
+    /**
+     * Adds a route. `options` is kept on the route for the caller (for
+     * example which schemas to check) and isn't read by the router.
+     * @param {string} method
+     * @param {string} pattern - e.g. '/api/entries/:id'
+     * @param {object} options
+     * @param {Function} handler
+     */
+    add(method, pattern, options, handler) {
+      routes.push({ method, pattern, ...compile(pattern), options, handler });
+    },
+
+    /**
+     * Finds the route for a request. Returns `{ route, params }` when one
+     * matches; `{ allowed }`, the methods the path does support, when only
+     * the method is wrong; or null for an unknown path.
+     * @param {string} method
+     * @param {string} pathname
+     */
+    match(method, pathname) {
+      const allowed = [];
+      for (const route of routes) {
+        const found = route.regex.exec(pathname);
+        if (!found) continue;
+        if (route.method === method) {
+          const params = {};
+          route.names.forEach((name, i) => {
+            params[name] = decodeParam(found[i + 1]);
+          });
+          return { route, params };
+        }
+        if (!allowed.includes(route.method)) allowed.push(route.method);
+      }
+      return allowed.length > 0 ? { allowed } : null;
+    },
+  };
+}
+
+module.exports = { createRouter };
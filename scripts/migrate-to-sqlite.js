@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+'use strict';
+
+// Copies every user's entries (those in the trash too), weigh-ins and
+// settings, and any log from before accounts, from a JSON data file into an
+// SQLite database for STORAGE=sqlite. Entries the database already has are
+// skipped, so the command can be run again after logging more in JSON mode;
+// weigh-ins replace the ones it has for the same days. The JSON file is only
+// read, never changed.
+//
+//   node scripts/migrate-to-sqlite.js [data.json] [data.db]
+
+const fs = require('fs');
+const path = require('path');
+
+const { migrateData } = require('../backends/json');
+const { createSqliteBackend } = require('../backends/sqlite');
+
+const ROOT = path.join(__dirname, '..');
+
+async function main() {
+  const [source = path.join(ROOT, 'data.json'), target = process.env.SQLITE_FILE || path.join(ROOT, 'data.db')] =
+    process.argv.slice(2);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (err) {
+    throw new Error(`Can't read ${source}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${source} does not hold a JSON object`);
+  }
+  migrateData(data);
+
+  // The log from before accounts belongs to no user (null) until claimed
+  const logs = [[null, data], ...Object.entries(data.users)];
+
+  const db = createSqliteBackend(target);
+  await db.init();
+  try {
+    let copied = 0;
+    let skipped = 0;
+    let weights = 0;
+    let settings = 0;
+    for (const [userId, log] of logs) {
+      const listed = Object.entries(log.entries || {})
+        .flatMap(([date, entries]) => entries.map(entry => ({ date, entry })));
+      const items = [];
+      for (const item of [...listed, ...(log.trash || [])]) {
+        if (await db.findEntry(userId, item.entry.id) || await db.findDeleted(userId, item.entry.id)) {
+          skipped++;
+        } else {
+          items.push(item);
+        }
+      }
+      // Entries from the trash are added, then deleted again as they were.
+      // Of several entries sharing an id only the first is added.
+      const rows = items.map(({ date, entry: { deletedAt, ...entry } }) => ({ date, entry }));
+      const added = new Set(await db.addEntries(userId, rows));
+      for (const [i, { date, entry }] of items.entries()) {
+        if (added.has(rows[i]) && entry.deletedAt) await db.deleteEntry(userId, entry.id, date, entry.deletedAt);
+      }
+      copied += added.size;
+      skipped += items.length - added.size;
+      for (const [date, weight] of Object.entries(log.weights || {})) {
+        await db.saveWeight(userId, date, weight);
+        weights++;
+      }
+      if (log.settings) {
+        await db.saveSettings(userId, log.settings);
+        settings++;
+      }
+    }
+
+    console.log(`Copied ${copied} entries from ${source} to ${target}` +
+      (skipped ? ` (${skipped} already there)` : ''));
+    console.log(`Copied ${weights} ${weights === 1 ? 'weigh-in' : 'weigh-ins'}`);
+    console.log(`Copied settings for ${settings} ${settings === 1 ? 'log' : 'logs'}`);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
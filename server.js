@@ -1,199 +1,2094 @@
 'use strict';
 
 const http = require('http');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
-const { getTodayDate, sendJSON, parseBody } = require('./utils');
+const {
+  HttpError,
+  formatDate,
+  getTodayDate,
+  addDays,
+  sendJSON,
+  setSecurityHeaders,
+  readBody,
+  parseBody,
+} = require('./utils');
+const { formatCSVRow, parseCSV } = require('./csv');
+const { createStore, StorageError } = require('./storage');
+const auth = require('./auth');
+const { openApiDocument } = require('./openapi');
+const { createRouter } = require('./router');
+const { createRateLimiter } = require('./rate-limit');
+const { serveStatic } = require('./static');
+const { loadConfig, resolveConfig, ConfigError } = require('./config');
+const { createEventHub } = require('./events');
+const { createJournal } = require('./journal');
+const schemas = require('./public/schemas');
+const { createBackend } = require('./backends');
+const { MACROS, summarizeEntries } = require('./nutrition');
+const stats = require('./stats');
+const energy = require('./energy');
 
-const PORT = 3000;
-const DATA_FILE = path.join(__dirname, 'data.json');
 const PUBLIC_DIR = path.join(__dirname, 'public');
 
-const MIME_TYPES = {
-  '.html': 'text/html',
-  '.css': 'text/css',
-  '.js': 'application/javascript',
-  '.json': 'application/json',
-  '.png': 'image/png',
-  '.jpg': 'image/jpeg',
-  '.svg': 'image/svg+xml',
+// Request validation messages, shared with the browser through the schemas.
+const { DATE_ERROR, MEAL_ERROR, UNIT_ERROR, WEEKDAYS } = schemas;
+
+// Energy density of the macros in kcal per gram. Fiber is tracked but not
+// counted towards calories.
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+// How far the calories implied by the macros may drift from the stated
+// calories before a warning is returned: 15%, but never less than 25 kcal.
+const MACRO_TOLERANCE_RATIO = 0.15;
+const MACRO_TOLERANCE_MIN = 25;
+
+// Units a quantity can be given in. Mass and volume units convert within
+// their dimension (`factor` is grams or millilitres per unit); pieces and
+// servings only count themselves. The names match the UNITS list in
+// public/schemas.js, which validates them.
+const UNITS = {
+  g: { dimension: 'mass', factor: 1 },
+  oz: { dimension: 'mass', factor: 28.349523125 },
+  ml: { dimension: 'volume', factor: 1 },
+  cup: { dimension: 'volume', factor: 240 },
+  piece: { dimension: 'count', factor: 1 },
+  serving: { dimension: 'serving', factor: 1 },
 };
 
-function readData() {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(raw);
-  } catch {
-    const initial = { entries: {} };
-    writeData(initial);
-    return initial;
+// Fields copied from a validated body onto a stored record.
+const PORTION_FIELDS = ['quantity', 'unit', 'foodId', 'recipeId', 'basis'];
+const ENTRY_FIELDS = ['name', 'calories', ...MACROS, 'meal', ...PORTION_FIELDS];
+const FOOD_FIELDS = ['name', 'calories', ...MACROS, 'servingSize', 'servingUnit'];
+const INGREDIENT_FIELDS = ['name', 'calories', ...MACROS, 'quantity', 'unit', 'foodId', 'basis'];
+
+// Learned foods lose half their ranking weight for every 14 days since
+// they were last logged.
+const FOOD_RECENCY_HALF_LIFE_DAYS = 14;
+const FOOD_SEARCH_LIMIT = 10;
+
+// Deleted entries past the retention period are purged this often, and
+// once when the server starts.
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// A day within 5% of its goal counts as "at" the goal.
+const GOAL_TOLERANCE_RATIO = 0.05;
+
+// Weigh-ins are shown in kilograms until the user picks another unit.
+const DEFAULT_WEIGHT_UNIT = 'kg';
+const FUTURE_WEIGH_IN_ERROR = "Weigh-ins can't be dated after today";
+
+// Statistics default to the last 30 days and cover at most about ten years.
+const GRANULARITIES = ['day', 'week', 'month'];
+const STATS_DEFAULT_DAYS = 30;
+const STATS_MAX_DAYS = 3660;
+const ROLLING_WINDOW_DAYS = 7;
+
+// Export and import formats. CSV holds plain entries with these columns, in
+// this order; imports match columns by header name, so extra or reordered
+// columns are fine. JSON carries every entry field, portions included.
+const TRANSFER_FORMATS = ['csv', 'json'];
+const CSV_COLUMNS = ['id', 'date', 'timestamp', 'name', 'calories', 'meal', ...MACROS];
+
+// Accounts. Usernames are compared case-insensitively; a session lasts 30
+// days from signing in, a personal API token until it is revoked.
+const SESSION_TTL_DAYS = 30;
+
+// The public API lives under /api/v1/. The unversioned /api/ routes are
+// aliases of the same handlers, kept for existing clients.
+const API_VERSION_PREFIX = /^\/api\/v1(?=\/)/;
+
+/**
+ * Returns a migration that fills in the named lists when a file is missing
+ * them, for files that predate those lists: recipes in the food catalog, say.
+ */
+function ensureLists(...keys) {
+  return data => {
+    let changed = false;
+    for (const key of keys) {
+      if (!Array.isArray(data[key])) {
+        data[key] = [];
+        changed = true;
+      }
+    }
+    return changed;
+  };
+}
+
+/**
+ * Places a timestamp on the given date. If `from` already falls on that date
+ * it is returned unchanged; otherwise its local time of day is carried over,
+ * so back-filled or moved entries still sort sensibly within the day.
+ */
+function timestampForDate(date, from = new Date()) {
+  if (date === formatDate(from)) {
+    return from.toISOString();
   }
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(y, m - 1, d, from.getHours(), from.getMinutes(), from.getSeconds()).toISOString();
 }
 
-function writeData(data) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2), 'utf8');
+/**
+ * Shapes the result of a schema check for the validators below: `{ fields }`
+ * when it passed, otherwise also `errors`, a message per invalid field, and
+ * `error`, the first of them, for callers that report just one.
+ */
+function checked(fields, errors) {
+  if (!errors || Object.keys(errors).length === 0) {
+    return { fields };
+  }
+  return { error: Object.values(errors)[0], errors, fields };
 }
 
-function serveStaticFile(res, filePath) {
-  fs.readFile(filePath, (err, data) => {
-    if (err) {
-      sendJSON(res, 404, { error: 'File not found' });
-      return;
+/**
+ * Validates a per-serving basis given inline on an entry: calories (required)
+ * and macros for `servingSize` of `servingUnit`. The serving defaults to one
+ * of the entry's own unit, so `{ calories: 78 }` with unit "piece" means
+ * 78 cal per piece. Errors are reported against `basis.<field>`. Returns
+ * `{ errors }` or `{ basis }`.
+ */
+function validateBasis(value, defaultUnit) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return { errors: { basis: 'Basis must be an object' } };
+  }
+  const { fields, errors } = schemas.validate(schemas.basis, value);
+  if (errors) {
+    return {
+      errors: Object.fromEntries(Object.entries(errors).map(([key, message]) => [`basis.${key}`, `Basis: ${message}`])),
+    };
+  }
+
+  const basis = {
+    servingSize: fields.servingSize === undefined ? 1 : fields.servingSize,
+    servingUnit: fields.servingUnit === undefined ? defaultUnit : fields.servingUnit,
+    calories: fields.calories,
+  };
+  for (const m of MACROS) {
+    if (fields[m] !== undefined && fields[m] !== null) basis[m] = fields[m];
+  }
+  return { basis };
+}
+
+/**
+ * Whether a moment falls on a calendar day in some time zone, from UTC-12
+ * to UTC+14. A client sends the day in its own time zone, which needn't be
+ * the server's.
+ */
+function fallsOnDate(timestamp, date) {
+  const time = new Date(timestamp).getTime();
+  const utcDay = offsetHours => new Date(time + offsetHours * 3600000).toISOString().slice(0, 10);
+  return date >= utcDay(-12) && date <= utcDay(14);
+}
+
+/**
+ * Validates the user-editable fields of an entry body against the shared
+ * entry schema, plus the rules that span fields: only one of foodId,
+ * recipeId or basis, and a timestamp that falls on the given date in some
+ * time zone. With
+ * `partial` (PATCH) only the fields present are checked. Entries given a
+ * portion don't need calories, which are worked out from it later by
+ * `resolvePortion`. Portion fields can't be cleared with null: setting
+ * calories is what turns a measured entry back into a plain one. Returns
+ * `{ fields }`, or `{ error, errors, fields }`.
+ */
+function validateEntry(body, { partial = false } = {}) {
+  const measured = PORTION_FIELDS.some(k => body[k] !== undefined && body[k] !== null);
+  const result = schemas.validate(schemas.entry, body, { partial: partial || measured });
+  const fields = result.fields;
+  const errors = { ...result.errors };
+  for (const key of PORTION_FIELDS) {
+    if (body[key] === null) {
+      errors[key] = `${key} can't be cleared; set calories to make this a plain entry`;
+    }
+  }
+  if (!partial && fields.meal === undefined) {
+    fields.meal = null;
+  }
+
+  if (fields.foodId && fields.recipeId) {
+    errors.recipeId = 'Give only one of food id, recipe id or basis';
+  }
+
+  if (body.basis !== undefined && body.basis !== null) {
+    if (fields.foodId || fields.recipeId) {
+      errors.basis = 'Give only one of food id, recipe id or basis';
+    } else {
+      const { errors: basisErrors, basis } = validateBasis(body.basis, fields.unit || 'serving');
+      Object.assign(errors, basisErrors);
+      fields.basis = basis;
+    }
+  }
+
+  if (fields.timestamp && fields.date && !fallsOnDate(fields.timestamp, fields.date)) {
+    errors.timestamp = 'Timestamp does not fall on the given date';
+  }
+
+  return checked(fields, errors);
+}
+
+/**
+ * Copies validated fields onto a record, entry fields by default. A null
+ * value removes that field from the record.
+ */
+function applyFields(record, fields, keys = ENTRY_FIELDS) {
+  for (const key of keys) {
+    if (fields[key] === null) {
+      delete record[key];
+    } else if (fields[key] !== undefined) {
+      record[key] = fields[key];
+    }
+  }
+  return record;
+}
+
+/**
+ * Validates a food catalog body against the shared food schema: name,
+ * calories per serving and macros as for entries, plus an optional serving
+ * size and unit. Returns `{ fields }`, or `{ error, errors, fields }`.
+ */
+function validateFood(body) {
+  const { fields, errors } = schemas.validate(schemas.food, body);
+  return checked(fields, errors);
+}
+
+/**
+ * Builds the per-serving basis for a catalog food. Foods without a usable
+ * serving size and unit are measured in servings only.
+ */
+function basisFromFood(food) {
+  const basis = Object.hasOwn(UNITS, food.servingUnit) && food.servingSize
+    ? { servingSize: food.servingSize, servingUnit: food.servingUnit }
+    : { servingSize: 1, servingUnit: 'serving' };
+  basis.calories = food.calories;
+  for (const m of MACROS) {
+    if (food[m] !== undefined) basis[m] = food[m];
+  }
+  return basis;
+}
+
+/**
+ * Converts a quantity into a number of servings of `basis`. "serving" always
+ * means one serving; other units must share a dimension with the basis unit
+ * (grams and ounces, millilitres and cups, pieces). Returns null when they
+ * can't be converted.
+ */
+function servingsFor(quantity, unit, basis) {
+  if (unit === 'serving') {
+    return quantity;
+  }
+  const from = UNITS[unit];
+  const to = UNITS[basis.servingUnit];
+  if (!from || !to || from.dimension !== to.dimension) {
+    return null;
+  }
+  return (quantity * from.factor) / (to.factor * basis.servingSize);
+}
+
+/**
+ * Builds the per-serving basis for a recipe. Recipes are only measured in
+ * servings.
+ */
+function basisFromRecipe(recipe) {
+  return { servingSize: 1, servingUnit: 'serving', ...recipe.perServing };
+}
+
+/**
+ * Fills in calories and macros for an entry measured by quantity, scaling
+ * the per-serving basis from a catalog food or recipe, the inline basis, or
+ * the one already stored on `current`. The basis is kept on the entry as a
+ * snapshot, so later quantity edits rescale from it and edits to the food or
+ * recipe don't change what was logged. Setting calories or macros directly
+ * on a measured entry without touching its portion turns it back into a
+ * plain entry. Mutates `fields`; returns an error message or null.
+ */
+function resolvePortion(fields, current, catalog) {
+  const touchesPortion = PORTION_FIELDS.some(k => fields[k] !== undefined);
+  if (!touchesPortion) {
+    const setsNutrition = ['calories', ...MACROS].some(k => fields[k] !== undefined);
+    if (current && current.basis && setsNutrition) {
+      for (const k of PORTION_FIELDS) fields[k] = null;
+    }
+    return null;
+  }
+  if (fields.calories !== undefined) {
+    return 'Calories are worked out from the quantity; send one or the other';
+  }
+
+  const newSource = fields.foodId !== undefined || fields.recipeId !== undefined || fields.basis !== undefined;
+  let basis = fields.basis || (current && current.basis);
+  let source = newSource ? {} : { foodId: current && current.foodId, recipeId: current && current.recipeId };
+  if (fields.foodId !== undefined) {
+    const food = catalog.foods.find(f => f.id === fields.foodId);
+    if (!food) {
+      return 'Unknown food';
+    }
+    basis = basisFromFood(food);
+    source = { foodId: food.id };
+    if (fields.name === undefined) {
+      fields.name = food.name;
+    }
+  }
+  if (fields.recipeId !== undefined) {
+    const recipe = catalog.recipes.find(rc => rc.id === fields.recipeId);
+    if (!recipe) {
+      return 'Unknown recipe';
     }
-    const ext = path.extname(filePath);
-    const contentType = MIME_TYPES || 'application/octet-stream';
-    res.writeHead(200, { 'Content-Type': contentType });
-    res.end(data);
+    basis = basisFromRecipe(recipe);
+    source = { recipeId: recipe.id };
+    if (fields.name === undefined) {
+      fields.name = recipe.name;
+    }
+  }
+  if (!basis) {
+    return 'A quantity needs a food id, recipe id or basis to scale from';
+  }
+
+  // A new food, recipe or basis defaults to one serving of it; otherwise the
+  // entry's existing quantity and unit carry over
+  let { quantity, unit } = fields;
+  if (newSource) {
+    unit = unit || basis.servingUnit;
+    if (quantity === undefined) {
+      quantity = unit === basis.servingUnit ? basis.servingSize : 1;
+    }
+  } else {
+    unit = unit || current.unit;
+    if (quantity === undefined) {
+      quantity = current.quantity;
+    }
+  }
+  const servings = servingsFor(quantity, unit, basis);
+  if (servings === null) {
+    return `Cannot convert ${unit} to ${basis.servingUnit}`;
+  }
+
+  const calories = Math.round(basis.calories * servings * 10) / 10;
+  if (calories <= 0) {
+    return 'Quantity is too small to have any calories';
+  }
+  fields.calories = calories;
+  for (const m of MACROS) {
+    fields[m] = basis[m] !== undefined ? Math.round(basis[m] * servings * 10) / 10 : null;
+  }
+  Object.assign(fields, {
+    quantity,
+    unit,
+    basis,
+    foodId: source.foodId || null,
+    recipeId: source.recipeId || null,
   });
+  return null;
 }
 
-const server = http.createServer(async (req, res) => {
-  const parsedUrl = new URL(req.url, `http://localhost:${PORT}`);
-  const pathname = parsedUrl.pathname;
-  const method = req.method;
+/**
+ * Adds up calories and macros over a list of ingredients. Macros appear in
+ * the result only if at least one ingredient has them.
+ */
+function sumNutrition(items) {
+  const total = { calories: 0 };
+  for (const item of items) {
+    total.calories += item.calories;
+    for (const m of MACROS) {
+      if (item[m] !== undefined) total[m] = (total[m] || 0) + item[m];
+    }
+  }
+  for (const key of Object.keys(total)) {
+    total[key] = Math.round(total[key] * 10) / 10;
+  }
+  return total;
+}
 
-  try {
-    // API routes
-    if (pathname.startsWith('/api/')) {
-      // GET /api/total
-      if (pathname === '/api/total' && method === 'GET') {
-        const date = parsedUrl.searchParams.get('date') || getTodayDate();
-        const data = readData();
-        const entries = data.entries || [];
-        const total = entries.reduce((sum, e) => sum + e.calories, 0);
-        sendJSON(res, 200, { total });
-        return;
+/**
+ * Validates a recipe body and works out its nutrition. Each ingredient is
+ * given like an entry: a saved food or inline basis with a quantity, or a
+ * plain name and calories. Ingredients are resolved against the catalog
+ * when the recipe is saved and stored with their basis, so later catalog
+ * edits need the recipe to be saved again to take effect. Returns
+ * `{ error }` or `{ fields }` with `total` and `perServing` filled in.
+ */
+function buildRecipe(body, catalog) {
+  if (!body.name || typeof body.name !== 'string' || body.name.trim() === '') {
+    return { error: 'Name is required' };
+  }
+
+  const servings = Number(body.servings);
+  if (body.servings === undefined || body.servings === null || body.servings === '' ||
+      !Number.isFinite(servings) || servings <= 0) {
+    return { error: 'Servings must be a positive number' };
+  }
+
+  if (!Array.isArray(body.ingredients) || body.ingredients.length === 0) {
+    return { error: 'A recipe needs at least one ingredient' };
+  }
+
+  const ingredients = [];
+  for (const [i, raw] of body.ingredients.entries()) {
+    const label = `Ingredient ${i + 1}`;
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { error: `${label}: must be an object` };
+    }
+    if (raw.recipeId !== undefined) {
+      return { error: `${label}: recipes can't contain other recipes` };
+    }
+    const { error, fields } = validateEntry(raw);
+    if (error) {
+      return { error: `${label}: ${error}` };
+    }
+    const portionError = resolvePortion(fields, null, catalog);
+    if (portionError) {
+      return { error: `${label}: ${portionError}` };
+    }
+    if (!fields.name) {
+      return { error: `${label}: Name is required` };
+    }
+    ingredients.push(applyFields({}, fields, INGREDIENT_FIELDS));
+  }
+
+  const total = sumNutrition(ingredients);
+  const perServing = {};
+  for (const [key, value] of Object.entries(total)) {
+    perServing[key] = Math.round((value / servings) * 10) / 10;
+  }
+
+  return {
+    fields: { name: body.name.trim(), servings, ingredients, total, perServing },
+  };
+}
+
+function normalizeFoodName(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Builds usage statistics for every food name in the log: how often it was
+ * logged, when it was last logged, a recency-weighted score, and the most
+ * recent calories and macros (the values to suggest next time). Keyed by
+ * normalized name.
+ */
+function learnFoods(entriesByDate, now = new Date()) {
+  const learned = new Map();
+  for (const entries of Object.values(entriesByDate)) {
+    for (const entry of entries) {
+      const key = normalizeFoodName(entry.name);
+      const ageDays = Math.max(0, (now - new Date(entry.timestamp)) / 86400000);
+      const weight = 0.5 ** (ageDays / FOOD_RECENCY_HALF_LIFE_DAYS);
+      let food = learned.get(key);
+      if (!food) {
+        food = { timesLogged: 0, lastLogged: null, score: 0, latest: null };
+        learned.set(key, food);
+      }
+      food.timesLogged += 1;
+      food.score += weight;
+      if (!food.lastLogged || entry.timestamp > food.lastLogged) {
+        food.lastLogged = entry.timestamp;
+        food.latest = entry;
       }
+    }
+  }
+  return learned;
+}
 
-      // Routes under /api/entries
-      if (pathname === '/api/entries' || pathname.startsWith('/api/entries/')) {
-        const segments = pathname.split('/').filter(Boolean); // ['api', 'entries', ...id?]
-        const hasIdSegment = segments.length > 2;
-
-        if (method === 'GET' && !hasIdSegment) {
-          // GET /api/entries?date=YYYY-MM-DD
-          const date = parsedUrl.searchParams.get('date') || getTodayDate();
-          const data = readData();
-          const entries = data.entries || [];
-          sendJSON(res, 200, entries);
-          return;
-        }
-
-        if (method === 'POST' && !hasIdSegment) {
-          // POST /api/entries
-          let body;
-          try {
-            body = await parseBody(req);
-          } catch {
-            sendJSON(res, 400, { error: 'Invalid JSON' });
-            return;
-          }
-
-          if (!body.name || typeof body.name !== 'string' || body.name.trim() === '') {
-            sendJSON(res, 400, { error: 'Name is required' });
-            return;
-          }
-
-          if (body.calories === undefined || body.calories === null) {
-            sendJSON(res, 400, { error: 'Calories must be a positive number' });
-            return;
-          }
-
-          const calories = Number(body.calories);
-          if (!Number.isFinite(calories) || calories <= 0) {
-            sendJSON(res, 400, { error: 'Calories must be a positive number' });
-            return;
-          }
-
-          const date = getTodayDate();
-          const entry = {
-            id: crypto.randomUUID(),
-            name: body.name.trim(),
-            calories: calories,
-            timestamp: new Date().toISOString(),
-          };
-
-          const data = readData();
-          if (!data.entries) {
-            data.entries = [];
-          }
-          data.entries.push(entry);
-          writeData(data);
-
-          sendJSON(res, 201, entry);
-          return;
-        }
-
-        if (method === 'DELETE') {
-          if (hasIdSegment) {
-            // DELETE /api/entries/:id
-            const id = segments[2];
-            const date = getTodayDate();
-            const data = readData();
-            const entries = data.entries || [];
-            const idx = entries.findIndex(e => e.id === id);
-            if (idx === -1) {
-              sendJSON(res, 404, { error: 'Entry not found' });
-              return;
-            }
-            entries.splice(idx, 1);
-            data.entries = entries;
-            writeData(data);
-            res.writeHead(204);
-            res.end();
-            return;
-          } else {
-            // DELETE /api/entries?date=YYYY-MM-DD — clear day
-            const date = parsedUrl.searchParams.get('date') || getTodayDate();
-            const data = readData();
-            data.entries = [];
-            writeData(data);
-            res.writeHead(204);
-            res.end();
-            return;
-          }
-        }
-
-        // Method not allowed for /api/entries
-        sendJSON(res, 405, { error: 'Method not allowed' });
-        return;
+/**
+ * Grades how well a food name matches a search term: 3 when the name starts
+ * with it, 2 when a later word does, 1 when its characters appear in order
+ * (so "chkn" finds "chicken"), 0 for no match.
+ */
+function matchFoodName(name, term) {
+  const normalized = normalizeFoodName(name);
+  if (normalized.startsWith(term)) {
+    return 3;
+  }
+  if (normalized.split(' ').some(word => word.startsWith(term))) {
+    return 2;
+  }
+  let pos = 0;
+  for (const ch of normalized) {
+    if (ch === term[pos]) pos++;
+    if (pos === term.length) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Searches saved foods, recipes and foods learned from the log. Results are
+ * ordered by match quality, then by how often and how recently they were
+ * logged, with saved foods and recipes ahead of learned ones on a tie. A
+ * learned food is hidden when a saved food or recipe has the same name.
+ */
+function searchFoods(catalog, entriesByDate, query, limit = FOOD_SEARCH_LIMIT) {
+  const term = normalizeFoodName(query);
+  const learned = learnFoods(entriesByDate);
+  const candidates = [];
+
+  for (const food of catalog.foods) {
+    const key = normalizeFoodName(food.name);
+    const usage = learned.get(key);
+    learned.delete(key);
+    candidates.push({
+      ...food,
+      source: 'saved',
+      timesLogged: usage ? usage.timesLogged : 0,
+      lastLogged: usage ? usage.lastLogged : null,
+      score: usage ? usage.score : 0,
+    });
+  }
+
+  for (const recipe of catalog.recipes) {
+    const key = normalizeFoodName(recipe.name);
+    const usage = learned.get(key);
+    learned.delete(key);
+    candidates.push({
+      id: recipe.id,
+      name: recipe.name,
+      ...recipe.perServing,
+      servingSize: 1,
+      servingUnit: 'serving',
+      source: 'recipe',
+      timesLogged: usage ? usage.timesLogged : 0,
+      lastLogged: usage ? usage.lastLogged : null,
+      score: usage ? usage.score : 0,
+    });
+  }
+
+  for (const usage of learned.values()) {
+    const food = applyFields({ name: usage.latest.name }, usage.latest, ['calories', ...MACROS]);
+    candidates.push({
+      ...food,
+      source: 'history',
+      timesLogged: usage.timesLogged,
+      lastLogged: usage.lastLogged,
+      score: usage.score,
+    });
+  }
+
+  return candidates
+    .map(food => ({ food, match: term ? matchFoodName(food.name, term) : 1 }))
+    .filter(c => c.match > 0)
+    .sort((a, b) =>
+      b.match - a.match ||
+      b.food.score - a.food.score ||
+      (a.food.source === 'history' ? 1 : 0) - (b.food.source === 'history' ? 1 : 0) ||
+      a.food.name.localeCompare(b.food.name))
+    .slice(0, limit)
+    .map(({ food }) => {
+      const { score, ...rest } = food;
+      return rest;
+    });
+}
+
+function findByName(records, name, exceptId) {
+  const key = normalizeFoodName(name);
+  return records.find(f => f.id !== exceptId && normalizeFoodName(f.name) === key);
+}
+
+/**
+ * Checks that an entry's macros roughly account for its calories at
+ * 4/4/9 kcal per gram of protein/carbs/fat. With all three given the estimate
+ * must be close in both directions; with only some, it just must not exceed
+ * the stated calories. Returns a warning message, or null if plausible.
+ */
+function macroWarning(entry) {
+  const given = Object.keys(KCAL_PER_GRAM).filter(m => entry[m] !== undefined);
+  if (given.length === 0) {
+    return null;
+  }
+  const estimate = given.reduce((sum, m) => sum + entry[m] * KCAL_PER_GRAM[m], 0);
+  const tolerance = Math.max(entry.calories * MACRO_TOLERANCE_RATIO, MACRO_TOLERANCE_MIN);
+  const tooHigh = estimate - entry.calories > tolerance;
+  const tooLow = given.length === 3 && entry.calories - estimate > tolerance;
+  if (!tooHigh && !tooLow) {
+    return null;
+  }
+  return `Macros add up to about ${Math.round(estimate)} cal, but the entry has ${entry.calories} cal`;
+}
+
+/**
+ * Formats an entry for a create/update response, attaching any warnings.
+ */
+function withWarnings(entry) {
+  const warning = macroWarning(entry);
+  return warning ? { ...entry, warnings: [warning] } : entry;
+}
+
+/**
+ * Loads a user's settings, filling in what data stored before settings
+ * existed is missing.
+ */
+async function getSettings(backend, userId) {
+  const settings = await backend.getSettings(userId);
+  if (!Array.isArray(settings.goalHistory)) {
+    settings.goalHistory = [];
+  }
+  return settings;
+}
+
+/**
+ * Finds the goal record in force on a date: the latest one whose
+ * `effectiveFrom` is on or before it. Returns null if no goal had been set yet.
+ */
+function goalRecordForDate(settings, date) {
+  const history = settings.goalHistory;
+  let current = null;
+  for (const record of history) {
+    if (record.effectiveFrom <= date) {
+      current = record;
+    }
+  }
+  return current;
+}
+
+/**
+ * Resolves the calorie goal for a date, applying any weekday override.
+ * Returns null when no goal applies.
+ */
+function goalForDate(settings, date) {
+  const record = goalRecordForDate(settings, date);
+  if (!record) {
+    return null;
+  }
+  const [y, m, d] = date.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(y, m - 1, d).getDay()];
+  const override = record.weekdayGoals && record.weekdayGoals[weekday];
+  return override || record.dailyGoal || null;
+}
+
+/**
+ * Changes the goal from today on to `changes` (`dailyGoal` and/or
+ * `weekdayGoals`), keeping what they leave out. Several changes on one day
+ * collapse into a single record.
+ */
+function setGoal(settings, changes) {
+  const today = getTodayDate();
+  const history = settings.goalHistory;
+  const current = goalRecordForDate(settings, today);
+  const record = {
+    effectiveFrom: today,
+    dailyGoal: changes.dailyGoal !== undefined ? changes.dailyGoal : (current ? current.dailyGoal : null),
+    weekdayGoals: changes.weekdayGoals || (current ? current.weekdayGoals : {}),
+  };
+  if (history.length > 0 && history[history.length - 1].effectiveFrom === today) {
+    history[history.length - 1] = record;
+  } else {
+    history.push(record);
+  }
+}
+
+/**
+ * Compares a day's total with its goal. `remaining` goes negative once the
+ * goal is exceeded.
+ */
+function goalStatus(total, goal) {
+  if (!goal) {
+    return { goal: null, remaining: null, status: null };
+  }
+  const remaining = Math.round((goal - total) * 10) / 10;
+  let status = 'at';
+  if (Math.abs(remaining) > goal * GOAL_TOLERANCE_RATIO) {
+    status = remaining > 0 ? 'under' : 'over';
+  }
+  return { goal, remaining, status };
+}
+
+/**
+ * A day's totals and goal progress, as returned by /api/total.
+ */
+async function dayTotal(backend, userId, date) {
+  const { count, ...summary } = (await backend.aggregate(userId, date, date))[date] || summarizeEntries([]);
+  const goal = goalForDate(await getSettings(backend, userId), date);
+  return { ...summary, ...goalStatus(summary.total, goal) };
+}
+
+/**
+ * The unit a user's weights are shown and entered in. They are stored in kg.
+ */
+function weightUnitOf(settings) {
+  return settings.weightUnit || DEFAULT_WEIGHT_UNIT;
+}
+
+/**
+ * A user's target rate in their weight unit, or null. It is stored in kg.
+ */
+function targetRateOf(settings) {
+  const rate = settings.targetRate;
+  return rate === undefined || rate === null ? null : energy.fromKg(rate, weightUnitOf(settings));
+}
+
+/**
+ * A weigh-in from weightsWithTrend with its weight and trend in `unit`.
+ */
+function weighInInUnit({ date, weight, trend }, unit) {
+  return { date, weight: energy.fromKg(weight, unit), trend: energy.fromKg(trend, unit) };
+}
+
+/**
+ * A user's weigh-ins up to `to` (null = all) with their trend, keeping those
+ * from `from` on. The trend always starts from the first weigh-in, so it
+ * doesn't depend on the range asked for. Weights are in kg unless a `unit`
+ * to convert them to is given.
+ */
+async function weightsWithTrend(backend, userId, from, to, unit) {
+  const weights = energy.weightTrend(await backend.listWeights(userId, null, to))
+    .filter(w => !from || w.date >= from);
+  if (!unit) {
+    return weights;
+  }
+  return weights.map(w => weighInInUnit(w, unit));
+}
+
+/**
+ * The energy balance up to a day, as returned by /api/energy: the latest
+ * weigh-in and its trend, TDEE estimated from the last `tdeeWeeks` weeks,
+ * and with a target rate set, the daily goal that would reach it.
+ */
+async function energyBalance({ config, backend }, userId, date) {
+  const settings = await getSettings(backend, userId);
+  const unit = weightUnitOf(settings);
+  const from = addDays(date, 1 - config.tdeeWeeks * 7);
+  const weights = await weightsWithTrend(backend, userId, null, date);
+  const latest = weights[weights.length - 1];
+  const days = stats.dailyTotals(await backend.listRange(userId, from, date), from, date);
+  const { estimate, reason } = energy.estimateTdee(weights.filter(w => w.date >= from), days);
+  const hasTarget = settings.targetRate !== undefined && settings.targetRate !== null;
+  return {
+    date,
+    weeks: config.tdeeWeeks,
+    weightUnit: unit,
+    latest: latest ? weighInInUnit(latest, unit) : null,
+    estimate: estimate && {
+      ...estimate,
+      weightChange: energy.fromKg(estimate.weightChange, unit),
+      weeklyRate: energy.fromKg(estimate.weeklyRate, unit),
+    },
+    reason,
+    targetRate: targetRateOf(settings),
+    targetGoal: estimate && hasTarget ? energy.adaptiveGoal(estimate.tdee, settings.targetRate) : null,
+  };
+}
+
+/**
+ * With a target rate set, moves the daily goal from today on to the one
+ * that reaches it at the latest TDEE estimate. Runs after each change to the
+ * weigh-ins or settings; until there is an estimate the goal stays as it is.
+ */
+async function adjustGoal(ctx, userId) {
+  const { targetGoal } = await energyBalance(ctx, userId, getTodayDate());
+  if (targetGoal === null) {
+    return;
+  }
+  const settings = await getSettings(ctx.backend, userId);
+  const current = goalRecordForDate(settings, getTodayDate());
+  if (!current || current.dailyGoal !== targetGoal) {
+    setGoal(settings, { dailyGoal: targetGoal });
+    await ctx.backend.saveSettings(userId, settings);
+  }
+}
+
+/**
+ * The day in a /api/weights/:date path, or null once a 400 has been sent
+ * for one that isn't a valid date.
+ */
+function weightDate({ res, params }) {
+  if (!schemas.isValidDate(params.date)) {
+    sendJSON(res, 400, { error: DATE_ERROR, fields: { date: DATE_ERROR } });
+    return null;
+  }
+  return params.date;
+}
+
+/**
+ * Answers 400 and returns true when a weigh-in being saved is dated after
+ * today, as it would skew the trend and the TDEE estimate.
+ */
+function refuseFutureWeighIn(res, date) {
+  if (date <= getTodayDate()) {
+    return false;
+  }
+  sendJSON(res, 400, { error: FUTURE_WEIGH_IN_ERROR, fields: { date: FUTURE_WEIGH_IN_ERROR } });
+  return true;
+}
+
+/**
+ * Tells the user's open event streams (/api/events) about a change to their
+ * log, along with the new totals of each day it touched, so clients can
+ * update without reloading.
+ */
+async function announce({ backend, events }, userId, event, data, dates) {
+  const totals = {};
+  for (const date of new Set(dates)) {
+    totals[date] = await dayTotal(backend, userId, date);
+  }
+  events.publish(userId, event, { ...data, totals });
+}
+
+/**
+ * An entry as the change journal records it: with the day it is on.
+ */
+function snapshot(date, entry) {
+  return { date, ...entry };
+}
+
+/**
+ * Records changes to a user's entries in the change journal, one record per
+ * entry. Each change is `{ entryId, before, after }`, with snapshots of the
+ * entry or null.
+ */
+async function journalChanges({ journal }, userId, action, changes) {
+  const at = new Date().toISOString();
+  await journal.append(changes.map(change => ({ at, userId, action, ...change })));
+}
+
+/**
+ * Shapes journal records for API responses, leaving out whose they are.
+ */
+function publicRecords(records) {
+  return records.map(({ userId, ...record }) => record);
+}
+
+/**
+ * Validates the body of a restore from the trash: `{ ids }`, a list of entry
+ * ids. Returns `{ fields }` or `{ errors, fields }`.
+ */
+function validateIds(body) {
+  const { ids } = body;
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id !== '')) {
+    return { errors: { ids: 'ids must be a non-empty list of entry ids' }, fields: {} };
+  }
+  return { fields: { ids: [...new Set(ids)] } };
+}
+
+/**
+ * Purges entries deleted longer ago than the trash retention period.
+ */
+async function purgeExpiredTrash({ config, backend }) {
+  const before = new Date(Date.now() - config.trashRetentionDays * 86400000).toISOString();
+  return backend.purgeDeleted(before);
+}
+
+/**
+ * Validates a settings update. `dailyGoal` is a positive number or null to
+ * remove the goal; `weekdayGoals` maps weekday keys (sun..sat) to a positive
+ * number, or null to drop an override; `targetRate` is a weekly change in
+ * weight or null (the route checks its bounds, which depend on the unit),
+ * and `weightUnit` kg or lb. Returns `{ fields }`, or
+ * `{ error, errors, fields }`.
+ */
+function validateSettings(body) {
+  const { fields, errors: found } = schemas.validate(schemas.settings, body, { partial: true });
+  const errors = { ...found };
+
+  if (body.weekdayGoals !== undefined) {
+    const goals = body.weekdayGoals;
+    const unknown = goals && typeof goals === 'object' && Object.keys(goals).find(day => !WEEKDAYS.includes(day));
+    if (goals === null || typeof goals !== 'object' || Array.isArray(goals)) {
+      errors.weekdayGoals = 'Weekday goals must be an object keyed by weekday';
+    } else if (unknown) {
+      errors.weekdayGoals = `Unknown weekday "${unknown}"; use one of ${WEEKDAYS.join(', ')}`;
+    } else {
+      const days = schemas.validate(schemas.weekdayGoals, goals, { partial: true });
+      for (const [day, message] of Object.entries(days.errors || {})) {
+        errors[`weekdayGoals.${day}`] = message;
+      }
+      fields.weekdayGoals = Object.fromEntries(Object.entries(days.fields).filter(([, goal]) => goal !== null));
+    }
+  }
+
+  return checked(fields, errors);
+}
+
+/**
+ * Shapes the settings for API responses: the goal in force today plus the
+ * full history so clients can see when it changed.
+ */
+function settingsResponse(settings) {
+  const current = goalRecordForDate(settings, getTodayDate());
+  return {
+    dailyGoal: current ? current.dailyGoal : null,
+    weekdayGoals: current ? current.weekdayGoals : {},
+    goalHistory: settings.goalHistory,
+    targetRate: targetRateOf(settings),
+    weightUnit: weightUnitOf(settings),
+  };
+}
+
+/**
+ * Validates the `/api/stats` query: `to` defaults to today and `from` to 30
+ * days before it. Returns `{ fields: { from, to, granularity } }`, or
+ * `{ error, errors }`.
+ */
+function validateStatsQuery(params) {
+  const { fields, errors } = schemas.validate(schemas.rangeQuery, params);
+  if (errors) {
+    return checked(fields, errors);
+  }
+  const to = fields.to || getTodayDate();
+  const from = fields.from || addDays(to, 1 - STATS_DEFAULT_DAYS);
+  if (from > to) {
+    return checked(fields, { from: 'from must not be after to' });
+  }
+  if (stats.daysBetween(from, to) > STATS_MAX_DAYS) {
+    return checked(fields, { from: `Range must not exceed ${STATS_MAX_DAYS} days` });
+  }
+  const granularity = params.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    return checked(fields, { granularity: `Granularity must be one of ${GRANULARITIES.join(', ')}` });
+  }
+  return { fields: { from, to, granularity } };
+}
+
+/**
+ * Computes statistics for a date range. Only the days in the range (plus the
+ * days before it that the first rolling averages need) are looked up, and
+ * each day is judged against the goal that was in force on it.
+ */
+async function buildStats(backend, userId, from, to, granularity) {
+  const entriesByDate = await backend.listRange(userId, addDays(from, 1 - ROLLING_WINDOW_DAYS), to);
+  const settings = await getSettings(backend, userId);
+  const rolling = stats.rollingAverages(
+    stats.dailyTotals(entriesByDate, addDays(from, 1 - ROLLING_WINDOW_DAYS), to),
+    ROLLING_WINDOW_DAYS
+  );
+  const days = rolling.slice(ROLLING_WINDOW_DAYS - 1).map(day => {
+    const { goal, status } = goalStatus(day.total, goalForDate(settings, day.date));
+    return { ...day, goal, status };
+  });
+
+  const entries = days.flatMap(day => entriesByDate[day.date] || []);
+
+  return {
+    from,
+    to,
+    granularity,
+    summary: stats.summarizeDays(days),
+    macros: summarizeEntries(entries).macros,
+    streaks: stats.loggingStreaks(days),
+    periods: stats.groupByPeriod(days, granularity),
+    days,
+    topFoods: stats.topFoods(entriesByDate, from, to),
+  };
+}
+
+/**
+ * Works out which day an entry belongs to and its timestamp from validated
+ * fields. An explicit timestamp is kept, filed under the date given with it
+ * (the day in the client's time zone) or else its day here; a bare date
+ * moves `current` (or now, for new entries) onto that day; with neither,
+ * the entry stays where it is.
+ */
+function placeEntry(fields, current) {
+  if (fields.timestamp) {
+    return { date: fields.date || formatDate(new Date(fields.timestamp)), timestamp: fields.timestamp };
+  }
+  const from = current ? new Date(current.timestamp) : new Date();
+  const date = fields.date || formatDate(from);
+  return { date, timestamp: timestampForDate(date, from) };
+}
+
+/**
+ * Yields an export file piece by piece, one entry at a time in day and time
+ * order, so a large log never has to be built as a single string.
+ * `entriesByDate` is the range to export as returned by `listRange`; `from`
+ * and `to` are echoed in the JSON header and may be null.
+ */
+function* exportChunks(entriesByDate, format, from, to) {
+  const dates = Object.keys(entriesByDate).sort();
+
+  if (format === 'csv') {
+    yield formatCSVRow(CSV_COLUMNS);
+  } else {
+    yield `{"exportedAt":${JSON.stringify(new Date().toISOString())},"from":${JSON.stringify(from)},"to":${JSON.stringify(to)},"entries":[`;
+  }
+
+  let first = true;
+  for (const date of dates) {
+    const entries = [...entriesByDate[date]].sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    for (const entry of entries) {
+      if (format === 'csv') {
+        yield formatCSVRow(CSV_COLUMNS.map(c => (c === 'date' ? date : entry[c])));
+      } else {
+        yield `${first ? '' : ','}\n${JSON.stringify({ date, ...entry })}`;
       }
+      first = false;
+    }
+  }
+
+  if (format === 'json') {
+    yield '\n]}\n';
+  }
+}
 
-      // Unknown API route
-      sendJSON(res, 404, { error: 'Not found' });
+/**
+ * Writes chunks to a response, pausing whenever the socket's buffer is full
+ * and stopping early if the client goes away.
+ */
+async function streamChunks(res, chunks) {
+  for (const chunk of chunks) {
+    if (res.destroyed) {
       return;
     }
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+  }
+  res.end();
+}
+
+/**
+ * Turns an import body into rows. JSON may be an array of entries, an export
+ * document, or a data file with entries keyed by date; CSV needs a header row
+ * naming its columns. Empty CSV fields count as missing. Returns `{ error }`
+ * or `{ rows }`.
+ */
+function parseImport(text, format) {
+  if (format === 'csv') {
+    let records;
+    try {
+      records = parseCSV(text);
+    } catch (err) {
+      return { error: err.message };
+    }
+    if (records.length === 0) {
+      return { rows: [] };
+    }
+    const header = records[0].map(h => h.trim().toLowerCase());
+    if (!header.includes('name')) {
+      return { error: 'CSV header must include a name column' };
+    }
+    const rows = records.slice(1).map(values => {
+      const row = {};
+      header.forEach((key, i) => {
+        const value = (values[i] || '').trim();
+        if (key && value !== '') row[key] = value;
+      });
+      return row;
+    });
+    return { rows };
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return { error: 'Invalid JSON' };
+  }
+  let rows = Array.isArray(body) ? body : body && body.entries;
+  if (rows && typeof rows === 'object' && !Array.isArray(rows)) {
+    rows = Object.entries(rows).flatMap(([date, list]) =>
+      Array.isArray(list) ? list.map(entry => ({ date, ...entry })) : []
+    );
+  }
+  if (!Array.isArray(rows)) {
+    return { error: 'Expected an array of entries' };
+  }
+  return { rows };
+}
+
+/**
+ * Validates one imported row as a new entry, as `POST /api/entries` would,
+ * except that an id in the row is kept and a measured entry keeps the
+ * calories and basis it was logged with instead of being recomputed.
+ * Returns `{ error }` or `{ date, entry }`.
+ */
+function importRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { error: 'Row must be an object' };
+  }
+  const { id, quantity, unit, basis, foodId, recipeId, ...plain } = row;
+  if (id !== undefined && (typeof id !== 'string' || id.trim() === '')) {
+    return { error: 'Id must be a non-empty string' };
+  }
+
+  const { error, fields } = validateEntry(plain);
+  if (error) {
+    return { error };
+  }
+
+  if (quantity !== undefined || unit !== undefined || basis !== undefined) {
+    if (quantity === undefined || unit === undefined || !basis) {
+      return { error: 'Measured entries need a quantity, unit and basis' };
+    }
+    const portion = validateEntry({ quantity, unit, basis }, { partial: true });
+    if (portion.error) {
+      return { error: portion.error };
+    }
+    Object.assign(fields, portion.fields);
+    if (typeof foodId === 'string' && foodId) {
+      fields.foodId = foodId;
+    } else if (typeof recipeId === 'string' && recipeId) {
+      fields.recipeId = recipeId;
+    }
+  }
+
+  const { date, timestamp } = placeEntry(fields);
+  const entry = applyFields({ id: id ? id.trim() : crypto.randomUUID() }, fields);
+  entry.timestamp = timestamp;
+  return { date, entry };
+}
+
+/**
+ * Works out what importing `rows` would do. Each row is accepted, skipped as
+ * a duplicate (its id is taken, also by an entry in the trash, or an entry
+ * with the same name and timestamp exists, counting earlier rows of the same
+ * import), or rejected with an error. Rows are numbered from 1, not counting
+ * a CSV header. Nothing is written.
+ */
+function planImport(entriesByDate, rows, trash = []) {
+  const trashed = new Set(trash.map(({ entry }) => entry.id));
+  const ids = new Set();
+  const byNameAndTime = new Map();
+  const keyOf = entry => `${entry.name.toLowerCase()}|${entry.timestamp}`;
+  for (const entries of Object.values(entriesByDate)) {
+    for (const entry of entries) {
+      ids.add(entry.id);
+      byNameAndTime.set(keyOf(entry), entry.id);
+    }
+  }
 
-    // Static file serving
-    let filePath;
-    if (pathname === '/') {
-      filePath = path.join(PUBLIC_DIR, 'index.html');
+  const accepted = [];
+  const duplicates = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    const n = i + 1;
+    const { error, date, entry } = importRow(row);
+    if (error) {
+      errors.push({ row: n, error });
+    } else if (trashed.has(entry.id)) {
+      duplicates.push({ row: n, reason: 'trash', id: entry.id });
+    } else if (ids.has(entry.id)) {
+      duplicates.push({ row: n, reason: 'id', id: entry.id });
+    } else if (byNameAndTime.has(keyOf(entry))) {
+      duplicates.push({ row: n, reason: 'name and timestamp', id: byNameAndTime.get(keyOf(entry)) });
     } else {
-      // Prevent directory traversal
-      const safePath = path.normalize(pathname).replace(/^(\.\.[\\/])+/, '');
-      filePath = path.join(PUBLIC_DIR, safePath);
+      ids.add(entry.id);
+      byNameAndTime.set(keyOf(entry), entry.id);
+      accepted.push({ row: n, date, entry });
+    }
+  });
+  return { accepted, duplicates, errors };
+}
+
+function findUserByName(users, username) {
+  const key = username.toLowerCase();
+  return users.find(u => u.username.toLowerCase() === key);
+}
+
+/**
+ * Shapes a user for API responses, leaving out the password hash.
+ */
+function publicUser(user) {
+  return { id: user.id, username: user.username, createdAt: user.createdAt };
+}
+
+/**
+ * Finds the signed-in user for a request from its bearer token (a session or
+ * a personal API token) or session cookie. Returns `{ user, tokenHash }` or
+ * null when the token is missing, unknown, expired or revoked.
+ */
+function authenticate(usersStore, req) {
+  const token = auth.tokenFromRequest(req);
+  if (!token) {
+    return null;
+  }
+  const tokenHash = auth.hashToken(token);
+  const { users, sessions, tokens } = usersStore.get();
+  const session = sessions.find(s => s.tokenHash === tokenHash && s.expiresAt > new Date().toISOString()) ||
+    tokens.find(t => t.tokenHash === tokenHash);
+  const user = session && users.find(u => u.id === session.userId);
+  return user ? { user, tokenHash } : null;
+}
+
+/**
+ * Shapes a personal API token for API responses, leaving out its hash.
+ */
+function publicToken(token) {
+  return { id: token.id, name: token.name, createdAt: token.createdAt };
+}
+
+/**
+ * Starts a session for a user, dropping any expired ones while at it, and
+ * sends it back both as a cookie (for the browser) and in the body (for
+ * other clients, as a bearer token).
+ */
+async function sendSession(usersStore, res, status, user) {
+  const { token, tokenHash } = auth.createToken();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_DAYS * 86400000).toISOString();
+  await usersStore.update(data => {
+    data.sessions = data.sessions.filter(s => s.expiresAt > now.toISOString());
+    data.sessions.push({ tokenHash, userId: user.id, createdAt: now.toISOString(), expiresAt });
+  });
+  res.setHeader('Set-Cookie', auth.sessionCookie(token, SESSION_TTL_DAYS * 86400));
+  sendJSON(res, status, { user: publicUser(user), token, expiresAt });
+}
+
+// Compared against when signing in with an unknown username, so that takes
+// as long as a wrong password and doesn't reveal which usernames exist.
+const dummyPasswordHash = auth.hashPassword(crypto.randomUUID());
+
+/**
+ * Whether a user may change a saved food or recipe: the person who saved it
+ * can, and anyone can change ones saved before accounts existed.
+ */
+function canModify(user, record) {
+  return !record.ownerId || record.ownerId === user.id;
+}
+
+const router = createRouter();
+
+// Route options: `public` routes work without signing in; `query` and `body`
+// are a schema from public/schemas.js, or a validator returning `{ fields }`
+// or `{ errors }`, that the query string or JSON body must pass before the
+// handler runs. Handlers get the cleaned values as `query` and `body`, along
+// with the server's `config`, `backend`, `catalogStore` and `usersStore`.
+
+// Accepts any JSON object, for routes that check the body themselves.
+const anyBody = body => ({ fields: body });
+
+// Checks a query with optional `from` and `to` dates against `schema`, also
+// refusing a range that ends before it starts.
+const orderedRange = schema => params => {
+  const { fields, errors } = schemas.validate(schema, params);
+  if (!errors && fields.from && fields.to && fields.from > fields.to) {
+    return checked(fields, { from: 'from must not be after to' });
+  }
+  return checked(fields, errors);
+};
+
+const rangeQuery = orderedRange(schemas.rangeQuery);
+
+const exportQuery = {
+  ...schemas.rangeQuery,
+  format: { enum: TRANSFER_FORMATS, message: `Format must be one of ${TRANSFER_FORMATS.join(', ')}` },
+};
+
+const importQuery = {
+  format: exportQuery.format,
+  dryRun: { type: 'string' },
+};
+
+// GET /api/v1/openapi.json — describes the public API
+router.add('GET', '/api/openapi.json', { public: true }, ({ res }) => {
+  sendJSON(res, 200, openApiDocument({ units: Object.keys(UNITS) }));
+});
+
+// POST /api/auth/register — creates an account and starts a session
+router.add('POST', '/api/auth/register', { public: true, body: schemas.credentials }, async ({ res, body, backend, usersStore }) => {
+  const passwordHash = await auth.hashPassword(body.password);
+  const result = await usersStore.update(data => {
+    if (findUserByName(data.users, body.username)) {
+      return null;
     }
+    const account = {
+      id: crypto.randomUUID(),
+      username: body.username,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    data.users.push(account);
+    return { account, first: data.users.length === 1 };
+  });
+  if (!result) {
+    sendJSON(res, 409, { error: 'That username is taken' });
+    return;
+  }
+  // The first account takes over the log kept from before accounts
+  if (result.first) {
+    await backend.claimUnowned(result.account.id);
+  }
+  await sendSession(usersStore, res, 201, result.account);
+});
+
+// POST /api/auth/login — starts a session. Malformed credentials get the
+// same answer as wrong ones.
+router.add('POST', '/api/auth/login', { public: true, body: anyBody }, async ({ res, body, usersStore }) => {
+  const username = typeof body.username === 'string' ? body.username.trim() : '';
+  const password = typeof body.password === 'string' ? body.password : '';
+  const account = findUserByName(usersStore.get().users, username);
+  const valid = await auth.verifyPassword(password, account ? account.passwordHash : await dummyPasswordHash);
+  if (!account || !valid) {
+    sendJSON(res, 401, { error: 'Invalid username or password' });
+    return;
+  }
+  await sendSession(usersStore, res, 200, account);
+});
+
+// POST /api/auth/logout — ends the current session
+router.add('POST', '/api/auth/logout', {}, async ({ res, session, usersStore }) => {
+  await usersStore.update(data => {
+    data.sessions = data.sessions.filter(s => s.tokenHash !== session.tokenHash);
+  });
+  res.setHeader('Set-Cookie', auth.sessionCookie(null));
+  res.writeHead(204);
+  res.end();
+});
+
+// GET /api/auth/me — the signed-in user
+router.add('GET', '/api/auth/me', {}, ({ res, user }) => {
+  sendJSON(res, 200, publicUser(user));
+});
+
+// Personal API tokens for scripts and other tools. The secret is only
+// returned when a token is created.
+
+// GET /api/tokens
+router.add('GET', '/api/tokens', {}, ({ res, user, usersStore }) => {
+  const tokens = usersStore.get().tokens.filter(t => t.userId === user.id);
+  sendJSON(res, 200, tokens.map(publicToken));
+});
+
+// POST /api/tokens
+router.add('POST', '/api/tokens', { body: schemas.apiToken }, async ({ res, user, body, usersStore }) => {
+  const { token, tokenHash } = auth.createToken();
+  const record = { id: crypto.randomUUID(), userId: user.id, name: body.name, tokenHash, createdAt: new Date().toISOString() };
+  await usersStore.update(data => {
+    data.tokens.push(record);
+  });
+  sendJSON(res, 201, { ...publicToken(record), token });
+});
+
+// DELETE /api/tokens/:id
+router.add('DELETE', '/api/tokens/:id', {}, async ({ res, user, params, usersStore }) => {
+  const removed = await usersStore.update(data => {
+    const index = data.tokens.findIndex(t => t.id === params.id && t.userId === user.id);
+    return index === -1 ? null : data.tokens.splice(index, 1)[0];
+  });
+  if (!removed) {
+    sendJSON(res, 404, { error: 'Token not found' });
+    return;
+  }
+  res.writeHead(204);
+  res.end();
+});
+
+// GET /api/total?date=YYYY-MM-DD
+router.add('GET', '/api/total', { query: schemas.dayQuery }, async ({ res, user, query, backend }) => {
+  sendJSON(res, 200, await dayTotal(backend, user.id, query.date || getTodayDate()));
+});
 
-    // Ensure the resolved path is within PUBLIC_DIR
-    if (!filePath.startsWith(PUBLIC_DIR)) {
-      sendJSON(res, 403, { error: 'Forbidden' });
+// GET /api/stats?from=&to=&granularity=
+router.add('GET', '/api/stats', { query: validateStatsQuery }, async ({ res, user, query, backend }) => {
+  sendJSON(res, 200, await buildStats(backend, user.id, query.from, query.to, query.granularity));
+});
+
+// GET /api/events — a Server-Sent Events stream of changes to the log, made
+// from any tab or device. Reconnecting with Last-Event-ID (browsers send it
+// by themselves) replays what was missed.
+router.add('GET', '/api/events', {}, ({ req, res, url, user, events }) => {
+  events.subscribe(user.id, res, req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+});
+
+// GET /api/export?format=csv|json&from=&to= — downloads the log
+router.add('GET', '/api/export', { query: orderedRange(exportQuery) }, async ({ res, user, query, backend }) => {
+  const format = query.format || 'json';
+  const from = query.from || null;
+  const to = query.to || null;
+
+  const entriesByDate = await backend.listRange(user.id, from, to);
+  res.writeHead(200, {
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="calorie-log-${getTodayDate()}.${format}"`,
+  });
+  await streamChunks(res, exportChunks(entriesByDate, format, from, to));
+});
+
+// POST /api/import?format=csv|json&dryRun=true — adds entries from an
+// export, reporting duplicates and invalid rows instead of failing
+router.add('POST', '/api/import', { query: importQuery }, async ctx => {
+  const { req, res, user, query, config, backend } = ctx;
+  const contentType = req.headers['content-type'] || '';
+  const format = query.format || (contentType.includes('csv') ? 'csv' : 'json');
+  const dryRun = ['true', '1'].includes(query.dryRun);
+
+  const { error, rows } = parseImport(await readBody(req, { limit: config.maxImportBytes }), format);
+  if (error) {
+    sendJSON(res, 400, { error });
+    return;
+  }
+
+  // A real import plans and writes in one step, so imports and new entries
+  // arriving meanwhile can't slip in the same ids
+  const plan = (entriesByDate, trash) => planImport(entriesByDate, rows, trash);
+  const { accepted, duplicates, errors } = dryRun
+    ? plan(await backend.listRange(user.id, null, null), await backend.listTrash(user.id))
+    : await backend.importEntries(user.id, plan);
+  if (!dryRun && accepted.length > 0) {
+    await journalChanges(ctx, user.id, 'imported', accepted.map(({ date, entry }) =>
+      ({ entryId: entry.id, before: null, after: snapshot(date, entry) })));
+    const dates = [...new Set(accepted.map(item => item.date))].sort();
+    await announce(ctx, user.id, 'entries-imported', { dates, count: accepted.length }, dates);
+  }
+
+  sendJSON(res, 200, {
+    dryRun,
+    imported: accepted.length,
+    entries: accepted.map(({ row, date, entry }) => ({ row, date, ...entry })),
+    duplicates,
+    errors,
+  });
+});
+
+// GET /api/settings
+router.add('GET', '/api/settings', {}, async ({ res, user, backend }) => {
+  sendJSON(res, 200, settingsResponse(await getSettings(backend, user.id)));
+});
+
+// PUT /api/settings — goal changes take effect from today, so earlier days
+// keep the goal they were logged against. Setting the daily goal by hand
+// stops it being adjusted toward a target rate. A target rate is in the
+// weight unit sent with it, or else the one already set.
+router.add('PUT', '/api/settings', { body: validateSettings }, async ctx => {
+  const { res, user, body, backend } = ctx;
+  const settings = await getSettings(backend, user.id);
+  const unit = body.weightUnit || weightUnitOf(settings);
+  const rate = schemas.validate(schemas.targetRate[unit], body, { partial: true });
+  if (rate.errors) {
+    sendJSON(res, 400, { error: rate.errors.targetRate, fields: rate.errors });
+    return;
+  }
+
+  if (body.dailyGoal !== undefined || body.weekdayGoals !== undefined) {
+    setGoal(settings, body);
+  }
+  if (body.targetRate !== undefined) {
+    settings.targetRate = body.targetRate === null ? null : energy.toKg(body.targetRate, unit);
+  } else if (body.dailyGoal !== undefined) {
+    settings.targetRate = null;
+  }
+  if (body.weightUnit !== undefined) {
+    settings.weightUnit = body.weightUnit;
+  }
+  if (Object.keys(body).length > 0) {
+    await backend.saveSettings(user.id, settings);
+    await adjustGoal(ctx, user.id);
+  }
+
+  sendJSON(res, 200, settingsResponse(await getSettings(backend, user.id)));
+});
+
+// GET /api/weights?from=&to= — weigh-ins with their trend, oldest first, in
+// the user's weight unit like every weight the API takes or gives
+router.add('GET', '/api/weights', { query: rangeQuery }, async ({ res, user, query, backend }) => {
+  const unit = weightUnitOf(await getSettings(backend, user.id));
+  sendJSON(res, 200, await weightsWithTrend(backend, user.id, query.from || null, query.to || null, unit));
+});
+
+// POST /api/weights { date?, weight } — records a day's weigh-in (today by
+// default), replacing any already there
+router.add('POST', '/api/weights', { body: schemas.weighIn }, async ctx => {
+  const { res, user, body, backend } = ctx;
+  const unit = weightUnitOf(await getSettings(backend, user.id));
+  const date = body.date || getTodayDate();
+  if (refuseFutureWeighIn(res, date)) return;
+  const created = await backend.saveWeight(user.id, date, energy.toKg(body.weight, unit));
+  await adjustGoal(ctx, user.id);
+  const [weighIn] = await weightsWithTrend(backend, user.id, date, date, unit);
+  sendJSON(res, created ? 201 : 200, weighIn);
+});
+
+// GET /api/weights/:date
+router.add('GET', '/api/weights/:date', {}, async ctx => {
+  const { res, user, backend } = ctx;
+  const date = weightDate(ctx);
+  if (!date) return;
+  const unit = weightUnitOf(await getSettings(backend, user.id));
+  const [weighIn] = await weightsWithTrend(backend, user.id, date, date, unit);
+  if (!weighIn) {
+    sendJSON(res, 404, { error: 'No weigh-in on that day' });
+    return;
+  }
+  sendJSON(res, 200, weighIn);
+});
+
+// PUT /api/weights/:date { weight } — corrects a day's weigh-in
+router.add('PUT', '/api/weights/:date', { body: schemas.weighIn }, async ctx => {
+  const { res, user, body, backend } = ctx;
+  const date = weightDate(ctx);
+  if (!date || refuseFutureWeighIn(res, date)) return;
+  if ((await backend.listWeights(user.id, date, date)).length === 0) {
+    sendJSON(res, 404, { error: 'No weigh-in on that day' });
+    return;
+  }
+  const unit = weightUnitOf(await getSettings(backend, user.id));
+  await backend.saveWeight(user.id, date, energy.toKg(body.weight, unit));
+  await adjustGoal(ctx, user.id);
+  const [weighIn] = await weightsWithTrend(backend, user.id, date, date, unit);
+  sendJSON(res, 200, weighIn);
+});
+
+// DELETE /api/weights/:date
+router.add('DELETE', '/api/weights/:date', {}, async ctx => {
+  const { res, user, backend } = ctx;
+  const date = weightDate(ctx);
+  if (!date) return;
+  if (!await backend.deleteWeight(user.id, date)) {
+    sendJSON(res, 404, { error: 'No weigh-in on that day' });
+    return;
+  }
+  await adjustGoal(ctx, user.id);
+  res.writeHead(204);
+  res.end();
+});
+
+// GET /api/energy?date=YYYY-MM-DD — trend weight, estimated TDEE and the
+// goal for the target rate, as of a day (today by default)
+router.add('GET', '/api/energy', { query: schemas.dayQuery }, async ctx => {
+  sendJSON(ctx.res, 200, await energyBalance(ctx, ctx.user.id, ctx.query.date || getTodayDate()));
+});
+
+// GET /api/entries?date=YYYY-MM-DD[&meal=breakfast]
+router.add('GET', '/api/entries', { query: schemas.entriesQuery }, async ({ res, user, query, backend }) => {
+  const entries = await backend.listEntries(user.id, query.date || getTodayDate());
+  sendJSON(res, 200, query.meal ? entries.filter(e => e.meal === query.meal) : entries);
+});
+
+// POST /api/entries — an `id` chosen by the client makes retries safe: when
+// an entry with that id is already logged, it is returned (200) as it is
+router.add('POST', '/api/entries', { body: validateEntry }, async ctx => {
+  const { res, user, body: fields, backend, catalogStore } = ctx;
+  // A retry of an entry deleted since it was logged doesn't bring it back
+  if (fields.id) {
+    const existing = await backend.findEntry(user.id, fields.id) || await backend.findDeleted(user.id, fields.id);
+    if (existing) {
+      sendJSON(res, 200, withWarnings(existing.entry));
       return;
     }
+  }
 
-    serveStaticFile(res, filePath);
-  } catch (err) {
-    console.error('Server error:', err);
-    sendJSON(res, 500, { error: 'Internal server error' });
+  const portionError = resolvePortion(fields, null, catalogStore.get());
+  if (portionError) {
+    sendJSON(res, 400, { error: portionError });
+    return;
+  }
+  if (!fields.name) {
+    sendJSON(res, 400, { error: 'Name is required', fields: { name: 'Name is required' } });
+    return;
+  }
+
+  const { date, timestamp } = placeEntry(fields);
+  const entry = applyFields({ id: fields.id || crypto.randomUUID() }, fields);
+  entry.timestamp = timestamp;
+
+  // The check above can race a retry sent at the same time; the backend
+  // only adds the entry if the id is still free
+  const added = await backend.addEntries(user.id, [{ date, entry }]);
+  if (added.length === 0) {
+    const existing = await backend.findEntry(user.id, entry.id) || await backend.findDeleted(user.id, entry.id);
+    sendJSON(res, 200, withWarnings(existing ? existing.entry : entry));
+    return;
+  }
+  await journalChanges(ctx, user.id, 'created', [{ entryId: entry.id, before: null, after: snapshot(date, entry) }]);
+  await announce(ctx, user.id, 'entry-created', { date, entry }, [date]);
+
+  sendJSON(res, 201, withWarnings(entry));
+});
+
+/**
+ * Applies validated changes to a logged entry, for PATCH (some fields) and
+ * PUT (name, calories, macros and meal replaced) alike.
+ */
+async function changeEntry(ctx) {
+  const { res, user, params, body: fields, backend, catalogStore } = ctx;
+  const found = await backend.findEntry(user.id, params.id);
+  if (!found) {
+    sendJSON(res, 404, { error: 'Entry not found' });
+    return;
+  }
+
+  const current = found.entry;
+  const portionError = resolvePortion(fields, current, catalogStore.get());
+  if (portionError) {
+    sendJSON(res, 400, { error: portionError });
+    return;
+  }
+
+  const { date, timestamp } = placeEntry(fields, current);
+  const updated = applyFields({ ...current }, fields);
+  updated.timestamp = timestamp;
+
+  // The entry may have been deleted while this request was validated
+  if (!await backend.updateEntry(user.id, params.id, date, updated)) {
+    sendJSON(res, 404, { error: 'Entry not found' });
+    return;
   }
+  await journalChanges(ctx, user.id, 'edited', [
+    { entryId: params.id, before: snapshot(found.date, current), after: snapshot(date, updated) },
+  ]);
+  await announce(ctx, user.id, 'entry-updated', { date, previousDate: found.date, entry: updated }, [found.date, date]);
+  sendJSON(res, 200, withWarnings(updated));
+}
+
+// GET /api/entries/:id/history — every recorded change to an entry, oldest
+// first; also for entries since deleted
+router.add('GET', '/api/entries/:id/history', {}, async ({ res, user, params, backend, journal }) => {
+  const records = await journal.read(record => record.userId === user.id && record.entryId === params.id);
+  if (records.length === 0 && !await backend.findEntry(user.id, params.id) && !await backend.findDeleted(user.id, params.id)) {
+    sendJSON(res, 404, { error: 'Entry not found' });
+    return;
+  }
+  sendJSON(res, 200, publicRecords(records));
+});
+
+// PATCH /api/entries/:id, PUT /api/entries/:id
+router.add('PATCH', '/api/entries/:id', { body: body => validateEntry(body, { partial: true }) }, changeEntry);
+router.add('PUT', '/api/entries/:id', { body: validateEntry }, changeEntry);
+
+// DELETE /api/entries/:id[?date=YYYY-MM-DD] — moves the entry to the trash
+router.add('DELETE', '/api/entries/:id', { query: schemas.dayQuery }, async ctx => {
+  const { res, user, params, query, backend } = ctx;
+  // Looked up first, as the event and journal say which day the entry was on
+  const found = await backend.findEntry(user.id, params.id);
+  const removed = found && (!query.date || query.date === found.date) &&
+    await backend.deleteEntry(user.id, params.id, found.date);
+  if (!removed) {
+    sendJSON(res, 404, { error: 'Entry not found' });
+    return;
+  }
+  await journalChanges(ctx, user.id, 'deleted', [{ entryId: params.id, before: snapshot(found.date, removed), after: null }]);
+  await announce(ctx, user.id, 'entry-deleted', { date: found.date, id: params.id }, [found.date]);
+  res.writeHead(204);
+  res.end();
+});
+
+// DELETE /api/entries?date=YYYY-MM-DD — clear day, moving its entries to the trash
+router.add('DELETE', '/api/entries', { query: schemas.dayQuery }, async ctx => {
+  const { res, user, query, backend } = ctx;
+  const date = query.date || getTodayDate();
+  // The entries cleared are told apart in the trash by their deletion time
+  const clearedAt = new Date().toISOString();
+  if (await backend.clearDay(user.id, date, clearedAt) > 0) {
+    const cleared = (await backend.listTrash(user.id))
+      .filter(item => item.date === date && item.entry.deletedAt === clearedAt);
+    await journalChanges(ctx, user.id, 'cleared', cleared.map(({ entry: { deletedAt, ...entry } }) =>
+      ({ entryId: entry.id, before: snapshot(date, entry), after: null })));
+  }
+  await announce(ctx, user.id, 'day-cleared', { date }, [date]);
+  res.writeHead(204);
+  res.end();
+});
+
+// GET /api/audit?from=&to= — changes to the log made between two days,
+// oldest first
+router.add('GET', '/api/audit', { query: rangeQuery }, async ({ res, user, query, journal }) => {
+  const from = query.from || null;
+  const to = query.to || null;
+  const records = await journal.read(record => {
+    if (record.userId !== user.id) return false;
+    const day = formatDate(new Date(record.at));
+    return (!from || day >= from) && (!to || day <= to);
+  });
+  sendJSON(res, 200, publicRecords(records));
+});
+
+// GET /api/trash — deleted entries, most recently deleted first
+router.add('GET', '/api/trash', {}, async ({ res, user, backend }) => {
+  const trash = await backend.listTrash(user.id);
+  sendJSON(res, 200, trash.map(({ date, entry }) => ({ date, ...entry })));
+});
+
+// POST /api/trash/restore { ids } — puts deleted entries back on their days
+router.add('POST', '/api/trash/restore', { body: validateIds }, async ctx => {
+  const { res, user, body, backend } = ctx;
+  const restored = await backend.restoreEntries(user.id, body.ids);
+  if (restored.length === 0) {
+    sendJSON(res, 404, { error: 'No such entries in the trash' });
+    return;
+  }
+  await journalChanges(ctx, user.id, 'restored', restored.map(({ date, entry }) =>
+    ({ entryId: entry.id, before: null, after: snapshot(date, entry) })));
+  await announce(ctx, user.id, 'entries-restored', { entries: restored }, restored.map(item => item.date));
+  sendJSON(res, 200, restored.map(({ date, entry }) => ({ date, ...entry })));
+});
+
+// DELETE /api/trash/:id — deletes an entry in the trash for good
+router.add('DELETE', '/api/trash/:id', {}, async ctx => {
+  const { res, user, params, backend } = ctx;
+  const found = await backend.findDeleted(user.id, params.id);
+  if (!found || await backend.purgeTrash(user.id, [params.id]) === 0) {
+    sendJSON(res, 404, { error: 'Entry not found in the trash' });
+    return;
+  }
+  await journalChanges(ctx, user.id, 'purged', [{ entryId: params.id, before: snapshot(found.date, found.entry), after: null }]);
+  res.writeHead(204);
+  res.end();
+});
+
+// DELETE /api/trash — empties the trash
+router.add('DELETE', '/api/trash', {}, async ctx => {
+  const { res, user, backend } = ctx;
+  const trash = await backend.listTrash(user.id);
+  if (trash.length > 0) {
+    await backend.purgeTrash(user.id, trash.map(item => item.entry.id));
+    await journalChanges(ctx, user.id, 'purged', trash.map(({ date, entry }) =>
+      ({ entryId: entry.id, before: snapshot(date, entry), after: null })));
+  }
+  res.writeHead(204);
+  res.end();
+});
+
+// GET /api/foods/search?q=oat — saved and learned foods for autocomplete
+router.add('GET', '/api/foods/search', { query: schemas.searchQuery }, async ({ res, user, query, backend, catalogStore }) => {
+  const limit = query.limit || FOOD_SEARCH_LIMIT;
+  sendJSON(res, 200, searchFoods(catalogStore.get(), await backend.listRange(user.id, null, null), query.q || '', limit));
+});
+
+// GET /api/foods
+router.add('GET', '/api/foods', {}, ({ res, catalogStore }) => {
+  const foods = [...catalogStore.get().foods].sort((a, b) => a.name.localeCompare(b.name));
+  sendJSON(res, 200, foods);
+});
+
+// GET /api/foods/:id
+router.add('GET', '/api/foods/:id', {}, ({ res, params, catalogStore }) => {
+  const food = catalogStore.get().foods.find(f => f.id === params.id);
+  if (!food) {
+    sendJSON(res, 404, { error: 'Food not found' });
+    return;
+  }
+  sendJSON(res, 200, food);
+});
+
+/**
+ * Saves a food: a new one for POST, or the one named by `params.id` for PUT.
+ */
+async function saveFood({ res, user, params, body: fields, catalogStore }) {
+  const id = params.id || null;
+  const result = await catalogStore.update(catalog => {
+    const index = id ? catalog.foods.findIndex(f => f.id === id) : -1;
+    if (id && index === -1) {
+      return { status: 404, body: { error: 'Food not found' } };
+    }
+    if (id && !canModify(user, catalog.foods[index])) {
+      return { status: 403, body: { error: 'Only the person who saved this food can change it' } };
+    }
+    if (findByName(catalog.foods, fields.name, id)) {
+      return { status: 409, body: { error: 'A food with that name already exists' } };
+    }
+
+    if (id) {
+      const updated = applyFields({ ...catalog.foods[index] }, fields, FOOD_FIELDS);
+      catalog.foods[index] = updated;
+      return { status: 200, body: withWarnings(updated) };
+    }
+    const food = applyFields({ id: crypto.randomUUID(), ownerId: user.id }, fields, FOOD_FIELDS);
+    catalog.foods.push(food);
+    return { status: 201, body: withWarnings(food) };
+  });
+
+  sendJSON(res, result.status, result.body);
+}
+
+// POST /api/foods, PUT /api/foods/:id
+router.add('POST', '/api/foods', { body: validateFood }, saveFood);
+router.add('PUT', '/api/foods/:id', { body: validateFood }, saveFood);
+
+// DELETE /api/foods/:id
+router.add('DELETE', '/api/foods/:id', {}, async ({ res, user, params, catalogStore }) => {
+  const result = await catalogStore.update(catalog => {
+    const index = catalog.foods.findIndex(f => f.id === params.id);
+    if (index === -1) {
+      return { status: 404, body: { error: 'Food not found' } };
+    }
+    if (!canModify(user, catalog.foods[index])) {
+      return { status: 403, body: { error: 'Only the person who saved this food can delete it' } };
+    }
+    catalog.foods.splice(index, 1);
+    return null;
+  });
+  if (result) {
+    sendJSON(res, result.status, result.body);
+    return;
+  }
+  res.writeHead(204);
+  res.end();
+});
+
+// GET /api/recipes
+router.add('GET', '/api/recipes', {}, ({ res, catalogStore }) => {
+  const recipes = [...catalogStore.get().recipes].sort((a, b) => a.name.localeCompare(b.name));
+  sendJSON(res, 200, recipes);
 });
 
-// Ensure data file exists on startup
-if (!fs.existsSync(DATA_FILE)) {
-  writeData({ entries: {} });
+// GET /api/recipes/:id
+router.add('GET', '/api/recipes/:id', {}, ({ res, params, catalogStore }) => {
+  const recipe = catalogStore.get().recipes.find(rc => rc.id === params.id);
+  if (!recipe) {
+    sendJSON(res, 404, { error: 'Recipe not found' });
+    return;
+  }
+  sendJSON(res, 200, recipe);
+});
+
+/**
+ * Saves a recipe: a new one for POST, or the one named by `params.id` for
+ * PUT. Ingredients are checked against the catalog inside the update, so
+ * the body is validated there rather than by the route.
+ */
+async function saveRecipe({ res, user, params, body, catalogStore }) {
+  const id = params.id || null;
+  const result = await catalogStore.update(catalog => {
+    const index = id ? catalog.recipes.findIndex(rc => rc.id === id) : -1;
+    if (id && index === -1) {
+      return { status: 404, body: { error: 'Recipe not found' } };
+    }
+    if (id && !canModify(user, catalog.recipes[index])) {
+      return { status: 403, body: { error: 'Only the person who saved this recipe can change it' } };
+    }
+
+    const { error, fields } = buildRecipe(body, catalog);
+    if (error) {
+      return { status: 400, body: { error } };
+    }
+    if (findByName(catalog.recipes, fields.name, id)) {
+      return { status: 409, body: { error: 'A recipe with that name already exists' } };
+    }
+
+    if (id) {
+      const { ownerId } = catalog.recipes[index];
+      const updated = ownerId ? { id, ownerId, ...fields } : { id, ...fields };
+      catalog.recipes[index] = updated;
+      return { status: 200, body: updated };
+    }
+    const recipe = { id: crypto.randomUUID(), ownerId: user.id, ...fields };
+    catalog.recipes.push(recipe);
+    return { status: 201, body: recipe };
+  });
+
+  sendJSON(res, result.status, result.body);
 }
 
-server.listen(PORT, () => {
-  console.log(`Calorie Tracker server running at http://localhost:${PORT}`);
+// POST /api/recipes, PUT /api/recipes/:id
+router.add('POST', '/api/recipes', { body: anyBody }, saveRecipe);
+router.add('PUT', '/api/recipes/:id', { body: anyBody }, saveRecipe);
+
+// DELETE /api/recipes/:id — logged entries keep their snapshot
+router.add('DELETE', '/api/recipes/:id', {}, async ({ res, user, params, catalogStore }) => {
+  const result = await catalogStore.update(catalog => {
+    const index = catalog.recipes.findIndex(rc => rc.id === params.id);
+    if (index === -1) {
+      return { status: 404, body: { error: 'Recipe not found' } };
+    }
+    if (!canModify(user, catalog.recipes[index])) {
+      return { status: 403, body: { error: 'Only the person who saved this recipe can delete it' } };
+    }
+    catalog.recipes.splice(index, 1);
+    return null;
+  });
+  if (result) {
+    sendJSON(res, result.status, result.body);
+    return;
+  }
+  res.writeHead(204);
+  res.end();
 });
+
+/**
+ * Checks a query string or body against a route's schema or validator.
+ * Returns the cleaned fields, or null after answering 400 with the first
+ * problem as `error` and every invalid field in `fields`.
+ */
+function checkInput(res, spec, input) {
+  const { errors, fields } = typeof spec === 'function' ? spec(input) : schemas.validate(spec, input);
+  if (errors) {
+    sendJSON(res, 400, { error: Object.values(errors)[0], fields: errors });
+    return null;
+  }
+  return fields;
+}
+
+/**
+ * Runs the API route for a request: 404 for an unknown path, 405 with an
+ * Allow header for a known path and the wrong method, 401 when signing in is
+ * needed, and 400 when the query string or body fails its checks. A body
+ * that is too large or not JSON throws an HttpError (413 or 415).
+ */
+async function handleApi(app, req, res, url, pathname) {
+  const match = router.match(req.method, pathname);
+  if (!match) {
+    sendJSON(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (!match.route) {
+    res.setHeader('Allow', match.allowed.join(', '));
+    sendJSON(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+  const { options, handler } = match.route;
+
+  // Everything but signing up, signing in and the API description needs a
+  // signed-in user, and only sees and changes that user's log
+  let session = null;
+  if (!options.public) {
+    session = authenticate(app.usersStore, req);
+    if (!session) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJSON(res, 401, { error: 'Sign in required' });
+      return;
+    }
+  }
+
+  let query = {};
+  if (options.query) {
+    query = checkInput(res, options.query, Object.fromEntries(url.searchParams));
+    if (!query) return;
+  }
+
+  let body;
+  if (options.body) {
+    const raw = await parseBody(req, { limit: app.config.maxBodyBytes });
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      sendJSON(res, 400, { error: 'Expected a JSON object' });
+      return;
+    }
+    body = checkInput(res, options.body, raw);
+    if (!body) return;
+  }
+
+  await handler({ ...app, req, res, url, params: match.params, query, body, session, user: session && session.user });
+}
+
+/**
+ * Answers one request: API routes (rate limited per IP address) or files
+ * from public/.
+ */
+async function handleRequest(app, req, res) {
+  const parsedUrl = new URL(req.url, 'http://localhost');
+  const pathname = parsedUrl.pathname.replace(API_VERSION_PREFIX, '/api');
+  setSecurityHeaders(res);
+
+  try {
+    if (pathname.startsWith('/api/')) {
+      // Each IP address gets its own budget of API requests; static files
+      // aren't counted
+      const limit = app.apiLimiter.take(req.socket.remoteAddress);
+      if (!limit.allowed) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        sendJSON(res, 429, { error: 'Too many requests; try again shortly' });
+        return;
+      }
+      await handleApi(app, req, res, parsedUrl, pathname);
+      return;
+    }
+
+    await serveStatic(req, res, PUBLIC_DIR, parsedUrl.pathname);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      // The rest of a refused oversized body is not read, so the
+      // connection can't be reused
+      if (err.status === 413) res.setHeader('Connection', 'close');
+      sendJSON(res, err.status, { error: err.message });
+      return;
+    }
+    console.error('Server error:', err);
+    if (err instanceof StorageError) {
+      sendJSON(res, 500, { error: 'Stored data is unreadable; see the server log' });
+    } else {
+      sendJSON(res, 500, { error: 'Internal server error' });
+    }
+  }
+}
+
+/**
+ * The address a listening server can be reached at, for log messages.
+ * Servers listening on every interface are shown as localhost.
+ */
+function serverUrl(address) {
+  if (['::', '0.0.0.0'].includes(address.address)) {
+    return `http://localhost:${address.port}`;
+  }
+  const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+  return `http://${host}:${address.port}`;
+}
+
+/**
+ * Creates a Calorie Tracker server from a config (see config.js); settings
+ * left out take their defaults. Each server has its own stores and rate
+ * limits, so several can run side by side, on different data files.
+ * @param {object} [config]
+ * @returns {{server: http.Server, config: object, listen: Function, close: Function}}
+ *   `listen()` opens the store and starts accepting requests, resolving to
+ *   the server's URL; `close()` stops it and closes the store
+ */
+function createServer(config = {}) {
+  const settings = resolveConfig(config);
+  const app = {
+    config: settings,
+    backend: createBackend(settings),
+    catalogStore: createStore(settings.foodsFile, {
+      empty: () => ({ foods: [], recipes: [] }),
+      migrate: ensureLists('foods', 'recipes'),
+      recheckMs: settings.storeRecheckMs,
+    }),
+    usersStore: createStore(settings.usersFile, {
+      empty: () => ({ users: [], sessions: [], tokens: [] }),
+      migrate: ensureLists('users', 'sessions', 'tokens'),
+      recheckMs: settings.storeRecheckMs,
+    }),
+    apiLimiter: createRateLimiter({ capacity: settings.rateLimitBurst, refillPerSecond: settings.rateLimitPerSecond }),
+    events: createEventHub(),
+    journal: createJournal(settings.auditFile),
+  };
+  const server = http.createServer((req, res) => handleRequest(app, req, res));
+  let purgeTimer = null;
+
+  const purgeTrash = () => purgeExpiredTrash(app).catch(err => console.error('Trash purge error:', err.message));
+
+  return {
+    server,
+    config: settings,
+
+    // Creates the store, or brings it to the current shape, before accepting
+    // requests. A corrupt data file rejects instead of being overwritten.
+    async listen() {
+      await app.backend.init();
+      await purgeTrash();
+      purgeTimer = setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
+      purgeTimer.unref();
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, settings.host || undefined, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+      return serverUrl(server.address());
+    },
+
+    // Event streams never finish by themselves, so they are ended first
+    async close() {
+      clearInterval(purgeTimer);
+      app.events.close();
+      await new Promise(resolve => server.close(() => resolve()));
+      await app.backend.close();
+    },
+  };
+}
+
+if (require.main === module) {
+  let config;
+  try {
+    config = loadConfig();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const instance = createServer(config);
+  instance.listen().then(url => {
+    console.log(`Calorie Tracker server running at ${url} (${config.storage} storage)`);
+  }).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      instance.close().finally(() => process.exit(0));
+    });
+  }
+}
+
+module.exports = { createServer };
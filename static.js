@@ -0,0 +1,263 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+};
+
+// Text formats worth compressing; images and fonts already are. Files
+// smaller than this many bytes are sent as they are.
+const COMPRESSIBLE = ['.html', '.css', '.js', '.json', '.webmanifest', '.txt', '.svg'];
+const COMPRESS_MIN_BYTES = 1024;
+
+// Compressors in order of preference. Brotli runs at a middling quality:
+// the default (11) is too slow to use on every request.
+const ENCODINGS = {
+  br: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+  gzip: () => zlib.createGzip(),
+};
+
+// Pages, scripts and styles are revalidated on every load so a change shows
+// up at once (a matching ETag makes that a cheap 304). Images and fonts
+// rarely change and may be reused for a day.
+const REVALIDATE = 'no-cache';
+const LONG_LIVED = 'public, max-age=86400';
+const LONG_LIVED_TYPES = ['.png', '.jpg', '.ico', '.woff2'];
+
+/**
+ * Works out the best encoding the client accepts from an Accept-Encoding
+ * header, honouring q-values (`q=0` refuses one). Returns 'br', 'gzip' or
+ * null for none.
+ * @param {string} [header]
+ * @returns {string|null}
+ */
+function negotiateEncoding(header) {
+  const accepted = {};
+  for (const part of String(header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    accepted[name] = q ? Number(q.slice(2)) : 1;
+  }
+  let best = null;
+  for (const encoding of Object.keys(ENCODINGS)) {
+    const q = encoding in accepted ? accepted[encoding] : accepted['*'];
+    if (q > 0 && (!best || q > best.q)) best = { encoding, q };
+  }
+  return best ? best.encoding : null;
+}
+
+/**
+ * Parses a Range header against a file of `size` bytes. Only a single byte
+ * range is supported. Returns `{ start, end }` (inclusive), 'unsatisfiable'
+ * when the range lies outside the file, or null to ignore the header and
+ * send the whole file (no header, several ranges or one that isn't bytes).
+ * @param {string} [header]
+ * @param {number} size
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+  let start;
+  let end;
+  if (match[1] === '') {
+    // bytes=-500 is the last 500 bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start > end || start >= size) {
+    return 'unsatisfiable';
+  }
+  return { start, end };
+}
+
+// Size and modification time identify a version of a file well enough to
+// use as a strong validator, which ranges need.
+function etagFor(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * Whether the client's cached copy is still current: If-None-Match when
+ * sent, otherwise If-Modified-Since (HTTP dates have whole seconds).
+ */
+function isFresh(req, etag, stat) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) {
+    return noneMatch.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+  }
+  const since = Date.parse(req.headers['if-modified-since']);
+  return !Number.isNaN(since) && Math.floor(stat.mtimeMs / 1000) * 1000 <= since;
+}
+
+// An If-Range naming an older version means the client wants the whole
+// (changed) file rather than a piece of it.
+function rangeStillValid(req, etag, stat) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"')) return ifRange === etag;
+  if (ifRange.startsWith('W/')) return false;
+  return Date.parse(ifRange) >= Math.floor(stat.mtimeMs / 1000) * 1000;
+}
+
+function sendText(req, res, status, message) {
+  res.writeHead(status, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Length': Buffer.byteLength(message),
+  });
+  res.end(req.method === 'HEAD' ? undefined : message);
+}
+
+/**
+ * Sends the HTML "not found" page, `404.html` in the root, falling back to
+ * a line of text if that is missing too.
+ */
+function sendNotFound(req, res, root) {
+  fs.readFile(path.join(root, '404.html'), (err, page) => {
+    if (err) {
+      sendText(req, res, 404, 'Not found');
+      return;
+    }
+    res.writeHead(404, {
+      'Content-Type': MIME_TYPES['.html'],
+      'Content-Length': page.length,
+      'Cache-Control': REVALIDATE,
+    });
+    res.end(req.method === 'HEAD' ? undefined : page);
+  });
+}
+
+/**
+ * Maps a URL path onto a file under `root`, or null when it would leave
+ * `root` or can't be decoded. `/` is `index.html`.
+ */
+function resolvePath(root, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch {
+    return null;
+  }
+  if (decoded.includes('\0')) {
+    return null;
+  }
+  const filePath = path.resolve(root, `.${path.posix.normalize(decoded)}`);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Serves a file from `root` for a GET or HEAD request, streaming it from
+ * disk. Handles conditional requests (ETag and Last-Modified, answering 304),
+ * single byte ranges (206, or 416 when out of bounds) and gzip or brotli
+ * compression of text files for clients that accept it. Unknown paths get
+ * the HTML 404 page.
+ * @param {object} req - HTTP request
+ * @param {object} res - HTTP response
+ * @param {string} root - absolute directory to serve from
+ * @param {string} pathname - URL path, still percent-encoded
+ * @returns {Promise<void>} resolves once the response is under way
+ */
+async function serveStatic(req, res, root, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    sendText(req, res, 405, 'Method not allowed');
+    return;
+  }
+
+  const filePath = resolvePath(root, pathname);
+  if (!filePath) {
+    sendNotFound(req, res, root);
+    return;
+  }
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch {
+    stat = null;
+  }
+  if (!stat || !stat.isFile()) {
+    sendNotFound(req, res, root);
+    return;
+  }
+
+  const ext = path.extname(filePath).toLowerCase();
+  const etag = etagFor(stat);
+  const headers = {
+    'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+    'Last-Modified': stat.mtime.toUTCString(),
+    'Cache-Control': LONG_LIVED_TYPES.includes(ext) ? LONG_LIVED : REVALIDATE,
+    'Accept-Ranges': 'bytes',
+  };
+  const compressible = COMPRESSIBLE.includes(ext) && stat.size >= COMPRESS_MIN_BYTES;
+  if (compressible) {
+    headers.Vary = 'Accept-Encoding';
+  }
+
+  const range = rangeStillValid(req, etag, stat) ? parseRange(req.headers.range, stat.size) : null;
+  // A range is a slice of the file itself, so it is never compressed
+  const encoding = compressible && !range ? negotiateEncoding(req.headers['accept-encoding']) : null;
+  // Each encoding is a different representation and needs its own tag
+  headers.ETag = encoding ? etag.replace(/"$/, `-${encoding}"`) : etag;
+
+  if (isFresh(req, headers.ETag, stat)) {
+    delete headers['Content-Type'];
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  if (range === 'unsatisfiable') {
+    res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stat.size}`, 'Content-Length': 0 });
+    res.end();
+    return;
+  }
+
+  let status = 200;
+  let streamOptions = {};
+  if (range) {
+    status = 206;
+    streamOptions = { start: range.start, end: range.end };
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+    headers['Content-Length'] = range.end - range.start + 1;
+  } else if (encoding) {
+    headers['Content-Encoding'] = encoding;
+  } else {
+    headers['Content-Length'] = stat.size;
+  }
+
+  res.writeHead(status, headers);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+
+  const stages = [fs.createReadStream(filePath, streamOptions)];
+  if (encoding) stages.push(ENCODINGS[encoding]());
+  pipeline(...stages, res, err => {
+    // Headers are gone by now, so a read error can only cut the response
+    // short; the client sees a truncated transfer rather than a bad file
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Static file error:', err);
+    }
+  });
+}
+
+module.exports = { MIME_TYPES, negotiateEncoding, parseRange, resolvePath, serveStatic };
@@ -0,0 +1,207 @@
+'use strict';
+
+const { addDays } = require('./utils');
+
+/**
+ * Builds one row per date from `from` to `to` inclusive, with the calorie
+ * total and number of entries logged that day. Only the dates in the range
+ * are looked up, so the cost depends on the length of the range rather than
+ * the size of the whole log.
+ * @param {object} entriesByDate - `{ 'YYYY-MM-DD': [entry, ...] }`
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array<{date: string, total: number, entries: number}>}
+ */
+function dailyTotals(entriesByDate, from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const entries = entriesByDate[date] || [];
+    const total = entries.reduce((sum, e) => sum + e.calories, 0);
+    days.push({ date, total: Math.round(total * 10) / 10, entries: entries.length });
+  }
+  return days;
+}
+
+/**
+ * Returns the key of the period a date falls in: the date itself for "day",
+ * the Monday starting its week for "week", and YYYY-MM for "month".
+ * @param {string} date - YYYY-MM-DD
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {string}
+ */
+function periodKey(date, granularity) {
+  if (granularity === 'month') {
+    return date.slice(0, 7);
+  }
+  if (granularity === 'week') {
+    const [y, m, d] = date.split('-').map(Number);
+    const weekday = new Date(y, m - 1, d).getDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+  return date;
+}
+
+/**
+ * Averages the days that have at least one entry. Days with nothing logged
+ * are treated as missing data rather than as zero calories.
+ * @param {Array<{total: number, entries: number}>} days
+ * @returns {number|null} null when no day was logged
+ */
+function loggedAverage(days) {
+  const logged = days.filter(d => d.entries > 0);
+  if (logged.length === 0) {
+    return null;
+  }
+  const sum = logged.reduce((s, d) => s + d.total, 0);
+  return Math.round((sum / logged.length) * 10) / 10;
+}
+
+/**
+ * Summarizes a run of daily rows: total, average per logged day, the lowest
+ * and highest logged days, and how many days were logged and over goal.
+ * Rows may carry a goal `status` (see goalStatus in server.js).
+ * @param {Array<{date: string, total: number, entries: number, status?: string}>} days
+ * @returns {object}
+ */
+function summarizeDays(days) {
+  let min = null;
+  let max = null;
+  let total = 0;
+  let daysLogged = 0;
+  let daysOverGoal = 0;
+  for (const day of days) {
+    total += day.total;
+    if (day.status === 'over') daysOverGoal++;
+    if (day.entries === 0) continue;
+    daysLogged++;
+    if (!min || day.total < min.total) min = { date: day.date, total: day.total };
+    if (!max || day.total > max.total) max = { date: day.date, total: day.total };
+  }
+  return {
+    total: Math.round(total * 10) / 10,
+    average: loggedAverage(days),
+    days: days.length,
+    daysLogged,
+    daysOverGoal,
+    min,
+    max,
+  };
+}
+
+/**
+ * Groups daily rows into day, week or month periods and summarizes each.
+ * Periods are clipped to the rows given, so a range starting mid-week
+ * produces a shorter first week.
+ * @param {Array<object>} days - rows from dailyTotals, in date order
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {Array<object>}
+ */
+function groupByPeriod(days, granularity) {
+  const groups = new Map();
+  for (const day of days) {
+    const key = periodKey(day.date, granularity);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(day);
+  }
+  return [...groups].map(([period, rows]) => ({
+    period,
+    start: rows[0].date,
+    end: rows[rows.length - 1].date,
+    ...summarizeDays(rows),
+  }));
+}
+
+/**
+ * Finds logging streaks: the longest run of consecutive logged days, and
+ * the current run ending on the last day. If the last day has nothing logged
+ * yet (today, usually) the current streak counts back from the day before,
+ * so it isn't broken until a whole day is missed.
+ * @param {Array<{entries: number}>} days - rows in date order
+ * @returns {{current: number, longest: number}}
+ */
+function loggingStreaks(days) {
+  let longest = 0;
+  let run = 0;
+  for (const day of days) {
+    run = day.entries > 0 ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  let i = days.length - 1;
+  if (i >= 0 && days[i].entries === 0) i--;
+  for (; i >= 0 && days[i].entries > 0; i--) current++;
+
+  return { current, longest };
+}
+
+/**
+ * Adds a trailing `rollingAverage` to each row: the average of the logged
+ * days among it and the `window - 1` rows before it (null if none of them
+ * were logged). Pass rows starting `window - 1` days before the range of
+ * interest to get full windows from the first day.
+ * @param {Array<object>} days - rows in date order
+ * @param {number} [window=7]
+ * @returns {Array<object>} new rows
+ */
+function rollingAverages(days, window = 7) {
+  return days.map((day, i) => ({
+    ...day,
+    rollingAverage: loggedAverage(days.slice(Math.max(0, i - window + 1), i + 1)),
+  }));
+}
+
+/**
+ * Ranks the foods logged between two dates by how many times they were
+ * logged, then by calories. Names are matched case-insensitively and
+ * reported as most recently written.
+ * @param {object} entriesByDate
+ * @param {string} from
+ * @param {string} to
+ * @param {number} [limit=10]
+ * @returns {Array<{name: string, count: number, calories: number}>}
+ */
+function topFoods(entriesByDate, from, to, limit = 10) {
+  const foods = new Map();
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    for (const entry of entriesByDate[date] || []) {
+      const key = entry.name.trim().toLowerCase();
+      const food = foods.get(key) || { name: entry.name, count: 0, calories: 0, last: '' };
+      food.count++;
+      food.calories += entry.calories;
+      if (entry.timestamp >= food.last) {
+        food.name = entry.name;
+        food.last = entry.timestamp;
+      }
+      foods.set(key, food);
+    }
+  }
+  return [...foods.values()]
+    .sort((a, b) => b.count - a.count || b.calories - a.calories || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ name, count, calories }) => ({ name, count, calories: Math.round(calories * 10) / 10 }));
+}
+
+/**
+ * Counts the days between two YYYY-MM-DD dates, inclusive.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  // Date.UTC avoids off-by-one errors across daylight saving changes
+  return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / 86400000) + 1;
+}
+
+module.exports = {
+  dailyTotals,
+  periodKey,
+  summarizeDays,
+  groupByPeriod,
+  loggingStreaks,
+  rollingAverages,
+  topFoods,
+  daysBetween,
+};
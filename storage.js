@@ -0,0 +1,186 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BACKUPS = 5;
+const DEFAULT_BACKUP_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_RECHECK_MS = 1000;
+
+/**
+ * Raised when a store's file exists but does not hold a JSON object. The
+ * store never overwrites such a file, so it can be repaired or restored from
+ * a backup by hand.
+ */
+class StorageError extends Error {
+  constructor(message, file) {
+    super(message);
+    this.name = 'StorageError';
+    this.file = file;
+  }
+}
+
+/**
+ * Creates a store for one JSON file.
+ *
+ * Reads are served from an in-memory copy. To notice when the file was
+ * changed by something other than this store (say, a backup restored by
+ * hand), reads stat it at most once per `recheckMs` and reload it if it
+ * changed; updates always check first, so they never overwrite such a
+ * change. Mutations go through `update`, which runs
+ * them one at a time against a copy of the data and commits the copy only
+ * once it has been written: to a temporary file that is flushed to disk and
+ * then renamed over the original, so a crash leaves either the old file or
+ * the new one. Before overwriting, the previous file is copied to a rotating
+ * backup (`data.json.1` newest … `data.json.N` oldest), at most once per
+ * `backupIntervalMs`.
+ *
+ * @param {string} file - path of the JSON file
+ * @param {object} options
+ * @param {function(): object} options.empty - data to use when the file doesn't exist
+ * @param {function(object): boolean} [options.migrate] - upgrades loaded data in place;
+ *   returns true if it changed anything
+ * @param {number} [options.backups=5] - backups to keep; 0 disables them
+ * @param {number} [options.backupIntervalMs=3600000] - minimum time between backups
+ * @param {number} [options.recheckMs=1000] - minimum time between checks for outside changes
+ * @returns {{ get: function(): object, update: function(function(object): *): Promise<*>, init: function(): Promise<void> }}
+ */
+function createStore(file, {
+  empty,
+  migrate = () => false,
+  backups = DEFAULT_BACKUPS,
+  backupIntervalMs = DEFAULT_BACKUP_INTERVAL_MS,
+  recheckMs = DEFAULT_RECHECK_MS,
+}) {
+  let cache;
+  let cacheJson;
+  let stamp;
+  let exists = false;
+  let migrated = false;
+  let lastBackup = 0;
+  let checkedAt = 0;
+  let queue = Promise.resolve();
+
+  const serialize = data => JSON.stringify(data, null, 2);
+  const stampOf = stat => (stat ? `${stat.mtimeMs}:${stat.size}` : null);
+
+  function statFile() {
+    try {
+      return fs.statSync(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  function load(stat) {
+    let data = empty();
+    migrated = false;
+    if (stat) {
+      const raw = fs.readFileSync(file, 'utf8');
+      try {
+        data = JSON.parse(raw);
+      } catch (err) {
+        throw new StorageError(`${file} is not valid JSON (${err.message}); fix it or restore a backup`, file);
+      }
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new StorageError(`${file} does not hold a JSON object; fix it or restore a backup`, file);
+      }
+      migrated = migrate(data);
+    }
+    cache = data;
+    cacheJson = serialize(data);
+    stamp = stampOf(stat);
+    exists = Boolean(stat);
+  }
+
+  function current(recheck) {
+    if (cache !== undefined && !recheck) return cache;
+    const stat = statFile();
+    checkedAt = Date.now();
+    if (cache === undefined || stampOf(stat) !== stamp) {
+      load(stat);
+    }
+    return cache;
+  }
+
+  /**
+   * Returns the current data. Treat it as read-only; change it through
+   * `update`.
+   * @throws {StorageError} if the file is corrupt
+   */
+  function get() {
+    return current(Date.now() - checkedAt >= recheckMs);
+  }
+
+  async function rotateBackups() {
+    if (backups <= 0 || !exists || Date.now() - lastBackup < backupIntervalMs) {
+      return;
+    }
+    for (let n = backups - 1; n >= 1; n--) {
+      await fs.promises.rename(`${file}.${n}`, `${file}.${n + 1}`).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    }
+    await fs.promises.copyFile(file, `${file}.1`);
+    lastBackup = Date.now();
+  }
+
+  async function write(json) {
+    await rotateBackups();
+    const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+    try {
+      const handle = await fs.promises.open(tmp, 'w');
+      try {
+        await handle.writeFile(json, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmp, file);
+    } catch (err) {
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    }
+    stamp = stampOf(statFile());
+    checkedAt = Date.now();
+    exists = true;
+  }
+
+  /**
+   * Queues a change. `mutator` receives a private copy of the data to modify
+   * and its return value resolves the promise. The copy is written and
+   * becomes the current data only if the mutator returns without throwing;
+   * if nothing changed, nothing is written.
+   * @param {function(object): *} mutator - must be synchronous
+   * @returns {Promise<*>}
+   */
+  function update(mutator) {
+    const run = queue.then(async () => {
+      const draft = structuredClone(current(true));
+      const result = mutator(draft);
+      const json = serialize(draft);
+      if (json !== cacheJson || !exists || migrated) {
+        await write(json);
+        cache = draft;
+        cacheJson = json;
+        migrated = false;
+      }
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Loads the file and writes it back if it was missing or needed migrating.
+   * @throws {StorageError} if the file is corrupt
+   */
+  function init() {
+    return update(() => {});
+  }
+
+  return { get, update, init };
+}
+
+module.exports = { createStore, StorageError };
@@ -3,10 +3,38 @@
 
 const http = require('http');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { createServer } = require('../server');
 
-const BASE_URL = 'http://localhost:3000';
-const DATA_FILE = path.join(__dirname, '..', 'data.json');
+// The suite starts a server of its own on a free port, keeping its data in
+// a temporary directory that is removed afterwards. STORAGE picks the
+// backend to test.
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-test-'));
+const DATA_FILE = path.join(TMP_DIR, 'data.json');
+const FOODS_FILE = path.join(TMP_DIR, 'foods.json');
+const USERS_FILE = path.join(TMP_DIR, 'users.json');
+const SQLITE_FILE = path.join(TMP_DIR, 'data.db');
+const AUDIT_FILE = path.join(TMP_DIR, 'audit.jsonl');
+const STORAGE = process.env.STORAGE || 'json';
+let BASE_URL;
+let sqliteDb;
+
+process.on('exit', () => {
+  if (sqliteDb) sqliteDb.close();
+  fs.rmSync(TMP_DIR, { recursive: true, force: true });
+});
+
+function sqlite() {
+  if (!sqliteDb) {
+    const { DatabaseSync } = require('node:sqlite');
+    sqliteDb = new DatabaseSync(SQLITE_FILE);
+    sqliteDb.exec('PRAGMA busy_timeout = 5000');
+  }
+  return sqliteDb;
+}
 
 let passed = 0;
 let failed = 0;
@@ -24,7 +52,14 @@ function fail(name, expected, got) {
   failed++;
 }
 
-function request(method, urlPath, body) {
+// The signed-in test user's token, sent with every request unless another
+// token (or null, for none) is given.
+let authToken = null;
+let authUserId = null;
+
+// A string body is sent as-is with the given content type; anything else is
+// sent as JSON.
+function request(method, urlPath, body, contentType = 'text/plain', { token = authToken, headers = {} } = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(urlPath, BASE_URL);
     const options = {
@@ -32,11 +67,18 @@ function request(method, urlPath, body) {
       port: url.port || 80,
       path: url.pathname + url.search,
       method,
-      headers: {},
+      headers: { ...headers },
     };
+    if (token) {
+      options.headers.Authorization = `Bearer ${token}`;
+    }
 
     let bodyStr;
-    if (body !== undefined) {
+    if (typeof body === 'string') {
+      bodyStr = body;
+      options.headers['Content-Type'] = contentType;
+      options.headers['Content-Length'] = Buffer.byteLength(bodyStr);
+    } else if (body !== undefined) {
       bodyStr = JSON.stringify(body);
       options.headers['Content-Type'] = 'application/json';
       options.headers['Content-Length'] = Buffer.byteLength(bodyStr);
@@ -52,7 +94,7 @@ function request(method, urlPath, body) {
         } catch {
           parsed = data;
         }
-        resolve({ status: res.statusCode, body: parsed, raw: data });
+        resolve({ status: res.statusCode, headers: res.headers, body: parsed, raw: data });
       });
     });
 
@@ -63,12 +105,160 @@ function request(method, urlPath, body) {
   });
 }
 
+// Like request, but for static files: keeps the body as raw bytes so
+// compressed responses can be checked.
+function rawRequest(method, urlPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(urlPath, BASE_URL);
+    const req = http.request({ hostname: url.hostname, port: url.port, path: url.pathname, method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// Opens /api/events as the test user and collects its events. `next`
+// resolves with the next event of a type (or null after a second) and
+// `close` hangs up.
+function openEvents(headers = {}) {
+  return new Promise((resolve, reject) => {
+    const url = new URL('/api/events', BASE_URL);
+    const req = http.get({ hostname: url.hostname, port: url.port, path: url.pathname, headers: { Authorization: `Bearer ${authToken}`, ...headers } }, res => {
+      const events = [];
+      let waiting = null;
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const event = {};
+          for (const line of buffer.slice(0, end).split('\n')) {
+            const [, field, value] = /^(\w+): ?(.*)$/.exec(line) || [];
+            if (field === 'data') event.data = JSON.parse(value);
+            else if (field) event[field] = value;
+          }
+          buffer = buffer.slice(end + 2);
+          if (event.event) events.push(event);
+          if (waiting) waiting();
+        }
+      });
+      const stream = {
+        status: res.statusCode,
+        headers: res.headers,
+        async next(type) {
+          const deadline = Date.now() + 1000;
+          while (Date.now() < deadline) {
+            const index = events.findIndex(e => e.event === type);
+            if (index !== -1) return events.splice(index, 1)[0];
+            await new Promise(done => {
+              waiting = done;
+              setTimeout(done, 50);
+            });
+          }
+          return null;
+        },
+        close() {
+          req.destroy();
+        },
+      };
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
 function resetData() {
-  fs.writeFileSync(DATA_FILE, JSON.stringify({ entries: {} }), 'utf8');
+  if (STORAGE === 'sqlite') {
+    sqlite().exec('DELETE FROM entries; DELETE FROM weights; DELETE FROM settings;');
+  } else {
+    fs.writeFileSync(DATA_FILE, JSON.stringify({ users: {} }), 'utf8');
+  }
+  fs.writeFileSync(FOODS_FILE, JSON.stringify({ foods: [] }), 'utf8');
+}
+
+// Checks a value against a JSON Schema from the OpenAPI document, covering
+// the keywords the document uses. Returns a list of problems, empty if none.
+function schemaErrors(schema, value, doc, at = '$') {
+  if (schema.$ref) {
+    const name = schema.$ref.replace('#/components/schemas/', '');
+    return schemaErrors(doc.components.schemas[name], value, doc, at);
+  }
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: not above ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string' && schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    errors.push(`${at}: not a date-time`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...schemaErrors(schema.items, item, doc, `${at}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        errors.push(...schemaErrors(schema.properties[key], item, doc, `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: not documented`);
+      } else if (schema.additionalProperties) {
+        errors.push(...schemaErrors(schema.additionalProperties, item, doc, `${at}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
+
+// Checks a response against what the OpenAPI document says `method` on
+// `pathTemplate` returns for its status code.
+function responseErrors(doc, method, pathTemplate, res) {
+  const operation = doc.paths[pathTemplate] && doc.paths[pathTemplate][method.toLowerCase()];
+  const documented = operation && operation.responses[res.status];
+  if (!documented) {
+    return [`${method} ${pathTemplate}: status ${res.status} not documented`];
+  }
+  if (!documented.content) {
+    return res.raw ? [`${method} ${pathTemplate}: ${res.status} should have no body`] : [];
+  }
+  return schemaErrors(documented.content['application/json'].schema, res.body, doc)
+    .map(e => `${method} ${pathTemplate} ${res.status} ${e}`);
+}
+
+// Removes every account and signs up a new one, which becomes the signed-in
+// test user. Returns the response.
+async function signUpFresh(username) {
+  fs.writeFileSync(USERS_FILE, JSON.stringify({ users: [], sessions: [] }), 'utf8');
+  const res = await request('POST', '/api/auth/register', { username, password: 'correct horse' }, undefined, { token: null });
+  authToken = res.body && res.body.token;
+  authUserId = res.body && res.body.user.id;
+  return res;
 }
 
 async function runTests() {
-  console.log('Starting integration tests...\n');
+  const server = createServer({
+    host: '127.0.0.1',
+    port: 0,
+    storage: STORAGE,
+    dataFile: DATA_FILE,
+    // resetData rewrites the files behind the server's back
+    storeRecheckMs: 0,
+  });
+  BASE_URL = await server.listen();
+  console.log(`Starting integration tests against ${BASE_URL} (${STORAGE} storage)...\n`);
 
   // ============================================================
   // HAPPY PATHS
@@ -77,6 +267,7 @@ async function runTests() {
 
   // Reset to clean state
   resetData();
+  await signUpFresh('tester');
 
   // Test 1: Add entry
   let res = await request('POST', '/api/entries', { name: 'Apple', calories: 95 });
@@ -254,6 +445,1473 @@ async function runTests() {
   if (t26ok) pass('26. JS serves: GET /app.js → 200, contains JavaScript content');
   else fail('26. JS serves: GET /app.js → 200, contains JavaScript content', '200 with JS', `status=${res.status} length=${res.raw && res.raw.length}`);
 
+  // ============================================================
+  // DATE SCOPING
+  // ============================================================
+  console.log('\n--- Date Scoping ---');
+
+  resetData();
+  await request('POST', '/api/entries', { name: 'Toast', calories: 200 });
+
+  // Test 27: Add entry to a past date
+  res = await request('POST', '/api/entries', { name: 'Pasta', calories: 600, date: '2020-01-02' });
+  const t27ok = res.status === 201 && res.body && res.body.timestamp && res.body.timestamp.startsWith('2020-01-0');
+  if (t27ok) pass('27. Add entry to past date: POST {date:"2020-01-02"} → 201');
+  else fail('27. Add entry to past date: POST {date:"2020-01-02"} → 201', '201 with 2020 timestamp', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const pastEntryId = res.body && res.body.id;
+
+  // Test 28: Past entry is not listed for today
+  res = await request('GET', '/api/entries');
+  const t28ok = res.status === 200 && Array.isArray(res.body) && res.body.length === 1 && res.body[0].name === 'Toast';
+  if (t28ok) pass('28. Today excludes other days: GET /api/entries → [Toast only]');
+  else fail('28. Today excludes other days: GET /api/entries → [Toast only]', '[Toast]', JSON.stringify(res.body));
+
+  // Test 29: Past entry is listed for its own date
+  res = await request('GET', '/api/entries?date=2020-01-02');
+  const t29ok = res.status === 200 && Array.isArray(res.body) && res.body.length === 1 && res.body[0].name === 'Pasta';
+  if (t29ok) pass('29. List past date: GET /api/entries?date=2020-01-02 → [Pasta]');
+  else fail('29. List past date: GET /api/entries?date=2020-01-02 → [Pasta]', '[Pasta]', JSON.stringify(res.body));
+
+  // Test 30: Totals are per day
+  res = await request('GET', '/api/total?date=2020-01-02');
+  const t30ok = res.status === 200 && res.body && res.body.total === 600;
+  if (t30ok) pass('30. Total for past date: GET /api/total?date=2020-01-02 → {"total":600}');
+  else fail('30. Total for past date: GET /api/total?date=2020-01-02 → {"total":600}', '{"total":600}', JSON.stringify(res.body));
+
+  // Test 31: Clearing today leaves other days alone
+  await request('DELETE', '/api/entries');
+  res = await request('GET', '/api/entries?date=2020-01-02');
+  const t31ok = res.status === 200 && Array.isArray(res.body) && res.body.length === 1;
+  if (t31ok) pass('31. Clear day is scoped: DELETE /api/entries keeps 2020-01-02');
+  else fail('31. Clear day is scoped: DELETE /api/entries keeps 2020-01-02', '1 entry on 2020-01-02', JSON.stringify(res.body));
+
+  // Test 32: Delete by id finds entries on other days
+  res = await request('DELETE', `/api/entries/${pastEntryId}`);
+  const t32ok = res.status === 204;
+  if (t32ok) pass('32. Delete past entry: DELETE /api/entries/:id → 204');
+  else fail('32. Delete past entry: DELETE /api/entries/:id → 204', '204', `status=${res.status}`);
+
+  // Test 33: Invalid date format
+  res = await request('GET', '/api/entries?date=01-02-2020');
+  const t33ok = res.status === 400;
+  if (t33ok) pass('33. Invalid date format: GET /api/entries?date=01-02-2020 → 400');
+  else fail('33. Invalid date format: GET /api/entries?date=01-02-2020 → 400', '400', `status=${res.status}`);
+
+  // Test 34: Legacy flat array is migrated by date (with SQLite storage, by
+  // the migration command) and handed to the first account
+  const legacy = JSON.stringify({
+    entries: [{ id: 'legacy-1', name: 'Soup', calories: 150, timestamp: new Date(2019, 5, 15, 12).toISOString() }],
+  });
+  if (STORAGE === 'sqlite') {
+    const legacyFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-')), 'data.json');
+    fs.writeFileSync(legacyFile, legacy, 'utf8');
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'migrate-to-sqlite.js'), legacyFile, SQLITE_FILE], { stdio: 'pipe' });
+    fs.rmSync(path.dirname(legacyFile), { recursive: true });
+  } else {
+    fs.writeFileSync(DATA_FILE, legacy, 'utf8');
+  }
+  await signUpFresh('legacy-owner');
+  res = await request('GET', '/api/entries?date=2019-06-15');
+  const t34ok = res.status === 200 && Array.isArray(res.body) && res.body.length === 1 && res.body[0].id === 'legacy-1';
+  if (t34ok) pass('34. Legacy data migrated: flat entries array → filed under 2019-06-15');
+  else fail('34. Legacy data migrated: flat entries array → filed under 2019-06-15', '[Soup]', JSON.stringify(res.body));
+
+  // ============================================================
+  // EDITING
+  // ============================================================
+  console.log('\n--- Editing ---');
+
+  resetData();
+  res = await request('POST', '/api/entries', { name: 'Oatmel', calories: 150 });
+  const editId = res.body && res.body.id;
+  const editTimestamp = res.body && res.body.timestamp;
+
+  // Test 35: PATCH name only keeps calories and timestamp
+  res = await request('PATCH', `/api/entries/${editId}`, { name: 'Oatmeal' });
+  const t35ok = res.status === 200 && res.body && res.body.name === 'Oatmeal' && res.body.calories === 150 && res.body.timestamp === editTimestamp;
+  if (t35ok) pass('35. PATCH name: PATCH /api/entries/:id {name} → 200, other fields kept');
+  else fail('35. PATCH name: PATCH /api/entries/:id {name} → 200, other fields kept', '200 Oatmeal/150/same timestamp', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 36: PATCH with invalid calories
+  res = await request('PATCH', `/api/entries/${editId}`, { calories: -5 });
+  const t36ok = res.status === 400;
+  if (t36ok) pass('36. PATCH invalid calories: {calories:-5} → 400');
+  else fail('36. PATCH invalid calories: {calories:-5} → 400', '400', `status=${res.status}`);
+
+  // Test 37: PUT requires both name and calories
+  res = await request('PUT', `/api/entries/${editId}`, { calories: 180 });
+  const t37ok = res.status === 400;
+  if (t37ok) pass('37. PUT missing name: {calories:180} → 400');
+  else fail('37. PUT missing name: {calories:180} → 400', '400', `status=${res.status}`);
+
+  // Test 38: PUT replaces name and calories
+  res = await request('PUT', `/api/entries/${editId}`, { name: 'Porridge', calories: 180 });
+  const t38ok = res.status === 200 && res.body && res.body.name === 'Porridge' && res.body.calories === 180 && res.body.id === editId;
+  if (t38ok) pass('38. PUT entry: PUT /api/entries/:id → 200 with new values');
+  else fail('38. PUT entry: PUT /api/entries/:id → 200 with new values', '200 Porridge/180', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 39: PATCH date moves the entry to another day
+  res = await request('PATCH', `/api/entries/${editId}`, { date: '2020-03-04' });
+  const movedOk = res.status === 200;
+  const todayList = await request('GET', '/api/entries');
+  const movedList = await request('GET', '/api/entries?date=2020-03-04');
+  const t39ok = movedOk && todayList.body.length === 0 && movedList.body.length === 1 && movedList.body[0].id === editId;
+  if (t39ok) pass('39. Move entry: PATCH {date:"2020-03-04"} → listed under that day only');
+  else fail('39. Move entry: PATCH {date:"2020-03-04"} → listed under that day only', '0 today, 1 on 2020-03-04', `today=${JSON.stringify(todayList.body)} moved=${JSON.stringify(movedList.body)}`);
+
+  // Test 40: PATCH timestamp changes the time
+  const newTime = new Date(2020, 2, 4, 7, 30).toISOString();
+  res = await request('PATCH', `/api/entries/${editId}`, { timestamp: newTime });
+  const t40ok = res.status === 200 && res.body && res.body.timestamp === newTime;
+  if (t40ok) pass('40. Change time: PATCH {timestamp} → 200 with new timestamp');
+  else fail('40. Change time: PATCH {timestamp} → 200 with new timestamp', newTime, JSON.stringify(res.body));
+
+  // Test 41: PATCH nonexistent entry
+  res = await request('PATCH', '/api/entries/nonexistent-uuid', { name: 'X' });
+  const t41ok = res.status === 404;
+  if (t41ok) pass('41. PATCH nonexistent entry → 404');
+  else fail('41. PATCH nonexistent entry → 404', '404', `status=${res.status}`);
+
+  // Test 42: Timestamp must match an explicit date
+  res = await request('PATCH', `/api/entries/${editId}`, { date: '2020-03-05', timestamp: newTime });
+  const t42ok = res.status === 400;
+  if (t42ok) pass('42. Conflicting date and timestamp → 400');
+  else fail('42. Conflicting date and timestamp → 400', '400', `status=${res.status}`);
+
+  // ============================================================
+  // MACROS
+  // ============================================================
+  console.log('\n--- Macros ---');
+
+  resetData();
+
+  // Test 43: Entry with macros that add up
+  res = await request('POST', '/api/entries', { name: 'Chicken', calories: 330, protein: 62, carbs: 0, fat: 7.2 });
+  const t43ok = res.status === 201 && res.body && res.body.protein === 62 && res.body.fat === 7.2 && !res.body.warnings;
+  if (t43ok) pass('43. Add entry with macros: POST {protein,carbs,fat} → 201, no warnings');
+  else fail('43. Add entry with macros: POST {protein,carbs,fat} → 201, no warnings', '201 with macros', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const macroEntryId = res.body && res.body.id;
+
+  // Test 44: Macros that do not add up produce a warning
+  res = await request('POST', '/api/entries', { name: 'Cookie', calories: 50, carbs: 30, fat: 10, fiber: 1 });
+  const t44ok = res.status === 201 && res.body && Array.isArray(res.body.warnings) && res.body.warnings.length === 1;
+  if (t44ok) pass('44. Implausible macros: POST → 201 with a warning');
+  else fail('44. Implausible macros: POST → 201 with a warning', '201 with warnings', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 45: Negative macro rejected
+  res = await request('POST', '/api/entries', { name: 'Test', calories: 100, protein: -1 });
+  const t45ok = res.status === 400;
+  if (t45ok) pass('45. Negative macro: POST {protein:-1} → 400');
+  else fail('45. Negative macro: POST {protein:-1} → 400', '400', `status=${res.status}`);
+
+  // Test 46: Non-numeric macro rejected
+  res = await request('POST', '/api/entries', { name: 'Test', calories: 100, fat: 'lots' });
+  const t46ok = res.status === 400;
+  if (t46ok) pass('46. Non-numeric macro: POST {fat:"lots"} → 400');
+  else fail('46. Non-numeric macro: POST {fat:"lots"} → 400', '400', `status=${res.status}`);
+
+  // Test 47: Total includes per-macro sums
+  res = await request('GET', '/api/total');
+  const m = res.body && res.body.macros;
+  const t47ok = res.status === 200 && res.body.total === 380 && m && m.protein === 62 && m.carbs === 30 && m.fat === 17.2 && m.fiber === 1;
+  if (t47ok) pass('47. Macro totals: GET /api/total → per-macro sums');
+  else fail('47. Macro totals: GET /api/total → per-macro sums', 'protein 62, carbs 30, fat 17.2, fiber 1', JSON.stringify(res.body));
+
+  // Test 48: PATCH null clears a macro
+  res = await request('PATCH', `/api/entries/${macroEntryId}`, { fat: null });
+  const t48ok = res.status === 200 && res.body && res.body.fat === undefined && res.body.protein === 62;
+  if (t48ok) pass('48. Clear macro: PATCH {fat:null} → fat removed, protein kept');
+  else fail('48. Clear macro: PATCH {fat:null} → fat removed, protein kept', 'no fat, protein 62', JSON.stringify(res.body));
+
+  // ============================================================
+  // GOALS
+  // ============================================================
+  console.log('\n--- Goals ---');
+
+  resetData();
+
+  // Test 49: No goal by default
+  res = await request('GET', '/api/total');
+  const t49ok = res.status === 200 && res.body.goal === null && res.body.status === null;
+  if (t49ok) pass('49. No goal: GET /api/total → goal null');
+  else fail('49. No goal: GET /api/total → goal null', 'goal null', JSON.stringify(res.body));
+
+  // Test 50: Set a daily goal
+  res = await request('PUT', '/api/settings', { dailyGoal: 2000 });
+  const t50ok = res.status === 200 && res.body.dailyGoal === 2000 && res.body.goalHistory.length === 1;
+  if (t50ok) pass('50. Set goal: PUT /api/settings {dailyGoal:2000} → 200');
+  else fail('50. Set goal: PUT /api/settings {dailyGoal:2000} → 200', 'dailyGoal 2000', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 51: Total reports remaining and status
+  await request('POST', '/api/entries', { name: 'Lunch', calories: 800 });
+  res = await request('GET', '/api/total');
+  const t51ok = res.body.goal === 2000 && res.body.remaining === 1200 && res.body.status === 'under';
+  if (t51ok) pass('51. Goal progress: GET /api/total → remaining 1200, under');
+  else fail('51. Goal progress: GET /api/total → remaining 1200, under', 'goal 2000, remaining 1200, under', JSON.stringify(res.body));
+
+  // Test 52: Over goal
+  await request('POST', '/api/entries', { name: 'Dinner', calories: 1500 });
+  res = await request('GET', '/api/total');
+  const t52ok = res.body.remaining === -300 && res.body.status === 'over';
+  if (t52ok) pass('52. Over goal: GET /api/total → remaining -300, over');
+  else fail('52. Over goal: GET /api/total → remaining -300, over', 'remaining -300, over', JSON.stringify(res.body));
+
+  // Test 53: Weekday override applies to today
+  const todayKey = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][new Date().getDay()];
+  await request('PUT', '/api/settings', { weekdayGoals: { [todayKey]: 2300 } });
+  res = await request('GET', '/api/total');
+  const t53ok = res.body.goal === 2300 && res.body.status === 'at';
+  if (t53ok) pass('53. Weekday goal: override for today → goal 2300, at');
+  else fail('53. Weekday goal: override for today → goal 2300, at', 'goal 2300, at', JSON.stringify(res.body));
+
+  // Test 54: Past days keep the goal in force then (none)
+  res = await request('GET', '/api/total?date=2020-01-01');
+  const t54ok = res.status === 200 && res.body.goal === null;
+  if (t54ok) pass('54. Past day goal: goal set today does not apply to 2020-01-01');
+  else fail('54. Past day goal: goal set today does not apply to 2020-01-01', 'goal null', JSON.stringify(res.body));
+
+  // Test 55: Invalid goal rejected
+  res = await request('PUT', '/api/settings', { dailyGoal: -10 });
+  const t55ok = res.status === 400;
+  if (t55ok) pass('55. Invalid goal: PUT {dailyGoal:-10} → 400');
+  else fail('55. Invalid goal: PUT {dailyGoal:-10} → 400', '400', `status=${res.status}`);
+
+  // Test 56: Unknown weekday rejected
+  res = await request('PUT', '/api/settings', { weekdayGoals: { funday: 1000 } });
+  const t56ok = res.status === 400;
+  if (t56ok) pass('56. Unknown weekday: PUT {weekdayGoals:{funday}} → 400');
+  else fail('56. Unknown weekday: PUT {weekdayGoals:{funday}} → 400', '400', `status=${res.status}`);
+
+  // ============================================================
+  // MEALS
+  // ============================================================
+  console.log('\n--- Meals ---');
+
+  resetData();
+
+  // Test 57: Entry with a meal
+  res = await request('POST', '/api/entries', { name: 'Eggs', calories: 150, meal: 'breakfast' });
+  const t57ok = res.status === 201 && res.body && res.body.meal === 'breakfast';
+  if (t57ok) pass('57. Add entry with meal: POST {meal:"breakfast"} → 201');
+  else fail('57. Add entry with meal: POST {meal:"breakfast"} → 201', '201 with meal', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const mealEntryId = res.body && res.body.id;
+
+  await request('POST', '/api/entries', { name: 'Salad', calories: 300, meal: 'lunch' });
+  await request('POST', '/api/entries', { name: 'Toast', calories: 100, meal: 'breakfast' });
+  await request('POST', '/api/entries', { name: 'Chips', calories: 200 });
+
+  // Test 58: Unknown meal rejected
+  res = await request('POST', '/api/entries', { name: 'Test', calories: 100, meal: 'brunch' });
+  const t58ok = res.status === 400;
+  if (t58ok) pass('58. Unknown meal: POST {meal:"brunch"} → 400');
+  else fail('58. Unknown meal: POST {meal:"brunch"} → 400', '400', `status=${res.status}`);
+
+  // Test 59: Filter entries by meal
+  res = await request('GET', '/api/entries?meal=breakfast');
+  const t59ok = res.status === 200 && Array.isArray(res.body) && res.body.length === 2 && res.body.every(e => e.meal === 'breakfast');
+  if (t59ok) pass('59. Filter by meal: GET /api/entries?meal=breakfast → 2 entries');
+  else fail('59. Filter by meal: GET /api/entries?meal=breakfast → 2 entries', '2 breakfast entries', JSON.stringify(res.body));
+
+  // Test 60: Invalid meal filter
+  res = await request('GET', '/api/entries?meal=brunch');
+  const t60ok = res.status === 400;
+  if (t60ok) pass('60. Invalid meal filter: GET /api/entries?meal=brunch → 400');
+  else fail('60. Invalid meal filter: GET /api/entries?meal=brunch → 400', '400', `status=${res.status}`);
+
+  // Test 61: Per-meal breakdown in total
+  res = await request('GET', '/api/total');
+  const meals = res.body && res.body.meals;
+  const t61ok = res.status === 200 && meals && meals.breakfast === 250 && meals.lunch === 300 && meals.dinner === 0 && meals.other === 200;
+  if (t61ok) pass('61. Meal breakdown: GET /api/total → per-meal calories');
+  else fail('61. Meal breakdown: GET /api/total → per-meal calories', 'breakfast 250, lunch 300, other 200', JSON.stringify(res.body));
+
+  // Test 62: PATCH meal null clears it
+  res = await request('PATCH', `/api/entries/${mealEntryId}`, { meal: null });
+  const t62ok = res.status === 200 && res.body && res.body.meal === undefined;
+  if (t62ok) pass('62. Clear meal: PATCH {meal:null} → meal removed');
+  else fail('62. Clear meal: PATCH {meal:null} → meal removed', 'no meal', JSON.stringify(res.body));
+
+  // ============================================================
+  // FOODS
+  // ============================================================
+  console.log('\n--- Foods ---');
+
+  resetData();
+
+  // Test 63: Save a food
+  res = await request('POST', '/api/foods', { name: 'Oatmeal', calories: 150, servingSize: 40, servingUnit: 'g', protein: 5, carbs: 27, fat: 3 });
+  const t63ok = res.status === 201 && res.body && res.body.id && res.body.name === 'Oatmeal' && res.body.servingSize === 40 && res.body.servingUnit === 'g';
+  if (t63ok) pass('63. Save food: POST /api/foods → 201 with id and serving');
+  else fail('63. Save food: POST /api/foods → 201 with id and serving', '201 with food', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const foodId = res.body && res.body.id;
+
+  // Test 64: Duplicate food name rejected
+  res = await request('POST', '/api/foods', { name: 'oatmeal', calories: 160 });
+  const t64ok = res.status === 409;
+  if (t64ok) pass('64. Duplicate food: POST {name:"oatmeal"} → 409');
+  else fail('64. Duplicate food: POST {name:"oatmeal"} → 409', '409', `status=${res.status}`);
+
+  // Test 65: Invalid food rejected
+  res = await request('POST', '/api/foods', { name: 'Bad', calories: 100, servingSize: -1 });
+  const t65ok = res.status === 400;
+  if (t65ok) pass('65. Invalid serving size: POST {servingSize:-1} → 400');
+  else fail('65. Invalid serving size: POST {servingSize:-1} → 400', '400', `status=${res.status}`);
+
+  // Test 66: Update a food
+  res = await request('PUT', `/api/foods/${foodId}`, { name: 'Oatmeal', calories: 160, servingSize: 45, servingUnit: 'g' });
+  const t66ok = res.status === 200 && res.body && res.body.calories === 160 && res.body.protein === undefined;
+  if (t66ok) pass('66. Update food: PUT /api/foods/:id → 200 with replaced fields');
+  else fail('66. Update food: PUT /api/foods/:id → 200 with replaced fields', '200, calories 160', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 67: List foods
+  res = await request('GET', '/api/foods');
+  const t67ok = res.status === 200 && Array.isArray(res.body) && res.body.length === 1;
+  if (t67ok) pass('67. List foods: GET /api/foods → 1 food');
+  else fail('67. List foods: GET /api/foods → 1 food', '[Oatmeal]', JSON.stringify(res.body));
+
+  // Test 68: Search prefix matches saved foods
+  res = await request('GET', '/api/foods/search?q=oat');
+  const t68ok = res.status === 200 && Array.isArray(res.body) && res.body[0] && res.body[0].name === 'Oatmeal' && res.body[0].source === 'saved';
+  if (t68ok) pass('68. Search saved: GET /api/foods/search?q=oat → Oatmeal (saved)');
+  else fail('68. Search saved: GET /api/foods/search?q=oat → Oatmeal (saved)', 'Oatmeal first', JSON.stringify(res.body));
+
+  // Test 69: Foods are learned from entries and ranked by frequency
+  await request('POST', '/api/entries', { name: 'Chicken Salad', calories: 350 });
+  await request('POST', '/api/entries', { name: 'Chickpea Curry', calories: 500 });
+  await request('POST', '/api/entries', { name: 'Chicken salad', calories: 380 });
+  res = await request('GET', '/api/foods/search?q=chick');
+  const t69ok = res.status === 200 && res.body.length === 2 && res.body[0].name === 'Chicken salad' &&
+    res.body[0].calories === 380 && res.body[0].timesLogged === 2 && res.body[0].source === 'history';
+  if (t69ok) pass('69. Learned foods: most-logged first with latest calories');
+  else fail('69. Learned foods: most-logged first with latest calories', 'Chicken salad (380, x2) first', JSON.stringify(res.body));
+
+  // Test 70: Fuzzy search
+  res = await request('GET', '/api/foods/search?q=chkcry');
+  const t70ok = res.status === 200 && res.body.length === 1 && res.body[0].name === 'Chickpea Curry';
+  if (t70ok) pass('70. Fuzzy search: q=chkcry → Chickpea Curry');
+  else fail('70. Fuzzy search: q=chkcry → Chickpea Curry', 'Chickpea Curry', JSON.stringify(res.body));
+
+  // Test 71: Delete a food
+  res = await request('DELETE', `/api/foods/${foodId}`);
+  const t71ok = res.status === 204;
+  if (t71ok) pass('71. Delete food: DELETE /api/foods/:id → 204');
+  else fail('71. Delete food: DELETE /api/foods/:id → 204', '204', `status=${res.status}`);
+
+  // Test 72: Delete nonexistent food
+  res = await request('DELETE', `/api/foods/${foodId}`);
+  const t72ok = res.status === 404;
+  if (t72ok) pass('72. Delete nonexistent food → 404');
+  else fail('72. Delete nonexistent food → 404', '404', `status=${res.status}`);
+
+  // ============================================================
+  // PORTIONS
+  // ============================================================
+  console.log('\n--- Portions ---');
+
+  resetData();
+  res = await request('POST', '/api/foods', { name: 'Rice', calories: 130, servingSize: 100, servingUnit: 'g', carbs: 28 });
+  const riceId = res.body && res.body.id;
+  res = await request('POST', '/api/foods', { name: 'Egg', calories: 78, servingSize: 1, servingUnit: 'piece', protein: 6 });
+  const eggId = res.body && res.body.id;
+
+  // Test 73: Log a catalog food by quantity
+  res = await request('POST', '/api/entries', { foodId: eggId, quantity: 2, unit: 'piece' });
+  const t73ok = res.status === 201 && res.body && res.body.name === 'Egg' && res.body.calories === 156 && res.body.protein === 12 &&
+    res.body.quantity === 2 && res.body.unit === 'piece' && res.body.foodId === eggId && res.body.basis && res.body.basis.calories === 78;
+  if (t73ok) pass('73. Log food by quantity: POST {foodId, quantity:2, unit:"piece"} → 156 cal');
+  else fail('73. Log food by quantity: POST {foodId, quantity:2, unit:"piece"} → 156 cal', '156 cal, basis kept', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const eggEntryId = res.body && res.body.id;
+
+  // Test 74: Editing the quantity rescales from the basis
+  res = await request('PATCH', `/api/entries/${eggEntryId}`, { quantity: 3 });
+  const t74ok = res.status === 200 && res.body && res.body.calories === 234 && res.body.protein === 18 && res.body.quantity === 3;
+  if (t74ok) pass('74. Rescale: PATCH {quantity:3} → 234 cal');
+  else fail('74. Rescale: PATCH {quantity:3} → 234 cal', '234 cal, 18g protein', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 75: Ounces convert to grams
+  res = await request('POST', '/api/entries', { foodId: riceId, quantity: 4, unit: 'oz' });
+  const t75ok = res.status === 201 && res.body && res.body.calories === 147.4;
+  if (t75ok) pass('75. Unit conversion: 4 oz of 130 cal/100 g → 147.4 cal');
+  else fail('75. Unit conversion: 4 oz of 130 cal/100 g → 147.4 cal', '147.4', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 76: Inline per-unit basis
+  res = await request('POST', '/api/entries', { name: 'Milk', quantity: 1.5, unit: 'cup', basis: { calories: 42, servingSize: 100, servingUnit: 'ml' } });
+  const t76ok = res.status === 201 && res.body && res.body.calories === 151.2 && res.body.foodId === undefined;
+  if (t76ok) pass('76. Inline basis: 1.5 cup of 42 cal/100 ml → 151.2 cal');
+  else fail('76. Inline basis: 1.5 cup of 42 cal/100 ml → 151.2 cal', '151.2', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 77: Unknown unit rejected
+  res = await request('POST', '/api/entries', { foodId: riceId, quantity: 1, unit: 'handful' });
+  const t77ok = res.status === 400;
+  if (t77ok) pass('77. Unknown unit: POST {unit:"handful"} → 400');
+  else fail('77. Unknown unit: POST {unit:"handful"} → 400', '400', `status=${res.status}`);
+
+  // Test 78: Incompatible units rejected
+  res = await request('POST', '/api/entries', { foodId: riceId, quantity: 1, unit: 'cup' });
+  const t78ok = res.status === 400;
+  if (t78ok) pass('78. Incompatible unit: cup of a food measured in g → 400');
+  else fail('78. Incompatible unit: cup of a food measured in g → 400', '400', `status=${res.status}`);
+
+  // Test 79: Unknown food rejected
+  res = await request('POST', '/api/entries', { foodId: 'nonexistent-food', quantity: 1 });
+  const t79ok = res.status === 400;
+  if (t79ok) pass('79. Unknown food: POST {foodId:"nonexistent-food"} → 400');
+  else fail('79. Unknown food: POST {foodId:"nonexistent-food"} → 400', '400', `status=${res.status}`);
+
+  // Test 80: Quantity on a plain entry needs a basis
+  res = await request('POST', '/api/entries', { name: 'Soup', calories: 100, quantity: 2 });
+  const t80ok = res.status === 400;
+  if (t80ok) pass('80. Quantity without basis: POST {calories, quantity} → 400');
+  else fail('80. Quantity without basis: POST {calories, quantity} → 400', '400', `status=${res.status}`);
+
+  // Test 81: Catalog edits don't change logged entries
+  await request('PUT', `/api/foods/${eggId}`, { name: 'Egg', calories: 90, servingSize: 1, servingUnit: 'piece' });
+  res = await request('PATCH', `/api/entries/${eggEntryId}`, { quantity: 1 });
+  const t81ok = res.status === 200 && res.body && res.body.calories === 78;
+  if (t81ok) pass('81. Basis snapshot: editing the food leaves the entry basis alone');
+  else fail('81. Basis snapshot: editing the food leaves the entry basis alone', '78 cal', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 82: Setting calories directly turns it into a plain entry; nulling
+  // the portion is refused rather than ignored
+  const nullQuantity = await request('PATCH', `/api/entries/${eggEntryId}`, { quantity: null });
+  const nullBasis = await request('PATCH', `/api/entries/${eggEntryId}`, { basis: null });
+  res = await request('PATCH', `/api/entries/${eggEntryId}`, { calories: 100 });
+  const t82ok = nullQuantity.status === 400 && nullQuantity.body.fields.quantity &&
+    nullBasis.status === 400 && nullBasis.body.fields.basis &&
+    res.status === 200 && res.body && res.body.calories === 100 && res.body.basis === undefined && res.body.quantity === undefined;
+  if (t82ok) pass('82. Detach: PATCH {quantity:null} or {basis:null} → 400; PATCH {calories:100} drops quantity and basis');
+  else fail('82. Detach: PATCH {quantity:null} or {basis:null} → 400; PATCH {calories:100} drops quantity and basis', '400, 400, plain entry', `${nullQuantity.status}, ${nullBasis.status}, status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 83: Food serving unit must be known
+  res = await request('POST', '/api/foods', { name: 'Bread', calories: 80, servingSize: 1, servingUnit: 'slice' });
+  const t83ok = res.status === 400;
+  if (t83ok) pass('83. Unknown serving unit: POST /api/foods {servingUnit:"slice"} → 400');
+  else fail('83. Unknown serving unit: POST /api/foods {servingUnit:"slice"} → 400', '400', `status=${res.status}`);
+
+  // ============================================================
+  // RECIPES
+  // ============================================================
+  console.log('\n--- Recipes ---');
+
+  resetData();
+  res = await request('POST', '/api/foods', { name: 'Beans', calories: 120, servingSize: 100, servingUnit: 'g', protein: 8 });
+  const beansId = res.body && res.body.id;
+
+  // Test 84: Create a recipe
+  res = await request('POST', '/api/recipes', {
+    name: 'Chili',
+    servings: 4,
+    ingredients: [
+      { foodId: beansId, quantity: 500, unit: 'g' },
+      { name: 'Beef', calories: 1000, protein: 100 },
+      { name: 'Tomatoes', quantity: 2, unit: 'cup', basis: { calories: 40, servingUnit: 'cup' } },
+    ],
+  });
+  const t84ok = res.status === 201 && res.body && res.body.id && res.body.total.calories === 1680 &&
+    res.body.perServing.calories === 420 && res.body.perServing.protein === 35 && res.body.ingredients.length === 3;
+  if (t84ok) pass('84. Create recipe: POST /api/recipes → 201 with per-serving 420 cal');
+  else fail('84. Create recipe: POST /api/recipes → 201 with per-serving 420 cal', '420 cal/serving', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const chiliId = res.body && res.body.id;
+
+  // Test 85: Invalid ingredient reported by position
+  res = await request('POST', '/api/recipes', { name: 'Bad', servings: 1, ingredients: [{ name: 'Ok', calories: 10 }, { foodId: beansId, quantity: 1, unit: 'cup' }] });
+  const t85ok = res.status === 400 && res.body && /Ingredient 2/.test(res.body.error);
+  if (t85ok) pass('85. Invalid ingredient: POST → 400 naming ingredient 2');
+  else fail('85. Invalid ingredient: POST → 400 naming ingredient 2', '400 "Ingredient 2: …"', `status=${res.status} body=${JSON.stringify(res.body)}`);
+
+  // Test 86: Servings must be positive
+  res = await request('POST', '/api/recipes', { name: 'Bad', servings: 0, ingredients: [{ name: 'Ok', calories: 10 }] });
+  const t86ok = res.status === 400;
+  if (t86ok) pass('86. Invalid servings: POST {servings:0} → 400');
+  else fail('86. Invalid servings: POST {servings:0} → 400', '400', `status=${res.status}`);
+
+  // Test 87: Log servings of a recipe
+  res = await request('POST', '/api/entries', { recipeId: chiliId, quantity: 1.5, unit: 'serving' });
+  const t87ok = res.status === 201 && res.body && res.body.name === 'Chili' && res.body.calories === 630 &&
+    res.body.recipeId === chiliId && res.body.protein === 52.5;
+  if (t87ok) pass('87. Log recipe: 1.5 servings of Chili → 630 cal linked to recipe');
+  else fail('87. Log recipe: 1.5 servings of Chili → 630 cal linked to recipe', '630 cal', `status=${res.status} body=${JSON.stringify(res.body)}`);
+  const chiliEntryId = res.body && res.body.id;
+
+  // Test 88: Editing the recipe leaves logged entries alone
+  res = await request('PUT', `/api/recipes/${chiliId}`, { name: 'Chili', servings: 2, ingredients: [{ name: 'Beef', calories: 1000 }] });
+  const t88put = res.status === 200 && res.body.perServing.calories === 500;
+  res = await request('GET', '/api/entries');
+  const chiliEntry = Array.isArray(res.body) && res.body.find(e => e.id === chiliEntryId);
+  const t88ok = t88put && chiliEntry && chiliEntry.calories === 630;
+  if (t88ok) pass('88. Recipe snapshot: PUT recipe → entry still 630 cal');
+  else fail('88. Recipe snapshot: PUT recipe → entry still 630 cal', '630', JSON.stringify(chiliEntry));
+
+  // Test 89: Recipes only measure in servings
+  res = await request('POST', '/api/entries', { recipeId: chiliId, quantity: 200, unit: 'g' });
+  const t89ok = res.status === 400;
+  if (t89ok) pass('89. Recipe in grams: POST {recipeId, unit:"g"} → 400');
+  else fail('89. Recipe in grams: POST {recipeId, unit:"g"} → 400', '400', `status=${res.status}`);
+
+  // Test 90: Recipes show up in food search
+  res = await request('GET', '/api/foods/search?q=chi');
+  const t90ok = res.status === 200 && res.body[0] && res.body[0].source === 'recipe' && res.body[0].id === chiliId;
+  if (t90ok) pass('90. Search recipes: GET /api/foods/search?q=chi → Chili (recipe)');
+  else fail('90. Search recipes: GET /api/foods/search?q=chi → Chili (recipe)', 'Chili recipe', JSON.stringify(res.body));
+
+  // Test 91: Delete recipe
+  res = await request('DELETE', `/api/recipes/${chiliId}`);
+  const t91ok = res.status === 204;
+  if (t91ok) pass('91. Delete recipe: DELETE /api/recipes/:id → 204');
+  else fail('91. Delete recipe: DELETE /api/recipes/:id → 204', '204', `status=${res.status}`);
+
+  // ============================================================
+  // STATISTICS
+  // ============================================================
+  console.log('\n--- Statistics ---');
+
+  resetData();
+  // Mon 2024-03-04 .. Sun 2024-03-10, with nothing logged on the 6th and 7th
+  for (const [date, name, calories] of [
+    ['2024-03-01', 'Toast', 1000],
+    ['2024-03-04', 'Oatmeal', 1500],
+    ['2024-03-04', 'Apple', 500],
+    ['2024-03-05', 'Oatmeal', 1800],
+    ['2024-03-08', 'Soup', 2400],
+    ['2024-03-09', 'oatmeal', 1500],
+    ['2024-03-10', 'Soup', 1200],
+  ]) {
+    await request('POST', '/api/entries', { name, calories, date });
+  }
+
+  // Test 92: Summary over a range
+  res = await request('GET', '/api/stats?from=2024-03-04&to=2024-03-10');
+  const s = res.body && res.body.summary;
+  const t92ok = res.status === 200 && s && s.total === 8900 && s.days === 7 && s.daysLogged === 5 &&
+    s.average === 1780 && s.min.date === '2024-03-10' && s.max.date === '2024-03-08' && res.body.days.length === 7;
+  if (t92ok) pass('92. Stats summary: total, average per logged day, min and max days');
+  else fail('92. Stats summary: total, average per logged day, min and max days', 'total 8900, avg 1780, min 03-10, max 03-08', JSON.stringify(s));
+
+  // Test 93: Streaks
+  const t93ok = res.status === 200 && res.body.streaks.longest === 3 && res.body.streaks.current === 3;
+  if (t93ok) pass('93. Stats streaks: longest 3, current 3');
+  else fail('93. Stats streaks: longest 3, current 3', '{current:3, longest:3}', JSON.stringify(res.body && res.body.streaks));
+
+  // Test 94: Rolling average reaches back before the range
+  const first = res.body && res.body.days[0];
+  const t94ok = first && first.date === '2024-03-04' && first.rollingAverage === 1500;
+  if (t94ok) pass('94. Rolling 7-day average includes days before from');
+  else fail('94. Rolling 7-day average includes days before from', '2024-03-04 → 1500 (with 03-01)', JSON.stringify(first));
+
+  // Test 95: Most-logged foods
+  const top = res.body && res.body.topFoods;
+  const t95ok = top && top[0].name === 'oatmeal' && top[0].count === 3 && top[1].name === 'Soup' && top[1].count === 2 &&
+    !top.some(f => f.name === 'Toast');
+  if (t95ok) pass('95. Top foods: ranked by count within the range');
+  else fail('95. Top foods: ranked by count within the range', 'oatmeal x3, Soup x2, no Toast', JSON.stringify(top));
+
+  // Test 96: Weekly and monthly periods
+  res = await request('GET', '/api/stats?from=2024-03-01&to=2024-03-10&granularity=week');
+  const weeks = res.body && res.body.periods;
+  const t96ok = res.status === 200 && weeks.length === 2 && weeks[0].period === '2024-02-26' && weeks[0].total === 1000 &&
+    weeks[1].period === '2024-03-04' && weeks[1].total === 8900;
+  const monthRes = await request('GET', '/api/stats?from=2024-03-01&to=2024-03-10&granularity=month');
+  const t96bok = monthRes.status === 200 && monthRes.body.periods.length === 1 && monthRes.body.periods[0].total === 9900;
+  if (t96ok && t96bok) pass('96. Stats granularity: week and month periods');
+  else fail('96. Stats granularity: week and month periods', '2 weeks, 1 month', JSON.stringify({ weeks, months: monthRes.body && monthRes.body.periods }));
+
+  // Test 97: Days over goal use the goal in force on each day
+  await request('PUT', '/api/settings', { dailyGoal: 1000 });
+  await request('POST', '/api/entries', { name: 'Pizza', calories: 1500 });
+  res = await request('GET', '/api/stats');
+  const t97ok = res.status === 200 && res.body.days.length === 30 && res.body.summary.daysOverGoal === 1 &&
+    res.body.days[29].status === 'over';
+  const pastRes = await request('GET', '/api/stats?from=2024-03-04&to=2024-03-10');
+  if (t97ok && pastRes.body.summary.daysOverGoal === 0) pass('97. Days over goal: today over, past days without a goal are not');
+  else fail('97. Days over goal: today over, past days without a goal are not', '1 today, 0 in 2024', JSON.stringify({ today: res.body && res.body.summary, past: pastRes.body && pastRes.body.summary }));
+
+  // Test 98: Invalid queries
+  const badQueries = ['from=2024-03-10&to=2024-03-04', 'granularity=year', 'from=2024-3-1', 'from=2000-01-01&to=2024-01-01'];
+  const badStatuses = [];
+  for (const q of badQueries) {
+    badStatuses.push((await request('GET', `/api/stats?${q}`)).status);
+  }
+  const t98ok = badStatuses.every(status => status === 400);
+  if (t98ok) pass('98. Invalid stats queries → 400');
+  else fail('98. Invalid stats queries → 400', 'all 400', JSON.stringify(badStatuses));
+
+  // Test 99: Stats include the macro totals for the range
+  await request('POST', '/api/entries', { name: 'Eggs', calories: 300, protein: 25, fat: 20, carbs: 5, date: '2024-03-06' });
+  res = await request('GET', '/api/stats?from=2024-03-04&to=2024-03-10');
+  const t99ok = res.status === 200 && res.body.macros && res.body.macros.protein === 25 && res.body.macros.fat === 20;
+  if (t99ok) pass('99. Stats macros: protein/carbs/fat/fiber totals for the range');
+  else fail('99. Stats macros: protein/carbs/fat/fiber totals for the range', 'protein 25, fat 20', JSON.stringify(res.body && res.body.macros));
+
+  // Test 100: Dashboard page serves and is linked from the log
+  res = await request('GET', '/dashboard.html');
+  const index = await request('GET', '/');
+  const t100ok = res.status === 200 && res.raw.includes('id="calorie-chart"') && res.raw.includes('dashboard.js') &&
+    index.raw.includes('href="dashboard.html"');
+  if (t100ok) pass('100. Dashboard: GET /dashboard.html → 200, linked from the header');
+  else fail('100. Dashboard: GET /dashboard.html → 200, linked from the header', '200 with charts and link', `status=${res.status}`);
+
+  // Test 101: Dashboard script serves and uses the stats API
+  res = await request('GET', '/dashboard.js');
+  const t101ok = res.status === 200 && res.raw.includes('/api/stats');
+  if (t101ok) pass('101. Dashboard JS: GET /dashboard.js → 200, fetches /api/stats');
+  else fail('101. Dashboard JS: GET /dashboard.js → 200, fetches /api/stats', '200 with /api/stats', `status=${res.status}`);
+
+  // ============================================================
+  // EXPORT AND IMPORT
+  // ============================================================
+  console.log('\n--- Export and Import ---');
+
+  resetData();
+  await request('POST', '/api/entries', { name: 'Mac, "cheese"', calories: 400, protein: 15, meal: 'dinner', date: '2024-03-04' });
+  await request('POST', '/api/entries', { name: 'Egg', basis: { calories: 78 }, quantity: 2, unit: 'piece', date: '2024-03-05' });
+  await request('POST', '/api/entries', { name: 'Toast', calories: 120, date: '2024-03-09' });
+
+  // Test 102: CSV export
+  res = await request('GET', '/api/export?format=csv');
+  const csvLines = typeof res.raw === 'string' ? res.raw.trim().split('\r\n') : [];
+  const t102ok = res.status === 200 && res.headers['content-type'].startsWith('text/csv') &&
+    /attachment; filename="calorie-log-\d{4}-\d{2}-\d{2}\.csv"/.test(res.headers['content-disposition']) &&
+    csvLines[0] === 'id,date,timestamp,name,calories,meal,protein,carbs,fat,fiber' && csvLines.length === 4 &&
+    csvLines[1].includes(',2024-03-04,') && csvLines[1].includes('"Mac, ""cheese""",400,dinner,15');
+  if (t102ok) pass('102. CSV export: attachment with header row and quoted fields');
+  else fail('102. CSV export: attachment with header row and quoted fields', 'header + 3 rows', `status=${res.status} headers=${JSON.stringify(res.headers)} raw=${res.raw}`);
+  const csvExport = res.raw;
+
+  // Test 103: JSON export honours the date range and keeps portions
+  res = await request('GET', '/api/export?format=json&from=2024-03-05&to=2024-03-08');
+  const exported = res.body && res.body.entries;
+  const t103ok = res.status === 200 && /\.json"$/.test(res.headers['content-disposition']) && exported.length === 1 &&
+    exported[0].date === '2024-03-05' && exported[0].quantity === 2 && exported[0].basis.calories === 78;
+  if (t103ok) pass('103. JSON export: ?from=&to= limits the range, portions included');
+  else fail('103. JSON export: ?from=&to= limits the range, portions included', '1 Egg entry with basis', JSON.stringify(res.body));
+
+  // Test 104: Bad export parameters
+  const badExport = await request('GET', '/api/export?format=xml');
+  const badRange = await request('GET', '/api/export?from=2024-03-09&to=2024-03-01');
+  const t104ok = badExport.status === 400 && badRange.status === 400;
+  if (t104ok) pass('104. Bad export: unknown format or reversed range → 400');
+  else fail('104. Bad export: unknown format or reversed range → 400', '400, 400', `${badExport.status}, ${badRange.status}`);
+
+  // Test 105: Dry run previews without saving
+  const fullExport = (await request('GET', '/api/export?format=json')).raw;
+  resetData();
+  res = await request('POST', '/api/import?dryRun=true', fullExport, 'application/json');
+  const afterDryRun = await request('GET', '/api/entries?date=2024-03-04');
+  const t105ok = res.status === 200 && res.body.dryRun === true && res.body.imported === 3 && afterDryRun.body.length === 0;
+  if (t105ok) pass('105. Import dry run: previews 3 entries, saves nothing');
+  else fail('105. Import dry run: previews 3 entries, saves nothing', 'imported 3, day still empty', JSON.stringify(res.body));
+
+  // Test 106: JSON import restores entries with their ids and portions
+  res = await request('POST', '/api/import', fullExport, 'application/json');
+  const eggDay = await request('GET', '/api/entries?date=2024-03-05');
+  const t106ok = res.status === 200 && res.body.imported === 3 && eggDay.body.length === 1 &&
+    eggDay.body[0].calories === 156 && eggDay.body[0].basis.calories === 78 && eggDay.body[0].id === exported[0].id;
+  if (t106ok) pass('106. JSON import: entries restored with ids and portions');
+  else fail('106. JSON import: entries restored with ids and portions', 'Egg 156 cal with basis and same id', JSON.stringify({ import: res.body, day: eggDay.body }));
+
+  // Test 107: Re-importing skips duplicates by id and by name + timestamp
+  res = await request('POST', '/api/import', fullExport, 'application/json');
+  const csvWithoutIds = csvExport.replace(/^[^,]*,/gm, ',');
+  const csvRes = await request('POST', '/api/import', csvWithoutIds, 'text/csv');
+  const t107ok = res.status === 200 && res.body.imported === 0 && res.body.duplicates.every(d => d.reason === 'id') &&
+    csvRes.status === 200 && csvRes.body.imported === 0 && csvRes.body.duplicates.length === 3 &&
+    csvRes.body.duplicates.every(d => d.reason === 'name and timestamp');
+  if (t107ok) pass('107. Duplicate detection: by id, and by name + timestamp for rows without ids');
+  else fail('107. Duplicate detection: by id, and by name + timestamp for rows without ids', '0 imported twice', JSON.stringify({ json: res.body, csv: csvRes.body }));
+
+  // Test 108: Per-row errors don't block valid rows
+  const mixedCsv = 'name,calories,date,meal\nApple,95,2024-04-01,\n,100,2024-04-01,\nPear,-5,2024-04-01,\nPlum,40,2024-04-01,brunch\nKiwi,42,2024-04-01,snack\n';
+  res = await request('POST', '/api/import', mixedCsv, 'text/csv');
+  const t108ok = res.status === 200 && res.body.imported === 2 &&
+    JSON.stringify(res.body.errors.map(e => e.row)) === '[2,3,4]' && res.body.errors[0].error === 'Name is required';
+  if (t108ok) pass('108. Per-row errors: valid rows imported, invalid rows reported by number');
+  else fail('108. Per-row errors: valid rows imported, invalid rows reported by number', '2 imported, errors on rows 2-4', JSON.stringify(res.body));
+
+  // Test 109: Unreadable import bodies are rejected as a whole
+  const badJson = await request('POST', '/api/import', '{not json', 'application/json');
+  const badCsv = await request('POST', '/api/import', 'calories\n100\n', 'text/csv');
+  const t109ok = badJson.status === 400 && badCsv.status === 400;
+  if (t109ok) pass('109. Bad import: invalid JSON or CSV without a name column → 400');
+  else fail('109. Bad import: invalid JSON or CSV without a name column → 400', '400, 400', `${badJson.status}, ${badCsv.status}`);
+
+  // ============================================================
+  // STORAGE
+  // ============================================================
+  console.log('\n--- Storage ---');
+
+  resetData();
+
+  // Test 110: Overlapping writes are all kept
+  const concurrent = await Promise.all(Array.from({ length: 20 }, (_, i) =>
+    request('POST', '/api/entries', { name: `Snack ${i}`, calories: 10 + i, date: '2024-05-01' })
+  ));
+  res = await request('GET', '/api/entries?date=2024-05-01');
+  const stored = STORAGE === 'sqlite'
+    ? sqlite().prepare("SELECT COUNT(*) AS n FROM entries WHERE date = '2024-05-01'").get().n
+    : JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).users[authUserId].entries['2024-05-01'].length;
+  const t110ok = concurrent.every(r => r.status === 201) && res.body.length === 20 && stored === 20;
+  if (t110ok) pass('110. Concurrent writes: 20 overlapping POSTs → 20 entries saved');
+  else fail('110. Concurrent writes: 20 overlapping POSTs → 20 entries saved', '20 entries', `${res.body && res.body.length} entries`);
+
+  // ============================================================
+  // ACCOUNTS
+  // ============================================================
+  console.log('\n--- Accounts ---');
+
+  resetData();
+  await request('POST', '/api/entries', { name: 'Mine', calories: 100, date: '2024-06-01' });
+  const ownerToken = authToken;
+
+  // Test 111: No token → 401
+  res = await request('GET', '/api/entries?date=2024-06-01', undefined, undefined, { token: null });
+  const t111ok = res.status === 401 && res.headers['www-authenticate'] === 'Bearer';
+  if (t111ok) pass('111. Signed out: GET /api/entries without a token → 401');
+  else fail('111. Signed out: GET /api/entries without a token → 401', '401', `status=${res.status}`);
+
+  // Test 112: Unknown token → 401
+  res = await request('GET', '/api/total', undefined, undefined, { token: 'not-a-real-token' });
+  const t112ok = res.status === 401;
+  if (t112ok) pass('112. Bad token: GET /api/total with an unknown token → 401');
+  else fail('112. Bad token: GET /api/total with an unknown token → 401', '401', `status=${res.status}`);
+
+  // Test 113: Registration is validated
+  res = await request('POST', '/api/auth/register', { username: 'x', password: 'correct horse' }, undefined, { token: null });
+  const short = await request('POST', '/api/auth/register', { username: 'second', password: 'short' }, undefined, { token: null });
+  const t113ok = res.status === 400 && short.status === 400 && /Password/.test(short.body.error);
+  if (t113ok) pass('113. Register validation: short username or password → 400');
+  else fail('113. Register validation: short username or password → 400', '400, 400', `${res.status}, ${short.status}`);
+
+  // Test 114: Usernames are unique regardless of case
+  res = await request('POST', '/api/auth/register', { username: 'LEGACY-OWNER', password: 'correct horse' }, undefined, { token: null });
+  const t114ok = res.status === 409;
+  if (t114ok) pass('114. Duplicate username: POST /api/auth/register → 409');
+  else fail('114. Duplicate username: POST /api/auth/register → 409', '409', `status=${res.status}`);
+
+  // Test 115: Register returns a token and a session cookie
+  res = await request('POST', '/api/auth/register', { username: 'second', password: 'another secret' }, undefined, { token: null });
+  const secondToken = res.body && res.body.token;
+  const cookie = (res.headers['set-cookie'] || [''])[0];
+  const t115ok = res.status === 201 && secondToken && res.body.user.username === 'second' &&
+    !('passwordHash' in res.body.user) && /^session=/.test(cookie) && /HttpOnly/.test(cookie);
+  if (t115ok) pass('115. Register: POST /api/auth/register → 201 with token and HttpOnly cookie');
+  else fail('115. Register: POST /api/auth/register → 201 with token and HttpOnly cookie', '201 + token + cookie', `status=${res.status} cookie=${cookie}`);
+
+  // Test 116: The session cookie authenticates
+  res = await request('GET', '/api/auth/me', undefined, undefined, { token: null, headers: { Cookie: cookie.split(';')[0] } });
+  const t116ok = res.status === 200 && res.body.username === 'second';
+  if (t116ok) pass('116. Cookie session: GET /api/auth/me with the cookie → second');
+  else fail('116. Cookie session: GET /api/auth/me with the cookie → second', 'second', JSON.stringify(res.body));
+
+  // Test 117: Each user sees only their own log and total
+  res = await request('GET', '/api/entries?date=2024-06-01', undefined, undefined, { token: secondToken });
+  const otherTotal = await request('GET', '/api/total?date=2024-06-01', undefined, undefined, { token: secondToken });
+  const t117ok = res.status === 200 && res.body.length === 0 && otherTotal.body.total === 0;
+  if (t117ok) pass("117. Scoped: a second user doesn't see the first user's entries or total");
+  else fail("117. Scoped: a second user doesn't see the first user's entries or total", '[] and 0', `${JSON.stringify(res.body)} ${otherTotal.body.total}`);
+
+  // Test 118: Clearing a day or deleting by id can't touch another user's log
+  const mine = await request('GET', '/api/entries?date=2024-06-01', undefined, undefined, { token: ownerToken });
+  await request('DELETE', '/api/entries?date=2024-06-01', undefined, undefined, { token: secondToken });
+  const deleteOther = await request('DELETE', `/api/entries/${mine.body[0].id}`, undefined, undefined, { token: secondToken });
+  res = await request('GET', '/api/entries?date=2024-06-01', undefined, undefined, { token: ownerToken });
+  const t118ok = deleteOther.status === 404 && res.body.length === 1;
+  if (t118ok) pass("118. Scoped: another user's clear day and delete leave the log alone");
+  else fail("118. Scoped: another user's clear day and delete leave the log alone", '404 and 1 entry', `${deleteOther.status} and ${res.body.length}`);
+
+  // Test 119: Saved foods are shared, but only their owner may change them
+  const sharedFood = await request('POST', '/api/foods', { name: 'Team Granola', calories: 200, servingSize: 50, servingUnit: 'g' }, undefined, { token: ownerToken });
+  const seen = await request('GET', `/api/foods/${sharedFood.body.id}`, undefined, undefined, { token: secondToken });
+  const put = await request('PUT', `/api/foods/${sharedFood.body.id}`, { name: 'Mine now', calories: 1, servingSize: 1, servingUnit: 'g' }, undefined, { token: secondToken });
+  const del = await request('DELETE', `/api/foods/${sharedFood.body.id}`, undefined, undefined, { token: secondToken });
+  const t119ok = seen.status === 200 && put.status === 403 && del.status === 403;
+  if (t119ok) pass("119. Forbidden: changing another user's saved food → 403");
+  else fail("119. Forbidden: changing another user's saved food → 403", '200, 403, 403', `${seen.status}, ${put.status}, ${del.status}`);
+
+  // Test 120: Wrong password → 401; right one → a new token
+  res = await request('POST', '/api/auth/login', { username: 'second', password: 'wrong password' }, undefined, { token: null });
+  const login = await request('POST', '/api/auth/login', { username: 'Second', password: 'another secret' }, undefined, { token: null });
+  const t120ok = res.status === 401 && login.status === 200 && login.body.token && login.body.token !== secondToken;
+  if (t120ok) pass('120. Login: wrong password → 401, right password → 200 with token');
+  else fail('120. Login: wrong password → 401, right password → 200 with token', '401 then 200', `${res.status} then ${login.status}`);
+
+  // Test 121: Logging out ends that session only
+  res = await request('POST', '/api/auth/logout', undefined, undefined, { token: secondToken });
+  const after = await request('GET', '/api/auth/me', undefined, undefined, { token: secondToken });
+  const other = await request('GET', '/api/auth/me', undefined, undefined, { token: login.body.token });
+  const t121ok = res.status === 204 && /Max-Age=0/.test((res.headers['set-cookie'] || [''])[0]) &&
+    after.status === 401 && other.status === 200;
+  if (t121ok) pass('121. Logout: POST /api/auth/logout → 204, token rejected afterwards');
+  else fail('121. Logout: POST /api/auth/logout → 204, token rejected afterwards', '204 then 401', `${res.status} then ${after.status}`);
+
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  console.log('\n--- Public API ---');
+
+  resetData();
+
+  // Test 122: The OpenAPI document is public
+  res = await request('GET', '/api/v1/openapi.json', undefined, undefined, { token: null });
+  const doc = res.body || { paths: {}, components: { schemas: {} } };
+  const t122ok = res.status === 200 && doc.openapi === '3.1.0' &&
+    ['/entries', '/entries/{id}', '/total', '/tokens'].every(p => p in doc.paths) &&
+    ['Entry', 'Total', 'Error'].every(s => s in doc.components.schemas);
+  if (t122ok) pass('122. OpenAPI: GET /api/v1/openapi.json → 200 without signing in');
+  else fail('122. OpenAPI: GET /api/v1/openapi.json → 200 without signing in', 'OpenAPI 3.1 document', `status=${res.status}`);
+
+  // Test 123: /api/v1 routes and the unversioned aliases reach the same data
+  res = await request('POST', '/api/v1/entries', { name: 'Versioned', calories: 120, date: '2024-07-01' });
+  const alias = await request('GET', '/api/entries?date=2024-07-01');
+  const t123ok = res.status === 201 && alias.body.length === 1 && alias.body[0].id === res.body.id;
+  if (t123ok) pass('123. Versioned API: POST /api/v1/entries is visible at /api/entries');
+  else fail('123. Versioned API: POST /api/v1/entries is visible at /api/entries', 'same entry', JSON.stringify(alias.body));
+
+  // Test 124: Creating an API token returns its secret once
+  res = await request('POST', '/api/v1/tokens', { name: 'Shortcuts' });
+  const apiToken = res.body && res.body.token;
+  const tokenId = res.body && res.body.id;
+  const tokenList = await request('GET', '/api/v1/tokens');
+  const t124ok = res.status === 201 && apiToken && tokenList.body.length === 1 &&
+    tokenList.body[0].name === 'Shortcuts' && !('token' in tokenList.body[0]) && !('tokenHash' in tokenList.body[0]);
+  if (t124ok) pass('124. Create token: POST /api/v1/tokens → 201, listed without its secret');
+  else fail('124. Create token: POST /api/v1/tokens → 201, listed without its secret', 'token once', JSON.stringify(tokenList.body));
+
+  // Test 125: An API token works as a bearer token
+  res = await request('GET', '/api/v1/total?date=2024-07-01', undefined, undefined, { token: apiToken });
+  const t125ok = res.status === 200 && res.body.total === 120;
+  if (t125ok) pass('125. API token: GET /api/v1/total with the token → 120');
+  else fail('125. API token: GET /api/v1/total with the token → 120', '120', `status=${res.status} total=${res.body && res.body.total}`);
+
+  // Test 126: Token names are required
+  res = await request('POST', '/api/v1/tokens', { name: '  ' });
+  const t126ok = res.status === 400;
+  if (t126ok) pass('126. Token validation: POST /api/v1/tokens without a name → 400');
+  else fail('126. Token validation: POST /api/v1/tokens without a name → 400', '400', `status=${res.status}`);
+
+  // Test 127: Every documented response matches its schema
+  const checks = [];
+  const check = (method, template, response) => checks.push(...responseErrors(doc, method, template, response));
+  check('POST', '/auth/login', await request('POST', '/api/v1/auth/login', { username: 'legacy-owner', password: 'correct horse' }, undefined, { token: null }));
+  check('POST', '/auth/login', await request('POST', '/api/v1/auth/login', { username: 'legacy-owner', password: 'nope' }, undefined, { token: null }));
+  const food = await request('POST', '/api/v1/foods', { name: 'Schema Oats', calories: 150, protein: 5, servingSize: 40, servingUnit: 'g' });
+  const measured = await request('POST', '/api/v1/entries', { foodId: food.body.id, quantity: 60, unit: 'g', meal: 'breakfast', date: '2024-07-01' });
+  check('POST', '/entries', measured);
+  check('POST', '/entries', await request('POST', '/api/v1/entries', { name: 'Warned', calories: 100, protein: 50, date: '2024-07-01' }));
+  check('POST', '/entries', await request('POST', '/api/v1/entries', { name: '', calories: 100 }));
+  check('GET', '/entries', await request('GET', '/api/v1/entries?date=2024-07-01'));
+  check('GET', '/entries', await request('GET', '/api/v1/entries?date=bad'));
+  check('GET', '/entries', await request('GET', '/api/v1/entries', undefined, undefined, { token: null }));
+  check('PATCH', '/entries/{id}', await request('PATCH', `/api/v1/entries/${measured.body.id}`, { quantity: 80, fat: null }));
+  check('PATCH', '/entries/{id}', await request('PATCH', '/api/v1/entries/missing', { calories: 1 }));
+  check('PUT', '/entries/{id}', await request('PUT', `/api/v1/entries/${measured.body.id}`, { name: 'Plain', calories: 200 }));
+  check('GET', '/total', await request('GET', '/api/v1/total?date=2024-07-01'));
+  check('GET', '/total', await request('GET', '/api/v1/total?date=2024-07-02'));
+  check('GET', '/total', await request('GET', '/api/v1/total?date=nope'));
+  check('GET', '/tokens', await request('GET', '/api/v1/tokens'));
+  check('POST', '/tokens', await request('POST', '/api/v1/tokens', { name: 'Schema check' }));
+  check('DELETE', '/entries/{id}', await request('DELETE', `/api/v1/entries/${measured.body.id}`));
+  check('DELETE', '/entries/{id}', await request('DELETE', `/api/v1/entries/${measured.body.id}`));
+  check('DELETE', '/entries', await request('DELETE', '/api/v1/entries?date=2024-07-01'));
+  const t127ok = checks.length === 0;
+  if (t127ok) pass('127. Schemas: real responses match the OpenAPI document');
+  else fail('127. Schemas: real responses match the OpenAPI document', 'no differences', checks.join('; '));
+
+  // Test 128: Revoking a token stops it working
+  res = await request('DELETE', `/api/v1/tokens/${tokenId}`);
+  const revoked = await request('GET', '/api/v1/total', undefined, undefined, { token: apiToken });
+  const again = await request('DELETE', `/api/v1/tokens/${tokenId}`);
+  const t128ok = res.status === 204 && revoked.status === 401 && again.status === 404;
+  if (t128ok) pass('128. Revoke token: DELETE /api/v1/tokens/:id → 204, token rejected afterwards');
+  else fail('128. Revoke token: DELETE /api/v1/tokens/:id → 204, token rejected afterwards', '204, 401, 404', `${res.status}, ${revoked.status}, ${again.status}`);
+
+  // ============================================================
+  // ROUTING AND VALIDATION
+  // ============================================================
+  console.log('\n--- Routing and Validation ---');
+
+  // Test 129: Wrong method on a known path → 405 listing the allowed ones
+  res = await request('PATCH', '/api/entries');
+  const t129ok = res.status === 405 && res.headers.allow === 'GET, POST, DELETE' && res.body.error === 'Method not allowed';
+  if (t129ok) pass('129. 405: PATCH /api/entries → 405 with Allow: GET, POST, DELETE');
+  else fail('129. 405: PATCH /api/entries → 405 with Allow: GET, POST, DELETE', '405 + Allow', `status=${res.status}, allow=${res.headers.allow}`);
+
+  // Test 130: The versioned prefix routes the same way
+  res = await request('POST', '/api/v1/total');
+  const t130ok = res.status === 405 && res.headers.allow === 'GET';
+  if (t130ok) pass('130. 405: POST /api/v1/total → 405 with Allow: GET');
+  else fail('130. 405: POST /api/v1/total → 405 with Allow: GET', '405 + Allow: GET', `status=${res.status}, allow=${res.headers.allow}`);
+
+  // Test 131: Every invalid field is reported, not just the first
+  res = await request('POST', '/api/entries', { name: ' ', calories: 'abc', protein: -1, meal: 'brunch' });
+  const t131ok = res.status === 400 &&
+    res.body.fields && Object.keys(res.body.fields).join(',') === 'name,calories,protein,meal' &&
+    res.body.error === res.body.fields.name;
+  if (t131ok) pass('131. Field errors: POST /api/entries with four bad fields → 400 naming each');
+  else fail('131. Field errors: POST /api/entries with four bad fields → 400 naming each', 'name,calories,protein,meal', JSON.stringify(res.body));
+
+  // Test 132: Query strings are checked the same way
+  res = await request('GET', '/api/foods/search?q=oat&limit=1.5');
+  const t132ok = res.status === 400 && res.body.fields && res.body.fields.limit === 'Limit must be a positive whole number';
+  if (t132ok) pass('132. Query errors: GET /api/foods/search?limit=1.5 → 400 with fields.limit');
+  else fail('132. Query errors: GET /api/foods/search?limit=1.5 → 400 with fields.limit', 'fields.limit', JSON.stringify(res.body));
+
+  // Test 133: A JSON body that isn't an object is rejected
+  res = await request('POST', '/api/entries', '[1, 2]', 'application/json');
+  const t133ok = res.status === 400 && res.body.error === 'Expected a JSON object';
+  if (t133ok) pass('133. Body shape: POST /api/entries with a JSON array → 400');
+  else fail('133. Body shape: POST /api/entries with a JSON array → 400', '400', `status=${res.status}, body=${JSON.stringify(res.body)}`);
+
+  // Test 134: Fractional calories pass, as the shared schema allows them
+  res = await request('POST', '/api/entries', { name: 'Half biscuit', calories: 42.5, date: '2024-07-02' });
+  const t134ok = res.status === 201 && res.body.calories === 42.5;
+  if (t134ok) pass('134. Shared schema: POST /api/entries {calories:42.5} → 201');
+  else fail('134. Shared schema: POST /api/entries {calories:42.5} → 201', '201', `status=${res.status}`);
+
+  // Test 135: The browser loads the same schema module the server uses
+  res = await request('GET', '/schemas.js');
+  const t135ok = res.status === 200 && typeof res.raw === 'string' && res.raw.includes('root.Schemas');
+  if (t135ok) pass('135. Shared schema: GET /schemas.js → 200');
+  else fail('135. Shared schema: GET /schemas.js → 200', '200', `status=${res.status}`);
+
+  // ============================================================
+  // HTTP HARDENING
+  // ============================================================
+  console.log('\n--- HTTP Hardening ---');
+
+  // Test 136: Pages and API responses carry the security headers
+  const page = await request('GET', '/');
+  res = await request('GET', '/api/total');
+  const t136ok = [page, res].every(r =>
+    /frame-ancestors 'none'/.test(r.headers['content-security-policy'] || '') &&
+    r.headers['x-content-type-options'] === 'nosniff');
+  if (t136ok) pass('136. Security headers: GET / and GET /api/total send CSP and nosniff');
+  else fail('136. Security headers: GET / and GET /api/total send CSP and nosniff', 'CSP + nosniff', JSON.stringify(page.headers));
+
+  // Test 137: A JSON route refuses a body that isn't sent as JSON
+  res = await request('POST', '/api/entries', JSON.stringify({ name: 'Plain', calories: 100 }), 'text/plain');
+  const t137ok = res.status === 415 && res.body.error === 'Content-Type must be application/json';
+  if (t137ok) pass('137. Content type: POST /api/entries as text/plain → 415');
+  else fail('137. Content type: POST /api/entries as text/plain → 415', '415', `status=${res.status}`);
+
+  // Test 138: An oversized body is refused without being read
+  res = await request('POST', '/api/entries', { name: 'x'.repeat(200 * 1024), calories: 100 });
+  const t138ok = res.status === 413 && /at most/.test(res.body.error);
+  if (t138ok) pass('138. Body limit: POST /api/entries with a 200 KB body → 413');
+  else fail('138. Body limit: POST /api/entries with a 200 KB body → 413', '413', `status=${res.status}`);
+
+  // Test 139: Multi-byte characters survive the round trip
+  const fancyName = 'Crème brûlée 🍮 ' + 'ü'.repeat(5000);
+  res = await request('POST', '/api/entries', { name: fancyName, calories: 300, date: '2024-07-03' });
+  const listed = await request('GET', '/api/entries?date=2024-07-03');
+  const t139ok = res.status === 201 && listed.body.some(e => e.name === fancyName);
+  if (t139ok) pass('139. UTF-8: an entry named with accents and emoji is stored exactly');
+  else fail('139. UTF-8: an entry named with accents and emoji is stored exactly', fancyName.slice(0, 20), `status=${res.status}`);
+
+  // ============================================================
+  // STATIC FILES
+  // ============================================================
+  console.log('\n--- Static Files ---');
+
+  const appSource = fs.readFileSync(path.join(__dirname, '..', 'public', 'app.js'));
+
+  // Test 140: Content types come from the file extension
+  const js = await rawRequest('GET', '/app.js');
+  const css = await rawRequest('GET', '/style.css');
+  const t140ok = js.headers['content-type'] === 'text/javascript; charset=utf-8' &&
+    css.headers['content-type'] === 'text/css; charset=utf-8' &&
+    js.headers['cache-control'] === 'no-cache' && Boolean(js.headers.etag) && js.body.equals(appSource);
+  if (t140ok) pass('140. MIME types: /app.js and /style.css get their own types, no-cache and an ETag');
+  else fail('140. MIME types: /app.js and /style.css get their own types, no-cache and an ETag', 'text/javascript, text/css', `${js.headers['content-type']}, ${css.headers['content-type']}`);
+
+  // Test 141: A cached copy is confirmed with 304, by ETag or by date
+  const byTag = await rawRequest('GET', '/app.js', { 'If-None-Match': js.headers.etag });
+  const byDate = await rawRequest('GET', '/app.js', { 'If-Modified-Since': js.headers['last-modified'] });
+  const stale = await rawRequest('GET', '/app.js', { 'If-None-Match': '"old"' });
+  const t141ok = byTag.status === 304 && byTag.body.length === 0 && byDate.status === 304 && stale.status === 200;
+  if (t141ok) pass('141. Conditional GET: matching If-None-Match / If-Modified-Since → 304');
+  else fail('141. Conditional GET: matching If-None-Match / If-Modified-Since → 304', '304, 304, 200', `${byTag.status}, ${byDate.status}, ${stale.status}`);
+
+  // Test 142: Text files are compressed with the best encoding offered
+  const br = await rawRequest('GET', '/app.js', { 'Accept-Encoding': 'gzip, br' });
+  const gz = await rawRequest('GET', '/app.js', { 'Accept-Encoding': 'gzip, br;q=0' });
+  const t142ok = br.headers['content-encoding'] === 'br' && zlib.brotliDecompressSync(br.body).equals(appSource) &&
+    gz.headers['content-encoding'] === 'gzip' && zlib.gunzipSync(gz.body).equals(appSource) &&
+    gz.headers.vary === 'Accept-Encoding' && gz.headers.etag !== js.headers.etag;
+  if (t142ok) pass('142. Compression: brotli preferred, gzip when br is refused, both decode to the file');
+  else fail('142. Compression: brotli preferred, gzip when br is refused, both decode to the file', 'br, gzip', `${br.headers['content-encoding']}, ${gz.headers['content-encoding']}`);
+
+  // Test 143: HEAD sends the headers alone
+  res = await rawRequest('HEAD', '/app.js');
+  const t143ok = res.status === 200 && Number(res.headers['content-length']) === appSource.length && res.body.length === 0;
+  if (t143ok) pass('143. HEAD /app.js → 200 with Content-Length and no body');
+  else fail('143. HEAD /app.js → 200 with Content-Length and no body', `length ${appSource.length}`, `status=${res.status}, length=${res.headers['content-length']}`);
+
+  // Test 144: Byte ranges
+  const part = await rawRequest('GET', '/app.js', { Range: 'bytes=10-19', 'Accept-Encoding': 'gzip' });
+  const tail = await rawRequest('GET', '/app.js', { Range: 'bytes=-5' });
+  const outside = await rawRequest('GET', '/app.js', { Range: `bytes=${appSource.length}-` });
+  const t144ok = part.status === 206 && part.body.equals(appSource.subarray(10, 20)) &&
+    part.headers['content-range'] === `bytes 10-19/${appSource.length}` && !part.headers['content-encoding'] &&
+    tail.status === 206 && tail.body.equals(appSource.subarray(-5)) &&
+    outside.status === 416 && outside.headers['content-range'] === `bytes */${appSource.length}`;
+  if (t144ok) pass('144. Ranges: bytes=10-19 and bytes=-5 → 206, past the end → 416');
+  else fail('144. Ranges: bytes=10-19 and bytes=-5 → 206, past the end → 416', '206, 206, 416', `${part.status}, ${tail.status}, ${outside.status}`);
+
+  // Test 145: Unknown pages, and paths outside public/, get the HTML 404 page
+  const missing = await rawRequest('GET', '/no-such-page');
+  const escape = await rawRequest('GET', '/%2e%2e/server.js');
+  const t145ok = missing.status === 404 && missing.headers['content-type'] === 'text/html; charset=utf-8' &&
+    missing.body.toString().includes('Page not found') && escape.status === 404;
+  if (t145ok) pass('145. 404 page: unknown and escaping paths → 404 HTML');
+  else fail('145. 404 page: unknown and escaping paths → 404 HTML', '404 text/html', `${missing.status} ${missing.headers['content-type']}, ${escape.status}`);
+
+  // Test 146: Static files are read-only
+  res = await rawRequest('POST', '/index.html');
+  const t146ok = res.status === 405 && res.headers.allow === 'GET, HEAD';
+  if (t146ok) pass('146. POST /index.html → 405 with Allow: GET, HEAD');
+  else fail('146. POST /index.html → 405 with Allow: GET, HEAD', '405', `status=${res.status}`);
+
+  // ============================================================
+  // OFFLINE
+  // ============================================================
+  console.log('\n--- Offline ---');
+
+  // Test 147: The web app manifest is linked from the page and its icons exist
+  res = await rawRequest('GET', '/manifest.webmanifest');
+  let manifest = null;
+  try {
+    manifest = JSON.parse(res.body.toString());
+  } catch {
+    manifest = null;
+  }
+  const iconStatuses = manifest ? await Promise.all(manifest.icons.map(icon => rawRequest('GET', icon.src).then(r => r.status))) : [];
+  const home = await request('GET', '/');
+  const t147ok = res.status === 200 && res.headers['content-type'].startsWith('application/manifest+json') &&
+    manifest && manifest.start_url === '/' && manifest.display === 'standalone' &&
+    iconStatuses.length > 0 && iconStatuses.every(s => s === 200) && home.raw.includes('rel="manifest"');
+  if (t147ok) pass('147. Manifest: GET /manifest.webmanifest → 200, linked, every icon served');
+  else fail('147. Manifest: GET /manifest.webmanifest → 200, linked, every icon served', 'manifest with icons', `status=${res.status} icons=${iconStatuses}`);
+
+  // Test 148: Every file the service worker caches up front exists (one
+  // missing file would stop it installing)
+  res = await rawRequest('GET', '/sw.js');
+  const shellList = /const SHELL = \[([^\]]*)\]/.exec(res.body.toString());
+  const shell = shellList ? [...shellList[1].matchAll(/'([^']+)'/g)].map(m => m[1]) : [];
+  const shellStatuses = await Promise.all(shell.map(file => rawRequest('GET', file).then(r => `${file} ${r.status}`)));
+  const t148ok = res.status === 200 && res.headers['content-type'].startsWith('text/javascript') &&
+    shell.includes('/outbox.js') && shellStatuses.every(s => s.endsWith(' 200'));
+  if (t148ok) pass('148. Service worker: GET /sw.js → 200, every precached file served');
+  else fail('148. Service worker: GET /sw.js → 200, every precached file served', 'all 200', shellStatuses.filter(s => !s.endsWith(' 200')).join(', ') || `status=${res.status}`);
+
+  // Test 149: A client-generated id makes a retried POST idempotent
+  const clientId = 'offline-3f1c9a7e';
+  const queued = { id: clientId, name: 'Trail mix', calories: 280, timestamp: new Date(2024, 6, 1, 15, 30).toISOString() };
+  const firstPost = await request('POST', '/api/entries', queued);
+  const retry = await request('POST', '/api/entries', queued);
+  const logged = await request('GET', '/api/entries?date=2024-07-01');
+  const t149ok = firstPost.status === 201 && firstPost.body.id === clientId &&
+    retry.status === 200 && retry.body.id === clientId && retry.body.timestamp === firstPost.body.timestamp &&
+    logged.body.filter(e => e.id === clientId).length === 1;
+  if (t149ok) pass('149. Idempotent POST: same id twice → 201, then 200 with the same entry; logged once');
+  else fail('149. Idempotent POST: same id twice → 201, then 200 with the same entry; logged once', '201, 200, one entry', `${firstPost.status}, ${retry.status}, ${JSON.stringify(logged.body)}`);
+
+  // Test 150: Client ids are checked
+  res = await request('POST', '/api/entries', { id: 'no spaces/or slashes', name: 'Nuts', calories: 100 });
+  const t150ok = res.status === 400 && res.body.fields && res.body.fields.id;
+  if (t150ok) pass('150. Client id: POST /api/entries with an invalid id → 400 on id');
+  else fail('150. Client id: POST /api/entries with an invalid id → 400 on id', '400 fields.id', `status=${res.status} ${JSON.stringify(res.body)}`);
+
+  console.log('\n--- Live Updates ---');
+
+  // Test 151: The event stream needs a signed-in user
+  res = await request('GET', '/api/events', undefined, undefined, { token: null });
+  if (res.status === 401) pass('151. Events: GET /api/events without auth → 401');
+  else fail('151. Events: GET /api/events without auth → 401', 401, res.status);
+
+  // Test 152: Logging an entry is streamed with the day's new total
+  let events = await openEvents();
+  res = await request('POST', '/api/entries', { name: 'Live apple', calories: 95, timestamp: new Date(2024, 7, 1, 9, 0).toISOString() });
+  const created = await events.next('entry-created');
+  const t152ok = events.status === 200 && events.headers['content-type'].startsWith('text/event-stream') &&
+    created && created.id && created.data.date === '2024-08-01' && created.data.entry.id === res.body.id &&
+    created.data.totals['2024-08-01'] && created.data.totals['2024-08-01'].total === 95;
+  if (t152ok) pass('152. Events: POST /api/entries → entry-created with the entry and the day\'s total');
+  else fail('152. Events: POST /api/entries → entry-created with the entry and the day\'s total', 'entry-created, total 95', JSON.stringify(created));
+
+  // Test 153: Moving an entry to another day reports both days
+  const liveId = res.body.id;
+  res = await request('PATCH', `/api/entries/${liveId}`, { timestamp: new Date(2024, 7, 2, 9, 0).toISOString() });
+  const updated = await events.next('entry-updated');
+  const t153ok = updated && updated.data.date === '2024-08-02' && updated.data.previousDate === '2024-08-01' &&
+    updated.data.totals['2024-08-01'].total === 0 && updated.data.totals['2024-08-02'].total === 95;
+  if (t153ok) pass('153. Events: PATCH moving an entry → entry-updated with both days\' totals');
+  else fail('153. Events: PATCH moving an entry → entry-updated with both days\' totals', 'both days', JSON.stringify(updated));
+
+  // Test 154: Another user's changes aren't streamed to this one
+  const stranger = await request('POST', '/api/auth/register', { username: 'liveother', password: 'correct horse' }, undefined, { token: null });
+  await request('POST', '/api/entries', { name: 'Not yours', calories: 10 }, undefined, { token: stranger.body.token });
+  const leaked = await events.next('entry-created');
+  if (leaked === null) pass('154. Events: another user\'s entries are not streamed');
+  else fail('154. Events: another user\'s entries are not streamed', 'no event', JSON.stringify(leaked));
+
+  // Test 155: Reconnecting with Last-Event-ID replays what was missed
+  events.close();
+  res = await request('DELETE', `/api/entries/${liveId}`);
+  await request('DELETE', '/api/entries?date=2024-08-03');
+  events = await openEvents({ 'Last-Event-ID': updated ? updated.id : '' });
+  const deleted = await events.next('entry-deleted');
+  const cleared = await events.next('day-cleared');
+  const t155ok = res.status === 204 && deleted && deleted.data.id === liveId && deleted.data.date === '2024-08-02' &&
+    deleted.data.totals['2024-08-02'].total === 0 && cleared && cleared.data.date === '2024-08-03';
+  if (t155ok) pass('155. Events: Last-Event-ID → missed entry-deleted and day-cleared replayed');
+  else fail('155. Events: Last-Event-ID → missed entry-deleted and day-cleared replayed', 'both replayed', `${JSON.stringify(deleted)} ${JSON.stringify(cleared)}`);
+  events.close();
+
+  // Test 156: An id the server doesn't know (e.g. from before a restart)
+  // tells the client to reload
+  events = await openEvents({ 'Last-Event-ID': 'stale-42' });
+  const reset = await events.next('reset');
+  if (reset) pass('156. Events: unknown Last-Event-ID → reset');
+  else fail('156. Events: unknown Last-Event-ID → reset', 'reset event', 'none');
+  events.close();
+
+  console.log('\n--- Trash ---');
+
+  // Earlier tests deleted entries too
+  await request('DELETE', '/api/trash');
+
+  // Test 157: Deleting moves an entry to the trash
+  const binned = await request('POST', '/api/entries', { name: 'Binned bagel', calories: 250, date: '2024-09-01' });
+  await request('POST', '/api/entries', { name: 'Kept kiwi', calories: 40, date: '2024-09-01' });
+  res = await request('DELETE', `/api/entries/${binned.body.id}`);
+  let day = await request('GET', '/api/entries?date=2024-09-01');
+  let trash = await request('GET', '/api/v1/trash');
+  const t157ok = res.status === 204 && day.body.length === 1 && trash.status === 200 &&
+    trash.body.length === 1 && trash.body[0].id === binned.body.id && trash.body[0].date === '2024-09-01' &&
+    !Number.isNaN(Date.parse(trash.body[0].deletedAt)) && responseErrors(doc, 'GET', '/trash', trash).length === 0;
+  if (t157ok) pass('157. Trash: DELETE /api/entries/:id → gone from the day, listed in GET /api/trash');
+  else fail('157. Trash: DELETE /api/entries/:id → gone from the day, listed in GET /api/trash', 'entry in trash', JSON.stringify(trash.body));
+
+  // Test 158: Restoring puts it back, and is streamed
+  events = await openEvents();
+  res = await request('POST', '/api/v1/trash/restore', { ids: [binned.body.id] });
+  const restoredEvent = await events.next('entries-restored');
+  events.close();
+  day = await request('GET', '/api/total?date=2024-09-01');
+  trash = await request('GET', '/api/trash');
+  const t158ok = res.status === 200 && res.body.length === 1 && res.body[0].id === binned.body.id &&
+    res.body[0].deletedAt === undefined && responseErrors(doc, 'POST', '/trash/restore', res).length === 0 &&
+    day.body.total === 290 && trash.body.length === 0 &&
+    restoredEvent && restoredEvent.data.totals['2024-09-01'].total === 290;
+  if (t158ok) pass('158. Restore: POST /api/trash/restore → entry back on its day, entries-restored sent');
+  else fail('158. Restore: POST /api/trash/restore → entry back on its day, entries-restored sent', 'restored, total 290', `status=${res.status} total=${day.body.total}`);
+
+  // Test 159: A cleared day can be restored in one go
+  const clearedIds = (await request('GET', '/api/entries?date=2024-09-01')).body.map(e => e.id);
+  await request('DELETE', '/api/entries?date=2024-09-01');
+  const emptied = await request('GET', '/api/entries?date=2024-09-01');
+  res = await request('POST', '/api/trash/restore', { ids: clearedIds });
+  day = await request('GET', '/api/entries?date=2024-09-01');
+  const t159ok = emptied.body.length === 0 && res.status === 200 && res.body.length === 2 && day.body.length === 2;
+  if (t159ok) pass('159. Clear day: DELETE /api/entries?date → trash; restoring its ids brings the day back');
+  else fail('159. Clear day: DELETE /api/entries?date → trash; restoring its ids brings the day back', '2 restored', `${emptied.body.length} left, ${res.status}, ${day.body.length} back`);
+
+  // Test 160: Purging deletes for good
+  await request('DELETE', `/api/entries/${binned.body.id}`);
+  res = await request('DELETE', `/api/trash/${binned.body.id}`);
+  const purgedAgain = await request('DELETE', `/api/trash/${binned.body.id}`);
+  const restoreGone = await request('POST', '/api/trash/restore', { ids: [binned.body.id] });
+  const t160ok = res.status === 204 && purgedAgain.status === 404 && restoreGone.status === 404;
+  if (t160ok) pass('160. Purge: DELETE /api/trash/:id → 204, then 404; a purged entry cannot be restored');
+  else fail('160. Purge: DELETE /api/trash/:id → 204, then 404; a purged entry cannot be restored', '204, 404, 404', `${res.status}, ${purgedAgain.status}, ${restoreGone.status}`);
+
+  // Test 161: Emptying the trash, and restores without ids
+  await request('DELETE', '/api/entries?date=2024-09-01');
+  res = await request('DELETE', '/api/trash');
+  trash = await request('GET', '/api/trash');
+  const noIds = await request('POST', '/api/trash/restore', { ids: [] });
+  const t161ok = res.status === 204 && trash.body.length === 0 && noIds.status === 400 && noIds.body.fields && noIds.body.fields.ids;
+  if (t161ok) pass('161. Empty trash: DELETE /api/trash → 204; restore with no ids → 400');
+  else fail('161. Empty trash: DELETE /api/trash → 204; restore with no ids → 400', '204, empty, 400', `${res.status}, ${trash.body.length}, ${noIds.status}`);
+
+  // Test 162: Retrying the POST of an entry deleted since doesn't revive it
+  const retried = { id: 'retry-after-delete', name: 'Pretzel', calories: 110, date: '2024-09-02' };
+  await request('POST', '/api/entries', retried);
+  await request('DELETE', '/api/entries/retry-after-delete');
+  res = await request('POST', '/api/entries', retried);
+  day = await request('GET', '/api/entries?date=2024-09-02');
+  const t162ok = res.status === 200 && res.body.deletedAt && day.body.length === 0 &&
+    responseErrors(doc, 'POST', '/entries', res).length === 0;
+  if (t162ok) pass('162. Idempotent POST: retrying a deleted entry → 200 with deletedAt, not logged again');
+  else fail('162. Idempotent POST: retrying a deleted entry → 200 with deletedAt, not logged again', '200, nothing logged', `status=${res.status} ${day.body.length} logged`);
+
+  console.log('\n--- Change History ---');
+
+  // Test 163: An entry's history records each change with before and after
+  const tracked = await request('POST', '/api/entries', { name: 'Tracked toast', calories: 120, date: '2024-10-01' });
+  await request('PATCH', `/api/entries/${tracked.body.id}`, { calories: 150, date: '2024-10-02' });
+  await request('DELETE', `/api/entries/${tracked.body.id}`);
+  res = await request('GET', `/api/v1/entries/${tracked.body.id}/history`);
+  const steps = res.body || [];
+  const t163ok = res.status === 200 && steps.map(r => r.action).join() === 'created,edited,deleted' &&
+    steps[0].before === null && steps[0].after.calories === 120 && steps[0].after.date === '2024-10-01' &&
+    steps[1].before.calories === 120 && steps[1].after.calories === 150 && steps[1].after.date === '2024-10-02' &&
+    steps[2].before.calories === 150 && steps[2].after === null &&
+    steps.every(r => r.entryId === tracked.body.id && !Number.isNaN(Date.parse(r.at))) &&
+    responseErrors(doc, 'GET', '/entries/{id}/history', res).length === 0;
+  if (t163ok) pass('163. History: GET /api/entries/:id/history → created, edited, deleted with before/after');
+  else fail('163. History: GET /api/entries/:id/history → created, edited, deleted with before/after', 'three records', JSON.stringify(res.body));
+
+  // Test 164: Unknown entries, and other users' entries, have no history
+  const unknownHistory = await request('GET', '/api/entries/no-such-entry/history');
+  const strangerHistory = await request('GET', `/api/entries/${tracked.body.id}/history`, undefined, undefined, { token: stranger.body.token });
+  const t164ok = unknownHistory.status === 404 && strangerHistory.status === 404;
+  if (t164ok) pass('164. History: unknown id or another user\'s entry → 404');
+  else fail('164. History: unknown id or another user\'s entry → 404', '404, 404', `${unknownHistory.status}, ${strangerHistory.status}`);
+
+  // Test 165: Clearing a day and importing are recorded per entry, and the
+  // audit lists them by day
+  await request('POST', '/api/entries', { name: 'Audit one', calories: 10, date: '2024-10-03' });
+  await request('POST', '/api/entries', { name: 'Audit two', calories: 20, date: '2024-10-03' });
+  await request('DELETE', '/api/entries?date=2024-10-03');
+  await request('POST', '/api/import?format=csv', 'date,name,calories\n2024-10-04,Audit import,30\n', 'text/csv');
+  const auditDay = new Date();
+  const auditToday = `${auditDay.getFullYear()}-${String(auditDay.getMonth() + 1).padStart(2, '0')}-${String(auditDay.getDate()).padStart(2, '0')}`;
+  res = await request('GET', `/api/v1/audit?from=${auditToday}&to=${auditToday}`);
+  const pastAudit = await request('GET', '/api/audit?to=2024-01-01');
+  const clearRecords = (res.body || []).filter(r => r.action === 'cleared' && r.before.date === '2024-10-03');
+  const importRecords = (res.body || []).filter(r => r.action === 'imported' && r.after.date === '2024-10-04');
+  const t165ok = res.status === 200 && clearRecords.length === 2 && clearRecords.every(r => r.after === null) &&
+    importRecords.length === 1 && importRecords[0].after.name === 'Audit import' &&
+    res.body.some(r => r.entryId === tracked.body.id) && !res.body.some(r => r.after && r.after.name === 'Not yours') &&
+    responseErrors(doc, 'GET', '/audit', res).length === 0 &&
+    pastAudit.status === 200 && pastAudit.body.length === 0;
+  if (t165ok) pass('165. Audit: GET /api/audit?from=&to= → cleared and imported entries, only this user\'s');
+  else fail('165. Audit: GET /api/audit?from=&to= → cleared and imported entries, only this user\'s', '2 cleared, 1 imported', JSON.stringify(res.body && res.body.map(r => r.action)));
+
+  // Test 166: Bad ranges are refused
+  const reversed = await request('GET', '/api/audit?from=2024-10-05&to=2024-10-01');
+  const badDay = await request('GET', '/api/audit?from=October');
+  const t166ok = reversed.status === 400 && badDay.status === 400 && badDay.body.fields.from;
+  if (t166ok) pass('166. Audit: from after to, or a bad date → 400');
+  else fail('166. Audit: from after to, or a bad date → 400', '400, 400', `${reversed.status}, ${badDay.status}`);
+
+  // Test 167: The journal is JSON lines of its own, and a torn last line
+  // (say, from a crash) loses nothing else
+  fs.appendFileSync(AUDIT_FILE, '{"at":"2024-10-05T00:00:00.000Z","userId"');
+  const afterCrash = await request('POST', '/api/entries', { name: 'After crash', calories: 60, date: '2024-10-05' });
+  res = await request('GET', `/api/entries/${afterCrash.body.id}/history`);
+  const journalLines = fs.readFileSync(AUDIT_FILE, 'utf8').trim().split('\n');
+  const unreadable = journalLines.filter(line => {
+    try {
+      JSON.parse(line);
+      return false;
+    } catch {
+      return true;
+    }
+  });
+  const t167ok = res.status === 200 && res.body.length === 1 && res.body[0].action === 'created' && unreadable.length === 1;
+  if (t167ok) pass('167. Journal: audit.jsonl keeps one record per line; a torn line is skipped');
+  else fail('167. Journal: audit.jsonl keeps one record per line; a torn line is skipped', '1 record, 1 bad line', `status=${res.status} bad=${unreadable.length}`);
+
+  console.log('\n--- Weight ---');
+
+  // Test 168: A weigh-in is recorded once per day, a second one replacing it
+  res = await request('POST', '/api/v1/weights', { date: '2023-06-01', weight: 80.5 });
+  const firstWeighIn = res;
+  res = await request('POST', '/api/weights', { date: '2023-06-01', weight: 80 });
+  const t168ok = firstWeighIn.status === 201 && res.status === 200 &&
+    res.body.date === '2023-06-01' && res.body.weight === 80 && res.body.trend === 80 &&
+    responseErrors(doc, 'POST', '/weights', firstWeighIn).length === 0 && responseErrors(doc, 'POST', '/weights', res).length === 0;
+  if (t168ok) pass('168. Weights: POST /api/weights → 201, then 200 replacing the day\'s weigh-in');
+  else fail('168. Weights: POST /api/weights → 201, then 200 replacing the day\'s weigh-in', '201, 200 weight 80', `${firstWeighIn.status}, ${res.status} ${JSON.stringify(res.body)}`);
+
+  // Test 169: Weigh-ins are listed oldest first with a smoothed trend, and
+  // only to their owner
+  await request('POST', '/api/weights', { date: '2023-06-15', weight: 79.5 });
+  await request('POST', '/api/weights', { date: '2023-06-08', weight: 79.8 });
+  res = await request('GET', '/api/weights?from=2023-06-01&to=2023-06-30');
+  const strangerWeights = await request('GET', '/api/weights', undefined, undefined, { token: stranger.body.token });
+  const weighIns = res.body || [];
+  const t169ok = res.status === 200 && weighIns.map(w => w.date).join() === '2023-06-01,2023-06-08,2023-06-15' &&
+    weighIns[1].trend < 80 && weighIns[1].trend > 79.8 && weighIns[2].trend < weighIns[1].trend &&
+    responseErrors(doc, 'GET', '/weights', res).length === 0 &&
+    strangerWeights.status === 200 && strangerWeights.body.length === 0;
+  if (t169ok) pass('169. Weights: GET /api/weights?from=&to= → oldest first with trend; others see none');
+  else fail('169. Weights: GET /api/weights?from=&to= → oldest first with trend; others see none', '3 weigh-ins', JSON.stringify(res.body));
+
+  // Test 170: A day's weigh-in can be read, corrected and deleted
+  const corrected = await request('PUT', '/api/weights/2023-06-08', { weight: 79.9 });
+  const readBack = await request('GET', '/api/weights/2023-06-08');
+  await request('POST', '/api/weights', { date: '2023-06-20', weight: 79 });
+  const removedWeight = await request('DELETE', '/api/weights/2023-06-20');
+  const gone = await request('GET', '/api/weights/2023-06-20');
+  const t170ok = corrected.status === 200 && corrected.body.weight === 79.9 &&
+    readBack.status === 200 && readBack.body.weight === 79.9 &&
+    responseErrors(doc, 'GET', '/weights/{date}', readBack).length === 0 &&
+    removedWeight.status === 204 && gone.status === 404;
+  if (t170ok) pass('170. Weights: PUT, GET and DELETE /api/weights/:date');
+  else fail('170. Weights: PUT, GET and DELETE /api/weights/:date', '200, 200, 204, 404', `${corrected.status}, ${readBack.status}, ${removedWeight.status}, ${gone.status}`);
+
+  // Test 171: Bad weights and dates are refused; missing days are 404
+  const negative = await request('POST', '/api/weights', { weight: -70 });
+  const badPath = await request('GET', '/api/weights/June');
+  const missingPut = await request('PUT', '/api/weights/2023-06-21', { weight: 79 });
+  const missingDelete = await request('DELETE', '/api/weights/2023-06-21');
+  const futurePost = await request('POST', '/api/weights', { date: '2099-01-01', weight: 79 });
+  const futurePut = await request('PUT', '/api/weights/2099-01-01', { weight: 79 });
+  const reversedRange = await request('GET', '/api/weights?from=2023-06-15&to=2023-06-01');
+  const t171ok = negative.status === 400 && negative.body.fields.weight && badPath.status === 400 &&
+    missingPut.status === 404 && missingDelete.status === 404 &&
+    futurePost.status === 400 && futurePost.body.fields.date && futurePut.status === 400 &&
+    reversedRange.status === 400 && reversedRange.body.fields.from;
+  if (t171ok) pass('171. Weights: bad weight or date, a future date or from after to → 400, no weigh-in → 404');
+  else fail('171. Weights: bad weight or date, a future date or from after to → 400, no weigh-in → 404', '400, 400, 404, 404, 400, 400, 400', `${negative.status}, ${badPath.status}, ${missingPut.status}, ${missingDelete.status}, ${futurePost.status}, ${futurePut.status}, ${reversedRange.status}`);
+
+  // Test 172: TDEE is estimated from the calories logged between weigh-ins
+  // and the change in trend weight
+  const juneRows = Array.from({ length: 14 }, (_, i) => `2023-06-${String(i + 1).padStart(2, '0')},June meal,2000`);
+  await request('POST', '/api/import?format=csv', `date,name,calories\n${juneRows.join('\n')}\n`, 'text/csv');
+  res = await request('GET', '/api/v1/energy?date=2023-06-15');
+  const juneEstimate = res.body && res.body.estimate;
+  const t172ok = res.status === 200 && res.body.latest.date === '2023-06-15' && res.body.weightUnit === 'kg' &&
+    juneEstimate && juneEstimate.from === '2023-06-01' && juneEstimate.to === '2023-06-15' &&
+    juneEstimate.daysLogged === 14 && juneEstimate.averageIntake === 2000 && juneEstimate.weightChange < 0 &&
+    juneEstimate.tdee === Math.round(2000 - (juneEstimate.weightChange / 14) * 7700) &&
+    responseErrors(doc, 'GET', '/energy', res).length === 0;
+  if (t172ok) pass('172. Energy: GET /api/energy?date= → TDEE from intake and trend weight change');
+  else fail('172. Energy: GET /api/energy?date= → TDEE from intake and trend weight change', 'estimate over 14 days', JSON.stringify(res.body));
+
+  // Test 173: Without enough weigh-ins there is no estimate, only the reason
+  res = await request('GET', '/api/energy', undefined, undefined, { token: stranger.body.token });
+  const t173ok = res.status === 200 && res.body.latest === null && res.body.estimate === null &&
+    typeof res.body.reason === 'string' && res.body.targetGoal === null &&
+    responseErrors(doc, 'GET', '/energy', res).length === 0;
+  if (t173ok) pass('173. Energy: no weigh-ins → no estimate, with the reason');
+  else fail('173. Energy: no weigh-ins → no estimate, with the reason', 'estimate null', JSON.stringify(res.body));
+
+  // Test 174: With a target rate, each weigh-in moves the goal to the one
+  // reaching it; setting the goal by hand turns that off
+  const localDay = offset => {
+    const d = new Date();
+    d.setDate(d.getDate() + offset);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  };
+  const recentRows = Array.from({ length: 14 }, (_, i) => `${localDay(i - 14)},Recent meal,2200`);
+  await request('POST', '/api/import?format=csv', `date,name,calories\n${recentRows.join('\n')}\n`, 'text/csv');
+  await request('POST', '/api/weights', { date: localDay(-14), weight: 80 });
+  await request('POST', '/api/weights', { date: localDay(-7), weight: 79.6 });
+  const rateSet = await request('PUT', '/api/settings', { targetRate: -0.5 });
+  await request('POST', '/api/weights', { weight: 79.3 });
+  const energyNow = await request('GET', '/api/energy');
+  const autoSettings = await request('GET', '/api/settings');
+  const manual = await request('PUT', '/api/settings', { dailyGoal: 1800 });
+  // Half a kilo a week is 550 kcal a day below TDEE
+  const expectedGoal = energyNow.body.estimate && Math.max(1200, Math.round((energyNow.body.estimate.tdee - 550) / 10) * 10);
+  const t174ok = rateSet.status === 200 && rateSet.body.targetRate === -0.5 &&
+    energyNow.body.estimate && energyNow.body.targetGoal === expectedGoal &&
+    autoSettings.body.dailyGoal === expectedGoal &&
+    manual.status === 200 && manual.body.dailyGoal === 1800 && manual.body.targetRate === null;
+  if (t174ok) pass('174. Energy: a target rate adjusts the daily goal on each weigh-in; a goal set by hand stops it');
+  else fail('174. Energy: a target rate adjusts the daily goal on each weigh-in; a goal set by hand stops it', 'goal = targetGoal', `${JSON.stringify(energyNow.body)} ${JSON.stringify(autoSettings.body)}`);
+
+  // Test 175: Bad settings for the target rate and unit are refused
+  const tooFast = await request('PUT', '/api/settings', { targetRate: -1.5 });
+  const badUnit = await request('PUT', '/api/settings', { weightUnit: 'stone' });
+  const t175ok = tooFast.status === 400 && tooFast.body.fields.targetRate && badUnit.status === 400 && badUnit.body.fields.weightUnit;
+  if (t175ok) pass('175. Settings: target rate out of range or unknown weight unit → 400');
+  else fail('175. Settings: target rate out of range or unknown weight unit → 400', '400, 400', `${tooFast.status}, ${badUnit.status}`);
+
+  // Test 176: Weights are kept in kg, so switching the unit converts what is
+  // shown and leaves the estimate and the goal as they were
+  await request('PUT', '/api/settings', { targetRate: -0.5 });
+  const kgEnergy = await request('GET', '/api/energy');
+  const kgSettings = await request('GET', '/api/settings');
+  const toPounds = await request('PUT', '/api/settings', { weightUnit: 'lb' });
+  const lbEnergy = await request('GET', '/api/energy');
+  const lbWeights = await request('GET', `/api/weights?from=${localDay(0)}`);
+  const lbTooFast = await request('PUT', '/api/settings', { targetRate: -2.5 });
+  const backToKg = await request('PUT', '/api/settings', { weightUnit: 'kg' });
+  const t176ok = kgEnergy.body.estimate && kgSettings.body.dailyGoal === kgEnergy.body.targetGoal &&
+    toPounds.status === 200 && toPounds.body.weightUnit === 'lb' && toPounds.body.targetRate === -1.1 &&
+    toPounds.body.dailyGoal === kgSettings.body.dailyGoal &&
+    lbEnergy.body.weightUnit === 'lb' && lbEnergy.body.estimate.tdee === kgEnergy.body.estimate.tdee &&
+    lbEnergy.body.targetGoal === kgEnergy.body.targetGoal && lbEnergy.body.latest.weight === 174.83 &&
+    lbWeights.body.length === 1 && lbWeights.body[0].weight === 174.83 &&
+    lbTooFast.status === 400 && lbTooFast.body.fields.targetRate &&
+    backToKg.body.targetRate === -0.5 && backToKg.body.dailyGoal === kgSettings.body.dailyGoal;
+  if (t176ok) pass('176. Energy: switching kg to lb and back keeps the TDEE, target goal and daily goal');
+  else fail('176. Energy: switching kg to lb and back keeps the TDEE, target goal and daily goal', 'same tdee and goals', `${JSON.stringify(kgEnergy.body)} ${JSON.stringify(lbEnergy.body)} ${JSON.stringify(toPounds.body)}`);
+
+  // ============================================================
+  // CONCURRENT WRITES
+  // ============================================================
+  console.log('\n--- Concurrent Writes ---');
+
+  // Test 177: Retries of one entry sent at the same time log it once
+  const burst = { id: 'burst-5a2e', name: 'Protein bar', calories: 210, timestamp: new Date(2024, 7, 2, 10, 0).toISOString() };
+  const burstPosts = await Promise.all([1, 2, 3, 4, 5].map(() => request('POST', '/api/entries', burst)));
+  const burstDay = await request('GET', '/api/entries?date=2024-08-02');
+  const burstStatuses = burstPosts.map(r => r.status).sort();
+  const t177ok = burstStatuses.join() === '200,200,200,200,201' && burstPosts.every(r => r.body.id === burst.id) &&
+    burstDay.body.filter(e => e.id === burst.id).length === 1;
+  if (t177ok) pass('177. Idempotent POST: 5 concurrent posts with one id → one 201, four 200, logged once');
+  else fail('177. Idempotent POST: 5 concurrent posts with one id → one 201, four 200, logged once', '201 + 4×200, one entry', `${burstStatuses.join()}, ${JSON.stringify(burstDay.body)}`);
+
+  // Test 178: Overlapping imports of one file, racing a POST of one of its
+  // entries, add each entry once
+  const importFile = JSON.stringify({
+    entries: [1, 2, 3].map(n => ({ id: `import-race-${n}`, name: `Race ${n}`, calories: 100 * n, date: '2024-08-03', timestamp: new Date(2024, 7, 3, 8 + n).toISOString() })),
+  });
+  const [importA, importB, racingPost] = await Promise.all([
+    request('POST', '/api/import', importFile, 'application/json'),
+    request('POST', '/api/import', importFile, 'application/json'),
+    request('POST', '/api/entries', { id: 'import-race-2', name: 'Race 2', calories: 200, timestamp: new Date(2024, 7, 3, 10).toISOString() }),
+  ]);
+  const raceDay = await request('GET', '/api/entries?date=2024-08-03');
+  const raceIds = raceDay.body.map(e => e.id).sort();
+  const t178ok = importA.status === 200 && importB.status === 200 && [200, 201].includes(racingPost.status) &&
+    importA.body.imported + importB.body.imported + (racingPost.status === 201 ? 1 : 0) === 3 &&
+    raceIds.join() === 'import-race-1,import-race-2,import-race-3';
+  if (t178ok) pass('178. Import: overlapping imports and a POST with the same ids → each entry added once');
+  else fail('178. Import: overlapping imports and a POST with the same ids → each entry added once', '3 entries', `${importA.body.imported} + ${importB.body.imported} + ${racingPost.status}, ${raceIds.join()}`);
+
+  // ============================================================
+  // CSV FORMULAS
+  // ============================================================
+  console.log('\n--- CSV Formulas ---');
+
+  // Test 179: Names that spreadsheets would run as formulas are exported
+  // behind an apostrophe, and come back unchanged when imported
+  const formulaName = '=HYPERLINK("x")';
+  await request('POST', '/api/entries', { name: formulaName, calories: 1, date: '2024-08-04', timestamp: new Date(2024, 7, 4, 9).toISOString() });
+  const formulaCsv = (await request('GET', '/api/export?format=csv&from=2024-08-04&to=2024-08-04')).raw;
+  await request('DELETE', '/api/entries?date=2024-08-04');
+  await request('DELETE', '/api/trash');
+  const formulaImport = await request('POST', '/api/import', formulaCsv, 'text/csv');
+  const formulaDay = await request('GET', '/api/entries?date=2024-08-04');
+  const t179ok = formulaCsv.includes(`"'=HYPERLINK(""x"")"`) && !formulaCsv.includes(',"=HYPERLINK') &&
+    formulaImport.body.imported === 1 && formulaDay.body.length === 1 && formulaDay.body[0].name === formulaName;
+  if (t179ok) pass('179. CSV export: formula-like names get a leading apostrophe, dropped again on import');
+  else fail('179. CSV export: formula-like names get a leading apostrophe, dropped again on import', `"'=HYPERLINK(""x"")" and back`, `${formulaCsv} ${JSON.stringify(formulaDay.body)}`);
+
+  // ============================================================
+  // CLIENT TIME ZONES
+  // ============================================================
+  console.log('\n--- Client Time Zones ---');
+
+  // Test 180: A date sent with a timestamp is the client's day, which may
+  // differ from the server's, but not by more than time zones allow
+  const noonUtc = '2024-08-05T12:00:00.000Z';
+  const eastern = await request('POST', '/api/entries', { name: 'Late supper', calories: 300, date: '2024-08-06', timestamp: noonUtc });
+  const easternDay = await request('GET', '/api/entries?date=2024-08-06');
+  const tooFar = await request('POST', '/api/entries', { name: 'Late supper', calories: 300, date: '2024-08-08', timestamp: noonUtc });
+  const t180ok = eastern.status === 201 && eastern.body.timestamp === noonUtc &&
+    easternDay.body.some(e => e.id === eastern.body.id) &&
+    tooFar.status === 400 && tooFar.body.fields.timestamp;
+  if (t180ok) pass('180. POST with date and timestamp: filed under the client\'s date; a date no time zone reaches → 400');
+  else fail('180. POST with date and timestamp: filed under the client\'s date; a date no time zone reaches → 400', '201 on 2024-08-06, then 400', `${eastern.status}, ${JSON.stringify(easternDay.body)}, ${tooFar.status}`);
+
   // ============================================================
   // SUMMARY
   // ============================================================
@@ -265,9 +1923,7 @@ async function runTests() {
     failures.forEach(f => console.log(`  - ${f}`));
   }
 
-  // Reset data after tests
-  resetData();
-
+  await server.close();
   process.exit(failed > 0 ? 1 : 0);
 }
 
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+'use strict';
+
+// Runs the integration tests once per storage backend. Each run starts its
+// own server on a free port with temporary data files. SQLite needs
+// Node 22.5+ and is skipped on older versions.
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+function hasSqlite() {
+  try {
+    require('node:sqlite');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function runSuite(env) {
+  return new Promise(resolve => {
+    const suite = spawn(process.execPath, [path.join(__dirname, 'integration.js')], { env, stdio: 'inherit' });
+    suite.on('exit', code => resolve(code));
+  });
+}
+
+async function main() {
+  const backends = ['json'];
+  if (hasSqlite()) {
+    backends.push('sqlite');
+  } else {
+    console.log(`Skipping SQLite storage: node:sqlite needs Node 22.5 or later (this is ${process.version})`);
+  }
+
+  let failed = false;
+  for (const storage of backends) {
+    console.log(`\n##### ${storage} storage #####\n`);
+    const code = await runSuite({ ...process.env, STORAGE: storage });
+    if (code !== 0) failed = true;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(2);
+});
@@ -1,7 +1,15 @@
 'use strict';
 
 /**
- * Unit tests for core utility functions in utils.js.
+ * Unit tests for core utility functions in utils.js, the statistics
+ * aggregation functions in stats.js, the CSV helpers in csv.js, the JSON
+ * file store in storage.js, the storage backends in backends/ and the
+ * password and token helpers in auth.js, the OpenAPI document in
+ * openapi.js, the router in router.js, the shared validation schemas in
+ * public/schemas.js, the rate limiter in rate-limit.js, the static file
+ * helpers in static.js, the config loading in config.js and the server
+ * it configures, the event hub in events.js, the change journal in
+ * journal.js, and the weight trend and TDEE estimate in energy.js.
  * Uses Node's built-in test runner (node:test) — no external dependencies.
  *
  * Run with:  npm test
@@ -10,8 +18,46 @@
 const { test } = require('node:test');
 const assert = require('node:assert/strict');
 const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-const { getTodayDate, sendJSON, parseBody } = require('../utils');
+const {
+  HttpError,
+  formatDate,
+  getTodayDate,
+  addDays,
+  sendJSON,
+  setSecurityHeaders,
+  readBody,
+  isJSONContentType,
+  parseBody,
+} = require('../utils');
+const {
+  dailyTotals,
+  periodKey,
+  summarizeDays,
+  groupByPeriod,
+  loggingStreaks,
+  rollingAverages,
+  topFoods,
+  daysBetween,
+} = require('../stats');
+const { formatCSVRow, parseCSV } = require('../csv');
+const { createStore, StorageError } = require('../storage');
+const { createJsonBackend } = require('../backends/json');
+const { createSqliteBackend } = require('../backends/sqlite');
+const { openApiDocument } = require('../openapi');
+const { createRouter } = require('../router');
+const { createRateLimiter } = require('../rate-limit');
+const { negotiateEncoding, parseRange, resolvePath } = require('../static');
+const schemas = require('../public/schemas');
+const { resolveConfig, loadConfig, ConfigError } = require('../config');
+const { createServer } = require('../server');
+const { formatEvent, createEventHub } = require('../events');
+const { createJournal } = require('../journal');
+const { weightTrend, estimateTdee, adaptiveGoal, toKg, fromKg, MIN_AUTO_GOAL } = require('../energy');
+const { hashPassword, verifyPassword, createToken, hashToken, parseCookies, tokenFromRequest, sessionCookie } = require('../auth');
 
 // ─── getTodayDate ──────────────────────────────────────────────────────────────
 
@@ -30,6 +76,25 @@ test('getTodayDate matches the actual current date', () => {
   assert.equal(getTodayDate(), expected);
 });
 
+// ─── formatDate ────────────────────────────────────────────────────────────────
+
+test('formatDate zero-pads month and day', () => {
+  assert.equal(formatDate(new Date(2024, 0, 5)), '2024-01-05');
+});
+
+test('formatDate uses local time, not UTC', () => {
+  const d = new Date(2024, 11, 31, 23, 59);
+  assert.equal(formatDate(d), '2024-12-31');
+});
+
+// ─── addDays ───────────────────────────────────────────────────────────────────
+
+test('addDays moves across month and year boundaries', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+});
+
 // ─── sendJSON ─────────────────────────────────────────────────────────────────
 
 test('sendJSON writes the correct status code and JSON body', () => {
@@ -70,10 +135,17 @@ test('sendJSON sets Content-Length to the exact byte length of the payload', ()
   );
 });
 
-// ─── parseBody ────────────────────────────────────────────────────────────────
+// ─── readBody / parseBody ──────────────────────────────────────────────────────
 
-test('parseBody resolves with the parsed JSON object', async () => {
+// A stand-in for an incoming request: an EventEmitter with headers.
+function fakeRequest(headers = { 'content-type': 'application/json' }) {
   const req = new EventEmitter();
+  req.headers = headers;
+  return req;
+}
+
+test('parseBody resolves with the parsed JSON object', async () => {
+  const req = fakeRequest();
   const promise = parseBody(req);
 
   req.emit('data', '{"name":"Apple","calories":95}');
@@ -84,7 +156,7 @@ test('parseBody resolves with the parsed JSON object', async () => {
 });
 
 test('parseBody resolves with an empty object when the body is empty', async () => {
-  const req = new EventEmitter();
+  const req = fakeRequest({});
   const promise = parseBody(req);
 
   req.emit('end');
@@ -94,20 +166,1029 @@ test('parseBody resolves with an empty object when the body is empty', async ()
 });
 
 test('parseBody rejects with "Invalid JSON" on malformed input', async () => {
-  const req = new EventEmitter();
+  const req = fakeRequest();
   const promise = parseBody(req);
 
   req.emit('data', 'this is not json');
   req.emit('end');
 
-  await assert.rejects(promise, /Invalid JSON/);
+  await assert.rejects(promise, { status: 400, message: 'Invalid JSON' });
 });
 
 test('parseBody rejects when the request emits an error', async () => {
-  const req = new EventEmitter();
+  const req = fakeRequest();
   const promise = parseBody(req);
 
   req.emit('error', new Error('socket hang up'));
 
   await assert.rejects(promise, /socket hang up/);
 });
+
+test('parseBody rejects a body not sent as JSON with 415', async () => {
+  const req = fakeRequest({ 'content-type': 'text/plain' });
+  const promise = parseBody(req);
+
+  req.emit('data', '{"name":"Apple"}');
+  req.emit('end');
+
+  await assert.rejects(promise, err => err instanceof HttpError && err.status === 415);
+});
+
+test('isJSONContentType accepts JSON types with parameters only', () => {
+  assert.equal(isJSONContentType('application/json'), true);
+  assert.equal(isJSONContentType('Application/JSON; charset=utf-8'), true);
+  assert.equal(isJSONContentType('application/merge-patch+json'), true);
+  assert.equal(isJSONContentType('text/json'), false);
+  assert.equal(isJSONContentType('application/x-www-form-urlencoded'), false);
+  assert.equal(isJSONContentType(undefined), false);
+});
+
+test('readBody decodes a character split across chunks', async () => {
+  const req = fakeRequest();
+  const promise = readBody(req);
+  const bytes = Buffer.from('crème brûlée', 'utf8');
+
+  // "è" is two bytes; cut between them
+  req.emit('data', bytes.subarray(0, 4));
+  req.emit('data', bytes.subarray(4));
+  req.emit('end');
+
+  assert.equal(await promise, 'crème brûlée');
+});
+
+test('readBody rejects with 413 once the body passes the limit', async () => {
+  const req = fakeRequest();
+  const promise = readBody(req, { limit: 10 });
+
+  req.emit('data', Buffer.alloc(6));
+  req.emit('data', Buffer.alloc(6));
+  req.emit('end');
+
+  await assert.rejects(promise, { status: 413 });
+});
+
+test('readBody rejects a declared Content-Length over the limit without reading', async () => {
+  const req = fakeRequest({ 'content-length': '11' });
+  await assert.rejects(readBody(req, { limit: 10 }), { status: 413 });
+  assert.equal(req.listenerCount('data'), 0);
+});
+
+test('readBody accepts a body of exactly the limit', async () => {
+  const req = fakeRequest({ 'content-length': '10' });
+  const promise = readBody(req, { limit: 10 });
+
+  req.emit('data', 'x'.repeat(10));
+  req.emit('end');
+
+  assert.equal(await promise, 'x'.repeat(10));
+});
+
+// ─── setSecurityHeaders ────────────────────────────────────────────────────────
+
+test('setSecurityHeaders sets CSP with frame-ancestors, nosniff and frame options', () => {
+  const headers = {};
+  setSecurityHeaders({ setHeader(name, value) { headers[name] = value; } });
+
+  assert.match(headers['Content-Security-Policy'], /default-src 'self'/);
+  assert.match(headers['Content-Security-Policy'], /frame-ancestors 'none'/);
+  assert.equal(headers['X-Content-Type-Options'], 'nosniff');
+  assert.equal(headers['X-Frame-Options'], 'DENY');
+});
+
+// ─── stats ─────────────────────────────────────────────────────────────────────
+
+const entry = (name, calories, timestamp = '2024-03-04T12:00:00.000Z') => ({ name, calories, timestamp });
+
+test('dailyTotals returns one row per day, including days with no entries', () => {
+  const days = dailyTotals({
+    '2024-03-04': [entry('Oatmeal', 150), entry('Apple', 95.5)],
+    '2024-03-06': [entry('Soup', 300)],
+    '2024-03-09': [entry('Outside range', 999)],
+  }, '2024-03-04', '2024-03-06');
+
+  assert.deepEqual(days, [
+    { date: '2024-03-04', total: 245.5, entries: 2 },
+    { date: '2024-03-05', total: 0, entries: 0 },
+    { date: '2024-03-06', total: 300, entries: 1 },
+  ]);
+});
+
+test('periodKey groups weeks by their Monday and months by YYYY-MM', () => {
+  assert.equal(periodKey('2024-03-06', 'day'), '2024-03-06');
+  assert.equal(periodKey('2024-03-06', 'week'), '2024-03-04');
+  assert.equal(periodKey('2024-03-10', 'week'), '2024-03-04'); // Sunday
+  assert.equal(periodKey('2024-03-11', 'week'), '2024-03-11');
+  assert.equal(periodKey('2024-03-06', 'month'), '2024-03');
+});
+
+test('summarizeDays averages logged days only and finds min, max and days over goal', () => {
+  const summary = summarizeDays([
+    { date: '2024-03-04', total: 1800, entries: 3, status: 'at' },
+    { date: '2024-03-05', total: 0, entries: 0, status: 'under' },
+    { date: '2024-03-06', total: 2600, entries: 4, status: 'over' },
+    { date: '2024-03-07', total: 1600, entries: 2, status: null },
+  ]);
+
+  assert.deepEqual(summary, {
+    total: 6000,
+    average: 2000,
+    days: 4,
+    daysLogged: 3,
+    daysOverGoal: 1,
+    min: { date: '2024-03-07', total: 1600 },
+    max: { date: '2024-03-06', total: 2600 },
+  });
+});
+
+test('summarizeDays reports null average, min and max when nothing was logged', () => {
+  const summary = summarizeDays([{ date: '2024-03-04', total: 0, entries: 0 }]);
+  assert.equal(summary.average, null);
+  assert.equal(summary.min, null);
+  assert.equal(summary.max, null);
+});
+
+test('groupByPeriod clips periods to the rows given', () => {
+  const days = dailyTotals({
+    '2024-02-29': [entry('A', 100)],
+    '2024-03-01': [entry('B', 200)],
+    '2024-03-04': [entry('C', 400)],
+  }, '2024-02-29', '2024-03-04');
+
+  const weeks = groupByPeriod(days, 'week');
+  assert.deepEqual(weeks.map(w => [w.period, w.start, w.end, w.total, w.daysLogged]), [
+    ['2024-02-26', '2024-02-29', '2024-03-03', 300, 2],
+    ['2024-03-04', '2024-03-04', '2024-03-04', 400, 1],
+  ]);
+
+  const months = groupByPeriod(days, 'month');
+  assert.deepEqual(months.map(m => [m.period, m.total, m.average]), [
+    ['2024-02', 100, 100],
+    ['2024-03', 600, 300],
+  ]);
+});
+
+test('loggingStreaks finds the longest and current runs of logged days', () => {
+  const rows = counts => counts.map(entries => ({ entries }));
+
+  assert.deepEqual(loggingStreaks(rows([1, 1, 1, 0, 1, 1])), { current: 2, longest: 3 });
+  assert.deepEqual(loggingStreaks(rows([1, 0, 0])), { current: 0, longest: 1 });
+  assert.deepEqual(loggingStreaks(rows([])), { current: 0, longest: 0 });
+});
+
+test('loggingStreaks does not break the current streak on an unlogged last day', () => {
+  assert.deepEqual(loggingStreaks([{ entries: 2 }, { entries: 1 }, { entries: 0 }]), { current: 2, longest: 2 });
+});
+
+test('rollingAverages averages the logged days in a trailing window', () => {
+  const days = [1000, 2000, 0, 3000].map(total => ({ total, entries: total ? 1 : 0 }));
+  const averages = rollingAverages(days, 2).map(d => d.rollingAverage);
+  assert.deepEqual(averages, [1000, 1500, 2000, 3000]);
+  assert.equal(rollingAverages([{ total: 0, entries: 0 }])[0].rollingAverage, null);
+});
+
+test('topFoods ranks by count, merges names case-insensitively and honours the range', () => {
+  const foods = topFoods({
+    '2024-03-04': [entry('apple', 95, '2024-03-04T08:00:00.000Z'), entry('Soup', 300)],
+    '2024-03-05': [entry('Apple', 100, '2024-03-05T08:00:00.000Z')],
+    '2024-03-09': [entry('Soup', 300), entry('Soup', 300)],
+  }, '2024-03-04', '2024-03-05', 5);
+
+  assert.deepEqual(foods, [
+    { name: 'Apple', count: 2, calories: 195 },
+    { name: 'Soup', count: 1, calories: 300 },
+  ]);
+});
+
+test('daysBetween counts both ends and is unaffected by daylight saving', () => {
+  assert.equal(daysBetween('2024-03-04', '2024-03-04'), 1);
+  assert.equal(daysBetween('2024-03-01', '2024-03-31'), 31);
+  assert.equal(daysBetween('2024-10-01', '2024-11-30'), 61);
+});
+
+// ─── energy ────────────────────────────────────────────────────────────────────
+
+test('weightTrend starts at the first weigh-in and moves further across gaps', () => {
+  assert.deepEqual(weightTrend([
+    { date: '2024-03-01', weight: 80 },
+    { date: '2024-03-02', weight: 81 },
+    { date: '2024-03-04', weight: 81 },
+  ]), [
+    { date: '2024-03-01', weight: 80, trend: 80 },
+    { date: '2024-03-02', weight: 81, trend: 80.1 },
+    { date: '2024-03-04', weight: 81, trend: 80.27 },
+  ]);
+  assert.deepEqual(weightTrend([]), []);
+});
+
+// Two weeks of 2000 kcal a day, losing a kilo of trend weight
+function twoWeeks(logged = () => true) {
+  const days = [];
+  for (let date = '2024-03-01'; date <= '2024-03-15'; date = addDays(date, 1)) {
+    days.push(logged(date) ? { date, total: 2000, entries: 2 } : { date, total: 0, entries: 0 });
+  }
+  return days;
+}
+const fortnight = [{ date: '2024-03-01', trend: 80 }, { date: '2024-03-08', trend: 79.6 }, { date: '2024-03-15', trend: 79 }];
+
+test('estimateTdee adds the energy of the weight lost to the average intake', () => {
+  assert.deepEqual(estimateTdee(fortnight, twoWeeks()), {
+    estimate: {
+      from: '2024-03-01',
+      to: '2024-03-15',
+      days: 14,
+      daysLogged: 14,
+      averageIntake: 2000,
+      weightChange: -1,
+      weeklyRate: -0.5,
+      tdee: 2550,
+    },
+    reason: null,
+  });
+  // Unlogged days are left out of the average rather than counted as zero
+  const sparse = estimateTdee(fortnight, twoWeeks(date => date >= '2024-03-06')).estimate;
+  assert.equal(sparse.daysLogged, 9);
+  assert.equal(sparse.tdee, 2550);
+});
+
+test('estimateTdee explains when there is too little data', () => {
+  assert.match(estimateTdee(fortnight.slice(0, 1), twoWeeks()).reason, /weigh-ins at least 7 days apart/);
+  assert.match(estimateTdee([{ date: '2024-03-09', trend: 80 }, fortnight[2]], twoWeeks()).reason, /7 days apart/);
+  const gappy = estimateTdee(fortnight, twoWeeks(date => date >= '2024-03-10'));
+  assert.equal(gappy.estimate, null);
+  assert.match(gappy.reason, /half of the days/);
+});
+
+test('adaptiveGoal aims for the target rate, rounded and never too low', () => {
+  assert.equal(adaptiveGoal(2550, -0.5), 2000);
+  assert.equal(adaptiveGoal(2003, 0), 2000);
+  assert.equal(adaptiveGoal(2000, 0.25), 2280);
+  assert.equal(adaptiveGoal(1500, -1), MIN_AUTO_GOAL);
+});
+
+test('toKg and fromKg convert weights without drifting', () => {
+  assert.equal(toKg(176.4, 'lb'), 80.0137);
+  assert.equal(fromKg(80.0137, 'lb'), 176.4);
+  assert.equal(fromKg(toKg(-0.5, 'lb'), 'lb'), -0.5);
+  assert.equal(toKg(80.4, 'kg'), 80.4);
+});
+
+// ─── csv ───────────────────────────────────────────────────────────────────────
+
+test('formatCSVRow quotes fields with commas, quotes and line breaks', () => {
+  assert.equal(formatCSVRow(['Apple', 95, null, undefined]), 'Apple,95,,\r\n');
+  assert.equal(formatCSVRow(['Mac, "cheese"', 'two\nlines']), '"Mac, ""cheese""","two\nlines"\r\n');
+});
+
+test('parseCSV reads quoted fields, CRLF and LF endings and skips blank lines', () => {
+  const text = 'name,calories\r\n"Mac, ""cheese""",400\n\n"two\nlines",5\n';
+  assert.deepEqual(parseCSV(text), [
+    ['name', 'calories'],
+    ['Mac, "cheese"', '400'],
+    ['two\nlines', '5'],
+  ]);
+});
+
+test('parseCSV ignores a byte order mark and keeps empty trailing fields', () => {
+  assert.deepEqual(parseCSV('\uFEFFa,b,\n1,,'), [['a', 'b', ''], ['1', '', '']]);
+});
+
+test('parseCSV round-trips formatCSVRow output', () => {
+  const rows = [['id', 'name'], ['1', 'Soup, "hot"\r\nand sour']];
+  assert.deepEqual(parseCSV(rows.map(formatCSVRow).join('')), rows);
+});
+
+test('formatCSVRow guards formula-like text and parseCSV takes the guard off', () => {
+  const rows = [['=HYPERLINK("x")', '+1', '-fat', '@SUM(A1)', "'=kept", "It's", '-5']];
+  const text = rows.map(formatCSVRow).join('');
+  assert.equal(text, `"'=HYPERLINK(""x"")",'+1,'-fat,'@SUM(A1),''=kept,It's,'-5\r\n`);
+  assert.equal(formatCSVRow([-5, 95]), '-5,95\r\n');
+  assert.deepEqual(parseCSV(text), rows);
+});
+
+test('parseCSV rejects an unterminated quoted field', () => {
+  assert.throws(() => parseCSV('name\n"Apple'), /Unterminated quoted field/);
+});
+
+// ─── storage ───────────────────────────────────────────────────────────────────
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'data.json');
+}
+
+const emptyLog = () => ({ entries: [] });
+
+test('createStore starts empty and creates the file on init', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog });
+  await store.init();
+  assert.deepEqual(store.get(), { entries: [] });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { entries: [] });
+});
+
+test('createStore keeps every change from overlapping updates', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog });
+  await Promise.all([1, 2, 3, 4, 5].map(n => store.update(data => { data.entries.push(n); })));
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).entries, [1, 2, 3, 4, 5]);
+  assert.deepEqual(fs.readdirSync(path.dirname(file)).filter(f => f.endsWith('.tmp')), []);
+});
+
+test('createStore discards the changes of a mutator that throws', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog });
+  await store.update(data => { data.entries.push('kept'); });
+  await assert.rejects(store.update(data => {
+    data.entries.push('lost');
+    throw new Error('nope');
+  }), /nope/);
+  assert.deepEqual(store.get().entries, ['kept']);
+  assert.deepEqual(await store.update(data => data.entries.length), 1);
+});
+
+test('createStore serves reads from memory and notices outside changes on the next check', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog, recheckMs: 50 });
+  await store.update(data => { data.entries.push('a'); });
+  assert.equal(store.get(), store.get());
+
+  fs.writeFileSync(file, JSON.stringify({ entries: ['edited', 'by hand'] }));
+  assert.deepEqual(store.get().entries, ['a']);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.deepEqual(store.get().entries, ['edited', 'by hand']);
+});
+
+test('createStore checks for outside changes before every update', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog, recheckMs: 60000 });
+  await store.update(data => { data.entries.push('a'); });
+
+  fs.writeFileSync(file, JSON.stringify({ entries: ['restored'] }));
+  await store.update(data => { data.entries.push('b'); });
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')).entries, ['restored', 'b']);
+});
+
+test('createStore refuses to overwrite a corrupt file', async (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, '{"entries": [1, 2');
+  const store = createStore(file, { empty: emptyLog });
+
+  assert.throws(() => store.get(), StorageError);
+  await assert.rejects(store.update(data => { data.entries = []; }), StorageError);
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"entries": [1, 2');
+});
+
+test('createStore migrates old data and writes it back on init', async (t) => {
+  const file = tempFile(t);
+  fs.writeFileSync(file, JSON.stringify({ items: [1] }));
+  const store = createStore(file, {
+    empty: emptyLog,
+    migrate: data => {
+      if (!data.items) return false;
+      data.entries = data.items;
+      delete data.items;
+      return true;
+    },
+  });
+  await store.init();
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { entries: [1] });
+});
+
+test('createStore rotates backups of the previous file', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog, backups: 2, backupIntervalMs: 0 });
+  for (const n of [1, 2, 3, 4]) {
+    await store.update(data => { data.entries.push(n); });
+  }
+  const read = f => JSON.parse(fs.readFileSync(f, 'utf8')).entries;
+  assert.deepEqual(read(`${file}.1`), [1, 2, 3]);
+  assert.deepEqual(read(`${file}.2`), [1, 2]);
+  assert.equal(fs.existsSync(`${file}.3`), false);
+});
+
+test('createStore skips the write when nothing changed', async (t) => {
+  const file = tempFile(t);
+  const store = createStore(file, { empty: emptyLog });
+  await store.init();
+  const before = fs.statSync(file).mtimeMs;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  await store.update(data => data.entries.find(() => false));
+  assert.equal(fs.statSync(file).mtimeMs, before);
+});
+
+// ─── backends ──────────────────────────────────────────────────────────────────
+
+// Every backend must pass the same tests. SQLite needs Node 22.5+.
+let sqliteSkip = false;
+try {
+  require('node:sqlite');
+} catch {
+  sqliteSkip = 'node:sqlite needs Node 22.5 or later';
+}
+
+const BACKENDS = [
+  { name: 'json', create: file => createJsonBackend(file), skip: false },
+  { name: 'sqlite', create: file => createSqliteBackend(file.replace(/\.json$/, '.db')), skip: sqliteSkip },
+];
+
+async function openBackend(t, create) {
+  const backend = create(tempFile(t));
+  await backend.init();
+  t.after(() => backend.close());
+  return backend;
+}
+
+const logged = (id, calories, extra = {}) =>
+  ({ id, name: `Food ${id}`, calories, timestamp: '2024-03-04T12:00:00.000Z', ...extra });
+
+for (const { name, create, skip } of BACKENDS) {
+  test(`${name} backend adds, finds, moves and deletes entries`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries('u1', [
+      { date: '2024-03-04', entry: logged('a', 100) },
+      { date: '2024-03-04', entry: logged('b', 200) },
+      { date: '2024-03-05', entry: logged('c', 300) },
+    ]);
+    assert.deepEqual((await backend.listEntries('u1', '2024-03-04')).map(e => e.id), ['a', 'b']);
+    assert.deepEqual(await backend.findEntry('u1', 'c'), { date: '2024-03-05', entry: logged('c', 300) });
+    assert.equal(await backend.findEntry('u1', 'c', '2024-03-04'), null);
+
+    // A moved entry goes after the entries already on its new day
+    assert.equal(await backend.updateEntry('u1', 'a', '2024-03-05', logged('a', 150)), true);
+    assert.equal(await backend.updateEntry('u1', 'missing', '2024-03-05', logged('missing', 1)), false);
+    const range = await backend.listRange('u1', '2024-03-01', null);
+    assert.deepEqual(Object.keys(range), ['2024-03-04', '2024-03-05']);
+    assert.deepEqual(range['2024-03-05'].map(e => [e.id, e.calories]), [['c', 300], ['a', 150]]);
+
+    assert.deepEqual(await backend.deleteEntry('u1', 'b'), logged('b', 200));
+    assert.equal(await backend.deleteEntry('u1', 'b'), null);
+    assert.deepEqual(await backend.listEntries('u1', '2024-03-04'), []);
+    assert.equal(await backend.clearDay('u1', '2024-03-05'), 2);
+    assert.deepEqual(await backend.listRange('u1', null, null), {});
+  });
+
+  test(`${name} backend keeps deleted entries in the trash until restored or purged`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries('u1', [
+      { date: '2024-03-04', entry: logged('a', 100) },
+      { date: '2024-03-04', entry: logged('b', 200) },
+      { date: '2024-03-05', entry: logged('c', 300) },
+    ]);
+    await backend.deleteEntry('u1', 'a', null, '2024-03-06T10:00:00.000Z');
+    assert.equal(await backend.clearDay('u1', '2024-03-05', '2024-03-06T11:00:00.000Z'), 1);
+
+    assert.deepEqual(await backend.listRange('u1', null, null), { '2024-03-04': [logged('b', 200)] });
+    assert.equal((await backend.aggregate('u1', null, null))['2024-03-04'].total, 200);
+    assert.equal(await backend.findEntry('u1', 'a'), null);
+    assert.deepEqual(await backend.findDeleted('u1', 'a'),
+      { date: '2024-03-04', entry: { ...logged('a', 100), deletedAt: '2024-03-06T10:00:00.000Z' } });
+    assert.deepEqual((await backend.listTrash('u1')).map(item => [item.date, item.entry.id]), [['2024-03-05', 'c'], ['2024-03-04', 'a']]);
+    assert.deepEqual(await backend.listTrash('u2'), []);
+
+    assert.deepEqual(await backend.restoreEntries('u1', ['a', 'missing']), [{ date: '2024-03-04', entry: logged('a', 100) }]);
+    assert.deepEqual((await backend.listEntries('u1', '2024-03-04')).map(e => e.id).sort(), ['a', 'b']);
+    assert.equal(await backend.findDeleted('u1', 'a'), null);
+
+    await backend.deleteEntry('u1', 'b', null, '2024-03-07T10:00:00.000Z');
+    assert.equal(await backend.purgeDeleted('2024-03-07T00:00:00.000Z'), 1);
+    assert.deepEqual((await backend.listTrash('u1')).map(item => item.entry.id), ['b']);
+    assert.equal(await backend.purgeTrash('u1', ['b', 'a']), 1);
+    await backend.deleteEntry('u1', 'a');
+    assert.equal(await backend.purgeTrash('u1'), 1);
+    assert.deepEqual(await backend.listTrash('u1'), []);
+  });
+
+  test(`${name} backend aggregates calories, macros and meals per day`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries('u1', [
+      { date: '2024-03-04', entry: logged('a', 100.04, { meal: 'breakfast', protein: 10.04 }) },
+      { date: '2024-03-04', entry: logged('b', 200, { meal: 'breakfast', protein: 5, fat: 2 }) },
+      { date: '2024-03-04', entry: logged('c', 50) },
+      { date: '2024-03-06', entry: logged('d', 75, { meal: 'snack' }) },
+    ]);
+    const days = await backend.aggregate('u1', '2024-03-04', '2024-03-05');
+    assert.deepEqual(days, {
+      '2024-03-04': {
+        count: 3,
+        total: 350,
+        macros: { protein: 15, carbs: 0, fat: 2, fiber: 0 },
+        meals: { breakfast: 300, lunch: 0, dinner: 0, snack: 0, other: 50 },
+      },
+    });
+  });
+
+  test(`${name} backend stores settings`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    assert.deepEqual(await backend.getSettings('u1'), {});
+    const settings = { goalHistory: [{ effectiveFrom: '2024-03-04', dailyGoal: 2000, weekdayGoals: {} }] };
+    await backend.saveSettings('u1', settings);
+    assert.deepEqual(await backend.getSettings('u1'), settings);
+  });
+
+  test(`${name} backend stores one weigh-in per day`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    assert.equal(await backend.saveWeight('u1', '2024-03-05', 80.4), true);
+    assert.equal(await backend.saveWeight('u1', '2024-03-04', 80.9), true);
+    assert.equal(await backend.saveWeight('u1', '2024-03-05', 80.2), false);
+    await backend.saveWeight('u2', '2024-03-05', 60);
+    assert.deepEqual(await backend.listWeights('u1', null, null),
+      [{ date: '2024-03-04', weight: 80.9 }, { date: '2024-03-05', weight: 80.2 }]);
+    assert.deepEqual(await backend.listWeights('u1', '2024-03-05', null), [{ date: '2024-03-05', weight: 80.2 }]);
+    assert.equal(await backend.deleteWeight('u1', '2024-03-04'), true);
+    assert.equal(await backend.deleteWeight('u1', '2024-03-04'), false);
+    assert.deepEqual(await backend.listWeights('u1', null, '2024-03-04'), []);
+    assert.deepEqual(await backend.listWeights('u2', null, null), [{ date: '2024-03-05', weight: 60 }]);
+  });
+
+  test(`${name} backend adds only entries whose id is free`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries('u1', [
+      { date: '2024-03-04', entry: logged('a', 100) },
+      { date: '2024-03-04', entry: logged('b', 200) },
+    ]);
+    await backend.deleteEntry('u1', 'b');
+    const added = await backend.addEntries('u1', [
+      { date: '2024-03-05', entry: logged('a', 150) },
+      { date: '2024-03-05', entry: logged('b', 250) },
+      { date: '2024-03-05', entry: logged('c', 300) },
+    ]);
+    assert.deepEqual(added, [{ date: '2024-03-05', entry: logged('c', 300) }]);
+    assert.deepEqual((await backend.listEntries('u1', '2024-03-04')).map(e => [e.id, e.calories]), [['a', 100]]);
+    assert.deepEqual((await backend.addEntries('u2', [{ date: '2024-03-04', entry: logged('a', 1) }])).length, 1);
+  });
+
+  test(`${name} backend imports what the plan accepts against the current log`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries('u1', [
+      { date: '2024-03-04', entry: logged('a', 100) },
+      { date: '2024-03-04', entry: logged('b', 200) },
+    ]);
+    await backend.deleteEntry('u1', 'b');
+    const result = await backend.importEntries('u1', (entriesByDate, trash) => {
+      assert.deepEqual(Object.values(entriesByDate).flat().map(e => e.id), ['a']);
+      assert.deepEqual(trash.map(item => item.entry.id), ['b']);
+      return { accepted: [{ date: '2024-03-05', entry: logged('c', 300) }], note: 'planned' };
+    });
+    assert.equal(result.note, 'planned');
+    assert.deepEqual(await backend.listEntries('u1', '2024-03-05'), [logged('c', 300)]);
+  });
+
+  test(`${name} backend keeps each user's log apart`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries('u1', [{ date: '2024-03-04', entry: logged('a', 100) }]);
+    await backend.addEntries('u2', [{ date: '2024-03-04', entry: logged('a', 200) }]);
+    assert.equal(await backend.clearDay('u2', '2024-03-04'), 1);
+    assert.equal(await backend.deleteEntry('u2', 'a'), null);
+    assert.equal(await backend.updateEntry('u2', 'a', '2024-03-04', logged('a', 1)), false);
+    assert.deepEqual(await backend.listEntries('u1', '2024-03-04'), [logged('a', 100)]);
+  });
+
+  test(`${name} backend hands the log from before accounts to a user`, { skip }, async (t) => {
+    const backend = await openBackend(t, create);
+    await backend.addEntries(null, [
+      { date: '2024-03-04', entry: logged('a', 100) },
+      { date: '2024-03-05', entry: logged('b', 200) },
+    ]);
+    await backend.saveSettings(null, { goalHistory: [] });
+    await backend.addEntries('u1', [{ date: '2024-03-05', entry: logged('b', 250) }]);
+
+    // The user's own copy of "b" wins
+    assert.equal(await backend.claimUnowned('u1'), 1);
+    const range = await backend.listRange('u1', null, null);
+    assert.deepEqual(range, { '2024-03-04': [logged('a', 100)], '2024-03-05': [logged('b', 250)] });
+    assert.deepEqual(await backend.getSettings('u1'), { goalHistory: [] });
+    assert.deepEqual(await backend.listRange(null, null, null), {});
+    assert.equal(await backend.claimUnowned('u2'), 0);
+  });
+}
+
+// ─── auth ──────────────────────────────────────────────────────────────────────
+
+test('hashPassword salts each hash and verifyPassword checks it', async () => {
+  const first = await hashPassword('correct horse');
+  const second = await hashPassword('correct horse');
+  assert.match(first, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword('correct horse', first), true);
+  assert.equal(await verifyPassword('correct horsE', first), false);
+  assert.equal(await verifyPassword('correct horse', 'plain'), false);
+});
+
+test('createToken returns a random token and the hash to store', () => {
+  const { token, tokenHash } = createToken();
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.equal(tokenHash, hashToken(token));
+  assert.notEqual(createToken().token, token);
+});
+
+test('tokenFromRequest prefers a bearer token over the session cookie', () => {
+  const req = headers => ({ headers });
+  assert.equal(tokenFromRequest(req({ authorization: 'Bearer abc', cookie: 'session=def' })), 'abc');
+  assert.equal(tokenFromRequest(req({ cookie: 'theme=dark; session=def' })), 'def');
+  assert.equal(tokenFromRequest(req({ authorization: 'Basic abc' })), null);
+  assert.equal(tokenFromRequest(req({})), null);
+});
+
+test('parseCookies decodes values and skips malformed pairs', () => {
+  assert.deepEqual(parseCookies('a=1; b=x%20y; junk; c=%E0%A4%A'), { a: '1', b: 'x y' });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('sessionCookie sets an HttpOnly, same-site cookie and clears it with no token', () => {
+  assert.equal(sessionCookie('abc', 60), 'session=abc; Path=/; HttpOnly; SameSite=Strict; Max-Age=60');
+  assert.equal(sessionCookie(null), 'session=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0');
+});
+
+// ─── openapi ───────────────────────────────────────────────────────────────────
+
+test('openApiDocument only references schemas it defines', () => {
+  const doc = openApiDocument({ units: ['g', 'serving'] });
+  const refs = JSON.stringify(doc).match(/#\/components\/schemas\/\w+/g);
+  assert.ok(refs.length > 0);
+  for (const ref of refs) {
+    assert.ok(doc.components.schemas[ref.split('/').pop()], `${ref} is not defined`);
+  }
+});
+
+test('openApiDocument lists the units it is given', () => {
+  const doc = openApiDocument({ units: ['g', 'serving'] });
+  assert.deepEqual(doc.components.schemas.Entry.properties.unit.enum, ['g', 'serving']);
+});
+
+// ─── router ────────────────────────────────────────────────────────────────────
+
+test('router matches method and pattern, decoding params', () => {
+  const router = createRouter();
+  router.add('GET', '/api/foods/search', {}, 'search');
+  router.add('GET', '/api/foods/:id', { public: true }, 'food');
+  const found = router.match('GET', '/api/foods/a%20b');
+  assert.equal(found.route.handler, 'food');
+  assert.deepEqual(found.route.options, { public: true });
+  assert.deepEqual(found.params, { id: 'a b' });
+  assert.equal(router.match('GET', '/api/foods/search').route.handler, 'search');
+});
+
+test('router reports the allowed methods for a known path', () => {
+  const router = createRouter();
+  router.add('GET', '/api/entries', {}, () => {});
+  router.add('POST', '/api/entries', {}, () => {});
+  router.add('DELETE', '/api/entries/:id', {}, () => {});
+  assert.deepEqual(router.match('PUT', '/api/entries'), { allowed: ['GET', 'POST'] });
+  assert.equal(router.match('GET', '/api/entries/1/extra'), null);
+  assert.equal(router.match('GET', '/api/entriesx'), null);
+});
+
+test('router keeps malformed escapes in params as given', () => {
+  const router = createRouter();
+  router.add('GET', '/api/foods/:id', {}, () => {});
+  assert.deepEqual(router.match('GET', '/api/foods/%E0%A4').params, { id: '%E0%A4' });
+});
+
+// ─── schemas ───────────────────────────────────────────────────────────────────
+
+test('isValidDate accepts a real YYYY-MM-DD date', () => {
+  assert.equal(schemas.isValidDate('2024-02-29'), true);
+});
+
+test('isValidDate rejects malformed strings', () => {
+  assert.equal(schemas.isValidDate('2024-2-1'), false);
+  assert.equal(schemas.isValidDate('yesterday'), false);
+  assert.equal(schemas.isValidDate(''), false);
+  assert.equal(schemas.isValidDate(undefined), false);
+});
+
+test('isValidDate rejects dates that do not exist', () => {
+  assert.equal(schemas.isValidDate('2023-02-29'), false);
+  assert.equal(schemas.isValidDate('2024-13-01'), false);
+});
+
+test('validate reports every invalid field', () => {
+  const { errors } = schemas.validate(schemas.entry, { name: '', calories: -1, fat: 'x', meal: 'brunch' });
+  assert.deepEqual(Object.keys(errors), ['name', 'calories', 'fat', 'meal']);
+  assert.equal(errors.calories, 'Calories must be a positive number');
+});
+
+test('validate cleans values and clears nullable fields left out', () => {
+  const { fields, errors } = schemas.validate(schemas.entry, {
+    name: '  Toast ',
+    calories: '80.5',
+    protein: '',
+    timestamp: '2024-05-01T08:00:00+02:00',
+  });
+  assert.equal(errors, null);
+  assert.equal(fields.name, 'Toast');
+  assert.equal(fields.calories, 80.5);
+  assert.equal(fields.protein, null);
+  assert.equal(fields.carbs, null);
+  assert.equal(fields.meal, null);
+  assert.equal(fields.timestamp, '2024-05-01T06:00:00.000Z');
+  assert.ok(!('quantity' in fields));
+});
+
+test('validate with partial only checks the fields given', () => {
+  assert.deepEqual(schemas.validate(schemas.entry, { fat: null }, { partial: true }), { fields: { fat: null }, errors: null });
+  assert.deepEqual(schemas.validate(schemas.entry, { name: null }, { partial: true }).errors, { name: 'Name is required' });
+});
+
+test('validate applies string and number limits', () => {
+  assert.ok(schemas.validate(schemas.credentials, { username: 'a b', password: 'long enough' }).errors.username);
+  assert.equal(schemas.validate(schemas.credentials, { username: 'ann', password: ' 1234567 ' }).errors, null);
+  assert.ok(schemas.validate(schemas.apiToken, { name: 'x'.repeat(101) }).errors.name);
+  assert.ok(schemas.validate(schemas.searchQuery, { limit: '2.5' }).errors.limit);
+  assert.equal(schemas.validate(schemas.searchQuery, { limit: '3' }).fields.limit, 3);
+  assert.ok(schemas.validate(schemas.targetRate.kg, { targetRate: -1.5 }, { partial: true }).errors.targetRate);
+  assert.equal(schemas.validate(schemas.targetRate.lb, { targetRate: -1.5 }, { partial: true }).errors, null);
+  assert.equal(schemas.validate(schemas.settings, { targetRate: '-0.5' }, { partial: true }).fields.targetRate, -0.5);
+});
+
+// ─── rate limiter ──────────────────────────────────────────────────────────────
+
+// A clock the tests move by hand.
+function fakeClock(start = 0) {
+  let time = start;
+  return { now: () => time, advance: ms => { time += ms; } };
+}
+
+test('rate limiter allows a burst up to capacity, then refuses', () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ capacity: 3, refillPerSecond: 1, now: clock.now });
+
+  assert.deepEqual([1, 2, 3].map(() => limiter.take('a').allowed), [true, true, true]);
+  const refused = limiter.take('a');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfter, 1);
+});
+
+test('rate limiter refills over time, never past capacity', () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ capacity: 2, refillPerSecond: 0.5, now: clock.now });
+  limiter.take('a');
+  limiter.take('a');
+
+  assert.equal(limiter.take('a').retryAfter, 2);
+  clock.advance(2000);
+  assert.equal(limiter.take('a').allowed, true);
+  clock.advance(60 * 60 * 1000);
+  assert.equal(limiter.take('a').remaining, 1);
+});
+
+test('rate limiter keeps a separate bucket per key', () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ capacity: 1, refillPerSecond: 1, now: clock.now });
+
+  assert.equal(limiter.take('a').allowed, true);
+  assert.equal(limiter.take('a').allowed, false);
+  assert.equal(limiter.take('b').allowed, true);
+});
+
+test('rate limiter forgets keys once their buckets have refilled', () => {
+  const clock = fakeClock();
+  const limiter = createRateLimiter({ capacity: 5, refillPerSecond: 1, now: clock.now });
+  limiter.take('a');
+  limiter.take('b');
+  assert.equal(limiter.size(), 2);
+
+  clock.advance(2 * 60 * 1000);
+  limiter.take('c');
+  assert.equal(limiter.size(), 1);
+});
+
+// ─── static ────────────────────────────────────────────────────────────────────
+
+test('negotiateEncoding prefers brotli, then gzip, honouring q-values', () => {
+  assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+  assert.equal(negotiateEncoding('gzip, br;q=0'), 'gzip');
+  assert.equal(negotiateEncoding('br;q=0.5, gzip'), 'gzip');
+  assert.equal(negotiateEncoding('*'), 'br');
+  assert.equal(negotiateEncoding('identity'), null);
+  assert.equal(negotiateEncoding(undefined), null);
+});
+
+test('parseRange handles closed, open and suffix ranges', () => {
+  assert.deepEqual(parseRange('bytes=0-9', 100), { start: 0, end: 9 });
+  assert.deepEqual(parseRange('bytes=90-', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseRange('bytes=95-200', 100), { start: 95, end: 99 });
+  assert.deepEqual(parseRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.equal(parseRange('bytes=100-', 100), 'unsatisfiable');
+  assert.equal(parseRange('bytes=5-1', 100), 'unsatisfiable');
+  assert.equal(parseRange('bytes=0-1,5-6', 100), null);
+  assert.equal(parseRange('items=0-1', 100), null);
+  assert.equal(parseRange(undefined, 100), null);
+});
+
+test('resolvePath keeps requests inside the root', () => {
+  const root = path.resolve('/srv/public');
+  assert.equal(resolvePath(root, '/'), path.join(root, 'index.html'));
+  assert.equal(resolvePath(root, '/a%20b.js'), path.join(root, 'a b.js'));
+  assert.equal(resolvePath(root, '/../server.js'), path.join(root, 'server.js'));
+  assert.equal(resolvePath(root, '/%2e%2e/%2e%2e/etc/passwd'), path.join(root, 'etc', 'passwd'));
+  assert.equal(resolvePath(root, '/bad%E0%A4'), null);
+  assert.equal(resolvePath(root, '/x%00.js'), null);
+});
+
+// ─── config ────────────────────────────────────────────────────────────────────
+
+test('resolveConfig fills in defaults and files beside the data file', () => {
+  const config = resolveConfig({ dataFile: 'var/log.json' }, { base: '/srv/calories' });
+  assert.equal(config.port, 3000);
+  assert.equal(config.storage, 'json');
+  assert.equal(config.dataFile, path.resolve('/srv/calories/var/log.json'));
+  assert.equal(config.sqliteFile, path.resolve('/srv/calories/var/data.db'));
+  assert.equal(config.usersFile, path.resolve('/srv/calories/var/users.json'));
+  assert.equal(config.auditFile, path.resolve('/srv/calories/var/audit.jsonl'));
+  assert.ok(Object.isFrozen(config));
+  // A resolved config resolves to itself
+  assert.deepEqual(resolveConfig(config), config);
+});
+
+test('resolveConfig rejects unknown settings and bad values', () => {
+  assert.throws(() => resolveConfig({ prot: 80 }), /unknown setting "prot"/);
+  assert.throws(() => resolveConfig({ port: 70000 }), ConfigError);
+  assert.throws(() => resolveConfig({ port: '80' }), /port must be a whole number/);
+  assert.throws(() => resolveConfig({ storage: 'csv' }), /storage must be one of json, sqlite/);
+  assert.throws(() => resolveConfig({ maxBodyBytes: 0 }), /maxBodyBytes must be a positive whole number/);
+});
+
+test('loadConfig layers the config file, environment and flags in that order', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'app.json'), JSON.stringify({ port: 4000, host: 'example.test', dataFile: 'log.json', rateLimitBurst: 50 }));
+
+  const config = loadConfig({
+    argv: ['--config', 'app.json', '--port=5000'],
+    env: { PORT: '4500', HOST: '127.0.0.1', RATE_LIMIT_PER_SECOND: '2.5' },
+    cwd: dir,
+  });
+  assert.equal(config.port, 5000);
+  assert.equal(config.host, '127.0.0.1');
+  assert.equal(config.rateLimitBurst, 50);
+  assert.equal(config.rateLimitPerSecond, 2.5);
+  // Paths in the file are relative to the file
+  assert.equal(config.dataFile, path.join(dir, 'log.json'));
+
+  const flags = loadConfig({ argv: ['--data', 'other.json', '--host', '::1'], env: {}, cwd: dir });
+  assert.equal(flags.dataFile, path.join(dir, 'other.json'));
+  assert.equal(flags.host, '::1');
+});
+
+test('loadConfig reports where a bad setting came from', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-config-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'bad.json');
+  fs.writeFileSync(file, '{"port": "high"}');
+
+  assert.throws(() => loadConfig({ argv: ['--port', 'abc'], env: {}, cwd: dir }), /^ConfigError: --port: port/);
+  assert.throws(() => loadConfig({ argv: [], env: { MAX_IMPORT_BYTES: '1e3.5' }, cwd: dir }), /MAX_IMPORT_BYTES: maxImportBytes/);
+  assert.throws(() => loadConfig({ argv: ['--config', file], env: {}, cwd: dir }), /bad\.json: port must be/);
+  assert.throws(() => loadConfig({ argv: ['--config', 'missing.json'], env: {}, cwd: dir }), /no such file/);
+  assert.throws(() => loadConfig({ argv: ['--verbose'], env: {}, cwd: dir }), /Unknown option --verbose/);
+  assert.throws(() => loadConfig({ argv: ['--port'], env: {}, cwd: dir }), /--port needs a value/);
+});
+
+test('createServer purges entries deleted before the retention period', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-server-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataFile = path.join(dir, 'data.json');
+  const backend = createJsonBackend(dataFile);
+  await backend.init();
+  await backend.addEntries('u1', [
+    { date: '2024-03-04', entry: logged('old', 100) },
+    { date: '2024-03-04', entry: logged('recent', 100) },
+  ]);
+  const daysAgo = days => new Date(Date.now() - days * 86400000).toISOString();
+  await backend.deleteEntry('u1', 'old', null, daysAgo(8));
+  await backend.deleteEntry('u1', 'recent', null, daysAgo(6));
+
+  const server = createServer({ host: '127.0.0.1', port: 0, dataFile, trashRetentionDays: 7 });
+  await server.listen();
+  await server.close();
+  const trash = JSON.parse(fs.readFileSync(dataFile, 'utf8')).users.u1.trash;
+  assert.deepEqual(trash.map(item => item.entry.id), ['recent']);
+});
+
+test('createServer runs isolated instances on free ports', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calorie-server-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const servers = ['a', 'b'].map(name => {
+    fs.mkdirSync(path.join(dir, name));
+    return createServer({ host: '127.0.0.1', port: 0, dataFile: path.join(dir, name, 'data.json') });
+  });
+  const urls = await Promise.all(servers.map(server => server.listen()));
+  try {
+    assert.notEqual(urls[0], urls[1]);
+    const res = await fetch(`${urls[0]}/api/v1/openapi.json`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).openapi, '3.1.0');
+    assert.ok(fs.existsSync(path.join(dir, 'a', 'data.json')));
+    assert.ok(fs.existsSync(path.join(dir, 'b', 'data.json')));
+  } finally {
+    await Promise.all(servers.map(server => server.close()));
+  }
+});
+
+// ─── events ────────────────────────────────────────────────────────────────────
+
+// A response that keeps what is written to it.
+function fakeStream() {
+  const res = new EventEmitter();
+  res.text = '';
+  res.writeHead = (status, headers) => { res.status = status; res.headers = headers; };
+  res.write = chunk => { res.text += chunk; };
+  res.end = () => { res.ended = true; };
+  return res;
+}
+
+function eventIds(text) {
+  return [...text.matchAll(/^id: (.+)$/gm)].map(m => m[1]);
+}
+
+test('formatEvent writes id, event and JSON data', () => {
+  assert.equal(formatEvent({ id: 'a-1', event: 'entry-deleted', data: { id: 'x' } }), 'id: a-1\nevent: entry-deleted\ndata: {"id":"x"}\n\n');
+  assert.equal(formatEvent({ data: {} }), 'data: {}\n\n');
+});
+
+test('event hub sends a user only their own events', (t) => {
+  const hub = createEventHub();
+  t.after(() => hub.close());
+  const mine = fakeStream();
+  const theirs = fakeStream();
+  hub.subscribe('u1', mine);
+  hub.subscribe('u2', theirs);
+
+  hub.publish('u1', 'day-cleared', { date: '2024-01-01' });
+  assert.equal(mine.status, 200);
+  assert.match(mine.headers['Content-Type'], /^text\/event-stream/);
+  assert.match(mine.text, /^retry: \d+\n\n/);
+  assert.match(mine.text, /event: day-cleared\ndata: \{"date":"2024-01-01"\}/);
+  assert.doesNotMatch(theirs.text, /day-cleared/);
+
+  theirs.emit('close');
+  assert.equal(hub.size(), 1);
+  hub.close();
+  assert.ok(mine.ended);
+  assert.equal(hub.size(), 0);
+});
+
+test('event hub replays missed events, or resets when it cannot', (t) => {
+  const hub = createEventHub({ historySize: 3 });
+  t.after(() => hub.close());
+  const first = fakeStream();
+  hub.subscribe('u1', first);
+  hub.publish('u1', 'entry-deleted', { id: 'a' });
+  const [seen] = eventIds(first.text);
+  hub.publish('u1', 'entry-deleted', { id: 'b' });
+  hub.publish('u2', 'entry-deleted', { id: 'c' });
+
+  const resumed = fakeStream();
+  hub.subscribe('u1', resumed, seen);
+  assert.deepEqual(eventIds(resumed.text), eventIds(first.text).slice(1));
+  assert.doesNotMatch(resumed.text, /"c"/);
+
+  const upToDate = fakeStream();
+  hub.subscribe('u1', upToDate, eventIds(first.text)[1]);
+  assert.doesNotMatch(upToDate.text, /event:/);
+
+  // Pushed out of the history, from another run of the server, or garbage
+  hub.publish('u1', 'entry-deleted', { id: 'd' });
+  hub.publish('u1', 'entry-deleted', { id: 'e' });
+  for (const lastEventId of [seen, `other-${seen.split('-')[1]}`, 'nonsense']) {
+    const res = fakeStream();
+    hub.subscribe('u1', res, lastEventId);
+    assert.match(res.text, /event: reset/, lastEventId);
+    assert.deepEqual(eventIds(res.text), []);
+  }
+});
+
+test('event hub sends heartbeats to open streams', async (t) => {
+  const hub = createEventHub({ heartbeatMs: 10 });
+  t.after(() => hub.close());
+  const res = fakeStream();
+  hub.subscribe('u1', res);
+  await new Promise(resolve => setTimeout(resolve, 35));
+  assert.match(res.text, /^: heartbeat$/m);
+});
+
+// ─── journal ───────────────────────────────────────────────────────────────────
+
+test('journal appends records as JSON lines and reads them back in order', async (t) => {
+  const file = tempFile(t).replace(/\.json$/, '.jsonl');
+  const journal = createJournal(file);
+  assert.deepEqual(await journal.read(() => true), []);
+
+  await Promise.all([
+    journal.append([{ n: 1 }, { n: 2 }]),
+    journal.append([]),
+    journal.append([{ n: 3 }]),
+  ]);
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"n":1}\n{"n":2}\n{"n":3}\n');
+  assert.deepEqual(await journal.read(record => record.n !== 2), [{ n: 1 }, { n: 3 }]);
+});
+
+test('journal skips a torn line and starts the next record on its own line', async (t) => {
+  const file = tempFile(t).replace(/\.json$/, '.jsonl');
+  fs.writeFileSync(file, '{"n":1}\n{"n":');
+  const journal = createJournal(file);
+  await journal.append([{ n: 2 }]);
+  assert.deepEqual(await journal.read(() => true), [{ n: 1 }, { n: 2 }]);
+});
@@ -1,15 +1,58 @@
 'use strict';
 
+// Largest request body read by default, in bytes.
+const DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+// Sent with every response. Pages only load scripts, styles and images from
+// their own server, and other sites may not frame them.
+const SECURITY_HEADERS = {
+  'Content-Security-Policy': "default-src 'self'; img-src 'self' data:; object-src 'none'; base-uri 'self'; " +
+    "form-action 'self'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+};
+
+/**
+ * An error that maps onto an HTTP status, such as a body that is too large
+ * (413) or not JSON (415). The server answers with `status` and `message`.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Formats a Date as a YYYY-MM-DD string in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
 /**
  * Returns today's date as a YYYY-MM-DD string.
  * @returns {string}
  */
 function getTodayDate() {
-  const now = new Date();
-  const y = now.getFullYear();
-  const m = String(now.getMonth() + 1).padStart(2, '0');
-  const d = String(now.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+  return formatDate(new Date());
+}
+
+/**
+ * Adds a number of days to a YYYY-MM-DD date string.
+ * @param {string} date
+ * @param {number} days - may be negative
+ * @returns {string}
+ */
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return formatDate(new Date(y, m - 1, d + days));
 }
 
 /**
@@ -28,23 +71,93 @@ function sendJSON(res, statusCode, body) {
 }
 
 /**
- * Parses the request body as JSON.
+ * Sets the security headers on a response before it is written.
+ * @param {object} res - HTTP response object
+ */
+function setSecurityHeaders(res) {
+  for (const [name, value] of Object.entries(SECURITY_HEADERS)) {
+    res.setHeader(name, value);
+  }
+}
+
+/**
+ * Reads the whole request body as a UTF-8 string. Chunks are kept as bytes
+ * until the end, so a character split across two chunks decodes correctly.
+ * Rejects with a 413 HttpError as soon as the body (or its declared
+ * Content-Length) exceeds `limit` bytes; the rest of it is not read.
  * @param {object} req - HTTP request object (EventEmitter)
- * @returns {Promise<object>}
+ * @param {{limit?: number}} [options]
+ * @returns {Promise<string>}
  */
-function parseBody(req) {
+function readBody(req, { limit = DEFAULT_BODY_LIMIT } = {}) {
   return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch {
-        reject(new Error('Invalid JSON'));
+    const tooLarge = () => new HttpError(413, `Request body must be at most ${limit} bytes`);
+    const declared = Number(req.headers['content-length']);
+    if (declared > limit) {
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      size += bytes.length;
+      if (size > limit) {
+        req.removeListener('data', onData);
+        reject(tooLarge());
+        return;
       }
-    });
+      chunks.push(bytes);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
     req.on('error', reject);
   });
 }
 
-module.exports = { getTodayDate, sendJSON, parseBody };
+/**
+ * Whether a Content-Type header names JSON: `application/json` or a
+ * `+json` type, with or without parameters such as charset.
+ * @param {string} [header]
+ * @returns {boolean}
+ */
+function isJSONContentType(header) {
+  const type = String(header || '').split(';')[0].trim().toLowerCase();
+  return type === 'application/json' || /^application\/[\w.-]+\+json$/.test(type);
+}
+
+/**
+ * Parses the request body as JSON. An empty body is `{}`; anything else must
+ * be sent as JSON (415 otherwise) and parse (400 otherwise).
+ * @param {object} req - HTTP request object (EventEmitter)
+ * @param {{limit?: number}} [options] - passed to readBody
+ * @returns {Promise<object>}
+ */
+async function parseBody(req, options) {
+  const body = await readBody(req, options);
+  if (!body) {
+    return {};
+  }
+  if (!isJSONContentType(req.headers['content-type'])) {
+    throw new HttpError(415, 'Content-Type must be application/json');
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new HttpError(400, 'Invalid JSON');
+  }
+}
+
+module.exports = {
+  HttpError,
+  formatDate,
+  getTodayDate,
+  addDays,
+  sendJSON,
+  SECURITY_HEADERS,
+  setSecurityHeaders,
+  readBody,
+  isJSONContentType,
+  parseBody,
+};